@@ -0,0 +1,90 @@
+/**
+ * ChipLedger - Record of every chip that moves at a table, capped to the most recent MAX_ENTRIES
+ * Also keeps the running total of chips that should be at the table, for the conservation check
+ */
+
+// Keep the most recent entries per room - older ones are dropped and counted in trimmed
+const MAX_ENTRIES = 5000;
+
+// Movements that bring chips to the table or take them away - everything else only moves chips
+// between stacks and the pot, so the table total stays put
+const TABLE_CHANGES = new Set(['buy-in', 'stack-reset', 'restart', 'restore', 'cash-out', 'forfeit', 'discrepancy']);
+
+export class ChipLedger {
+  constructor(maxEntries = MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.entries = [];     // Oldest first
+    this.nextId = 1;
+    this.tableChips = 0;   // Chips that should be in stacks or the pot right now
+    this.discrepancies = 0; // Failed conservation checks (kept even once their entries are trimmed)
+    this.trimmed = 0;      // Entries dropped to stay under maxEntries
+  }
+
+  /**
+   * Add an entry - amount is the change to the player's stack (to the pot for entries without a player)
+   * e.g. a bet is negative, an award positive
+   */
+  record(room, type, player, amount, details = {}) {
+    if (TABLE_CHANGES.has(type)) {
+      this.tableChips += amount;
+    }
+    if (type === 'discrepancy') {
+      this.discrepancies++;
+    }
+
+    const entry = {
+      id: this.nextId++,
+      time: room.clock.now(),
+      handNumber: room.handNumber,
+      phase: room.phase,
+      type,
+      seatIndex: player?.seatIndex ?? null,
+      playerId: player?.playerId ?? null,
+      username: player?.username ?? null,
+      amount,
+      stack: player ? player.bankroll : null,  // After the movement
+      pot: room.pot,
+      tableChips: this.tableChips,
+      ...details
+    };
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+      this.trimmed++;
+    }
+    return entry;
+  }
+
+  /**
+   * Most recent entries, oldest first
+   */
+  getEntries(limit = 500) {
+    return this.entries.slice(-limit).map(entry => ({ ...entry }));
+  }
+
+  /**
+   * 💾 Serialize for the room snapshot
+   */
+  toSnapshot() {
+    return {
+      entries: this.entries,
+      nextId: this.nextId,
+      tableChips: this.tableChips,
+      discrepancies: this.discrepancies,
+      trimmed: this.trimmed
+    };
+  }
+
+  /**
+   * 💾 Rebuild a ledger from a snapshot
+   */
+  static fromSnapshot(snapshot) {
+    const ledger = new ChipLedger();
+    ledger.entries = snapshot.entries.slice(-ledger.maxEntries);
+    ledger.nextId = snapshot.nextId;
+    ledger.tableChips = snapshot.tableChips;
+    ledger.discrepancies = snapshot.discrepancies;
+    ledger.trimmed = snapshot.trimmed + snapshot.entries.length - ledger.entries.length;
+    return ledger;
+  }
+}
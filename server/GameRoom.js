@@ -2,8 +2,20 @@
  * GameRoom - Manages a single poker table/lobby with betting
  */
 
-import { createDeck, shuffleDeck, dealCards } from './deck.js';
-import { evaluateHand } from './handEvaluator.js';
+import { createDeck, shuffleDeck, dealCards, SUITS, RANKS } from './deck.js';
+import { evaluateHand, compareHands, compareLowHands } from './handEvaluator.js';
+import { getVariant, DEFAULT_VARIANT, BETTING, DEALING } from './variants.js';
+import { HandHistory } from './HandHistory.js';
+import { ChipLedger } from './ChipLedger.js';
+import { getPlayerId } from './identity.js';
+import { Tournament, DEFAULT_TOURNAMENT_SETTINGS, normalizeTournamentSettings } from './Tournament.js';
+import { GameRotation, DEFAULT_ROTATION_SETTINGS, normalizeRotationSettings, getGameName } from './Rotation.js';
+import { calculateEquity } from './equity.js';
+import { systemClock } from './clock.js';
+import { Scheduler, DEFAULT_TIMING_SETTINGS, normalizeTimingSettings } from './scheduler.js';
+import { secureRandom } from './random.js';
+import { createShuffle, createSeedRandom } from './fairness.js';
+import { getBotStrategy, listBotStrategies, BOT_THINK_TIME, DEFAULT_BOT_STRATEGY } from './bots.js';
 
 // Game phases
 export const PHASES = {
@@ -12,9 +24,17 @@ export const PHASES = {
   FLOP: 'flop',            // 3 community cards, betting
   TURN: 'turn',            // 4th community card, betting
   RIVER: 'river',          // 5th community card, betting
+  THIRD_STREET: 'third-street',      // Stud: 2 down + 1 up, bring-in
+  FOURTH_STREET: 'fourth-street',    // Stud: 1 up
+  FIFTH_STREET: 'fifth-street',      // Stud: 1 up
+  SIXTH_STREET: 'sixth-street',      // Stud: 1 up
+  SEVENTH_STREET: 'seventh-street',  // Stud: 1 down
   SHOWDOWN: 'showdown'     // Reveal hands, determine winner
 };
 
+// Stud bring-in ties on rank go to the lower suit
+const BRING_IN_SUIT_ORDER = ['clubs', 'diamonds', 'hearts', 'spades'];
+
 // Player actions
 export const ACTIONS = {
   FOLD: 'fold',
@@ -25,6 +45,23 @@ export const ACTIONS = {
   ALL_IN: 'all-in'
 };
 
+// Most times all-in players can agree to run the board out
+export const MAX_RUN_COUNT = 3;
+
+// How long all-in players get to vote on running it more than once
+const RUN_IT_VOTE_TIME = 15000;
+
+// Showdowns over several boards stay up a little longer
+const MULTI_BOARD_SHOWDOWN_EXTRA = 2000;
+
+// Timers that drive a hand - stopping the game cancels these, but leaves the server's own
+// room timers (reconnect grace, snapshot saves, empty-room cleanup) on the scheduler
+const HAND_TIMERS = ['bot-turn', 'runout', 'next-hand', 'action-clock', 'run-it-vote'];
+
+// Bump when the snapshot shape changes
+// v1 stored raw session IDs, v2 stores player IDs
+const SNAPSHOT_VERSION = 2;
+
 export class GameRoom {
   constructor(id, name, hostId, maxPlayers = 8) {
     this.id = id;
@@ -32,12 +69,18 @@ export class GameRoom {
     this.hostId = hostId;
     this.maxPlayers = maxPlayers;
     this.createdAt = Date.now();
+    this.restoredAt = null;   // Set when rebuilt from a saved snapshot
+    this.scheduler = new Scheduler(systemClock); // Every timer the room sets (see the clock accessors)
+    this.random = secureRandom; // Draws each hand's shuffle seed (a seeded generator in simulations and tests)
     
     // Seats array (null = empty, player object = occupied)
     this.seats = Array(maxPlayers).fill(null);
     
     // Connected players (may be spectating)
-    this.players = new Map(); // socketId -> player object
+    this.players = new Map(); // playerId -> player object (player.socketId is the live connection)
+    
+    // 🤖 Bots seated by the host (also in players, with no socket)
+    this.bots = new Map();    // playerId -> strategy instance
     
     // Game state
     this.phase = PHASES.WAITING;
@@ -49,16 +92,48 @@ export class GameRoom {
     this.dealerSeat = -1;      // Will be set on first hand
     this.sbSeat = -1;          // Small blind position
     this.bbSeat = -1;          // Big blind position
+    this.straddleSeat = -1;    // Straddle position (-1 when nobody straddled)
     this.currentTurn = null;   // Seat index of current actor
     this.lastRaiser = null;    // Seat index of last raiser (for round end detection)
     this.actedThisRound = new Set(); // Players who have acted this betting round
+    this.raisesThisRound = 0;  // Bets and raises so far this round (for the fixed-limit cap)
     
     // Blinds
     this.smallBlind = 10;
     this.bigBlind = 20;
+    this.variant = DEFAULT_VARIANT;  // Game type - hole cards, evaluation and betting (see variants.js)
+    this.fixedLimit = false;   // Play the variant fixed-limit instead of its usual betting structure
+    this.raiseCap = 4;         // Fixed limit: bets + raises allowed per round
+    this.ante = 0;             // Posted by every player before the blinds
+    this.bigBlindAnte = 0;     // Posted by the big blind for the whole table
+    this.studAnte = 5;         // Stud: posted by every player instead of the ante (a quarter of the completion)
+    this.antesThisHand = 0;    // Dead money from antes in the current pot
+    
+    // Tournament mode
+    this.gameMode = 'cash';    // 'cash' or 'tournament'
+    this.tournamentSettings = DEFAULT_TOURNAMENT_SETTINGS;
+    this.tournament = null;    // Sit & Go in progress (tournament mode only)
+    
+    // Mixed games
+    this.rotationSettings = DEFAULT_ROTATION_SETTINGS;
+    this.rotation = null;      // Switches the variant between hands (null when rotation is off)
     
     // Settings
     this.runItTwiceEnabled = true;  // Allow Run It Twice when all-in
+    this.straddleEnabled = false;   // Let players opt into a UTG or button straddle
+    this.sevenDeuceBounty = 0;      // 7-2 game: paid by everyone dealt in to a shown 7-2 winner (0 = off)
+    
+    // Action clock
+    this.actionTimeout = 30;        // Seconds per decision (0 = no clock)
+    this.timeBankSize = 60;         // Seconds of extra time each player gets
+    this.timeBankRefillHands = 10;  // Refill time banks every N hands (0 = never)
+    this.actionClock = null;        // { seatIndex, startedAt, endsAt, usingTimeBank }
+
+    // Table pacing (seconds - see scheduler.js)
+    this.timingSettings = DEFAULT_TIMING_SETTINGS;
+    
+    // Reconnects
+    this.disconnectGracePeriod = 60; // Seconds a dropped player keeps their seat
     
     // Game control
     this.isGameRunning = false;  // Is the game session active
@@ -66,28 +141,65 @@ export class GameRoom {
     this.handNumber = 0;
     
     // Seat requests (pending host approval)
-    this.seatRequests = new Map(); // requestId -> { socketId, username, seatIndex, buyIn, timestamp }
+    this.seatRequests = new Map(); // requestId -> { playerId, username, seatIndex, buyIn, timestamp }
+
+    // Hand history log
+    this.handHistory = new HandHistory();
+
+    // 🧾 Every chip movement, for the host (and the conservation check after each action and award)
+    this.ledger = new ChipLedger();
+
+    // 🔒 Provably fair shuffle - the seed's hash is published before the hand, the seed after it
+    this.handShuffle = null;   // { seed, commitment } for the hand being played
+    this.nextShuffle = null;   // Committed to for the next hand (see upcomingShuffle)
 
     // Callback for auto-dealing (set by server)
     this.onAutoAdvance = null;
     
     // Side pots for all-in situations
     this.sidePots = [];                  // Array of { amount, eligibleSeats[] }
+    this.departedBets = [];              // What players who left mid-hand put in (still in the pot)
     
     // Run It Twice state
     this.runItTwiceOffered = false;      // Is RIT currently being offered?
-    this.runItTwiceAccepted = false;     // Was RIT accepted for this hand?
-    this.runItTwiceVotes = new Map();    // socketId -> boolean (accept/decline)
+    this.runItTwiceSettled = false;      // Voting finished this hand - don't offer it again
+    this.runItTwiceVotes = new Map();    // playerId -> times they want to run it (1-3)
     this.runItTwiceEligiblePlayers = []; // Players who can vote on RIT
-    this.secondBoard = [];               // Second board for RIT
-    this.ritResults = null;              // Results from both boards
+    this.runCount = 1;                   // Times the board is run out - the lowest count voted
+    this.extraBoards = [];               // Boards after the first (RIT or a double-board bomb pot)
+    this.equity = null;                  // All-in odds, updated on each street of the runout
+    
+    // 💣 Bomb pots
+    this.bombPotAnte = 40;               // Everyone antes this, then the hand starts on the flop
+    this.bombPotEvery = 0;               // Deal one every N hands (0 = only when the host calls one)
+    this.bombPotDoubleBoard = false;     // Deal two boards and split each pot between them
+    this.bombPotQueued = false;          // Host called a bomb pot for the next hand
+    this.bombPot = null;                 // This hand's bomb pot: { ante, doubleBoard }
     
     // 🃏 God mode - for "testing" purposes only 😈
-    this.godModePlayer = null; // socketId of god mode player
+    this.godModePlayer = null; // playerId of god mode player
     this.riggedHand = null; // 'royal-flush', 'straight-flush', 'quads', 'full-house', 'flush', 'straight', 'trips'
     this.riggedCommunityCards = null; // Cards to force on the board
   }
   
+  /**
+   * Timers and the action clock's time - swap in a FakeClock (before the game starts) to step through hands
+   */
+  get clock() {
+    return this.scheduler.clock;
+  }
+
+  set clock(clock) {
+    this.scheduler.clock = clock;
+  }
+
+  /**
+   * Milliseconds the table waits at a point in the hand (see DEFAULT_TIMING_SETTINGS)
+   */
+  getDelay(name) {
+    return this.timingSettings[name] * 1000;
+  }
+
   /**
    * 🃏 Generate hole cards and community cards for a rigged hand
    * Now with variety and opponent hands that look strong but lose!
@@ -447,34 +559,54 @@ export class GameRoom {
 
   /**
    * Add a player to the room (not seated yet)
+   * playerId is stable across reconnects, socketId is the current connection
    */
-  addPlayer(socketId, username) {
-    if (this.players.has(socketId)) {
+  addPlayer(playerId, socketId, username) {
+    if (this.players.has(playerId)) {
       return { success: false, error: 'Already in room' };
     }
 
+    // Reclaim a seat held for this player since the last server restart
+    const reserved = this.seats.find(p => p?.isReserved && p.playerId === playerId);
+    if (reserved) {
+      reserved.socketId = socketId;
+      reserved.username = username;
+      reserved.isReserved = false;
+      reserved.waitingForNextHand = this.phase !== PHASES.WAITING && this.isGameRunning;
+      reserved.joinedAt = Date.now();
+      this.players.set(playerId, reserved);
+      return { success: true, player: reserved, reclaimedSeat: reserved.seatIndex };
+    }
+
     const player = {
+      playerId,
       socketId,
       username,
       seatIndex: null,
       cards: [],
+      upCards: [],        // Stud cards dealt face up
       bankroll: 0,
       isFolded: false,
       isAllIn: false,
       currentBet: 0,      // Bet in current betting round
       totalBetThisHand: 0, // Total bet this hand (for pot calculation)
+      timeBank: 0,        // Seconds of time bank left
+      straddle: null,     // Opted-in straddle: 'utg', 'button' or null
+      isReserved: false,  // Seat restored from a snapshot, owner not back yet
+      isAway: false,      // Disconnected, seat held for the grace period
+      awaySince: null,
       joinedAt: Date.now()
     };
 
-    this.players.set(socketId, player);
+    this.players.set(playerId, player);
     return { success: true, player };
   }
 
   /**
    * Remove a player from the room
    */
-  removePlayer(socketId) {
-    const player = this.players.get(socketId);
+  removePlayer(playerId) {
+    const player = this.players.get(playerId);
     if (!player) return false;
 
     if (player.seatIndex !== null) {
@@ -483,9 +615,19 @@ export class GameRoom {
         this.advanceToNextPlayer();
       }
       this.seats[player.seatIndex] = null;
+      this.keepDepartedBet(player);
+
+      // Walking out of a tournament forfeits the stack
+      if (this.tournament?.isRunning) {
+        this.tournament.recordEliminations([player], this.getAllSeatedPlayers().length);
+      }
+      const cashOut = player.bankroll;
+      player.bankroll = 0;
+      this.ledger.record(this, 'cash-out', player, -cashOut);
     }
 
-    this.players.delete(socketId);
+    this.players.delete(playerId);
+    this.bots.delete(playerId);
     
     // Check if game should end
     this.checkForHandEnd();
@@ -493,11 +635,52 @@ export class GameRoom {
     return true;
   }
 
+  /**
+   * A player leaving mid-hand loses what they bet, but it still has to be won - remember it for the side pots
+   */
+  keepDepartedBet(player) {
+    if (this.phase !== PHASES.WAITING && player.totalBetThisHand > 0) {
+      this.departedBets.push(player.totalBetThisHand);
+    }
+  }
+
+  /**
+   * Mark a disconnected player as away
+   * They keep their seat and cards (the action clock still runs) until they rejoin
+   */
+  markAway(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      return { success: false, error: 'Player not in room' };
+    }
+
+    player.isAway = true;
+    player.awaySince = Date.now();
+    return { success: true, seatIndex: player.seatIndex };
+  }
+
+  /**
+   * Move a player onto a new socket after they reconnect
+   */
+  rebindPlayer(playerId, socketId, username) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      return { success: false, error: 'Player not in room' };
+    }
+
+    player.socketId = socketId;
+    player.username = username || player.username;
+    player.isAway = false;
+    player.awaySince = null;
+
+    return { success: true, player, seatIndex: player.seatIndex };
+  }
+
   /**
    * Player requests a seat (requires host approval)
    */
-  requestSeat(socketId, seatIndex, buyIn = 1000) {
-    const player = this.players.get(socketId);
+  requestSeat(playerId, seatIndex, buyIn = 1000) {
+    const player = this.players.get(playerId);
     if (!player) {
       return { success: false, error: 'Player not in room' };
     }
@@ -514,27 +697,34 @@ export class GameRoom {
       return { success: false, error: 'Seat taken' };
     }
     
-    if (buyIn < this.bigBlind * 10) {
+    if (this.tournament && this.tournament.status !== 'registering') {
+      return { success: false, error: 'Registration is closed' };
+    }
+    
+    // Tournament stacks are fixed, so only cash games check the buy-in
+    if (this.tournament) {
+      buyIn = this.tournament.settings.startingStack;
+    } else if (buyIn < this.bigBlind * 10) {
       return { success: false, error: `Minimum buy-in is ${this.bigBlind * 10}` };
     }
 
     // Check if player already has a pending request
     for (const [, req] of this.seatRequests) {
-      if (req.socketId === socketId) {
+      if (req.playerId === playerId) {
         return { success: false, error: 'You already have a pending request' };
       }
     }
 
     // If the player is the host, auto-approve
-    if (socketId === this.hostId) {
-      return this.takeSeat(socketId, seatIndex, buyIn);
+    if (playerId === this.hostId) {
+      return this.takeSeat(playerId, seatIndex, buyIn);
     }
 
     // Create seat request
     const requestId = `req_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
     const request = {
       requestId,
-      socketId,
+      playerId,
       username: player.username,
       seatIndex,
       buyIn,
@@ -554,8 +744,8 @@ export class GameRoom {
   /**
    * Host approves a seat request
    */
-  approveSeatRequest(hostSocketId, requestId) {
-    if (hostSocketId !== this.hostId) {
+  approveSeatRequest(hostPlayerId, requestId) {
+    if (hostPlayerId !== this.hostId) {
       return { success: false, error: 'Only the host can approve requests' };
     }
 
@@ -571,28 +761,28 @@ export class GameRoom {
     }
 
     // Check if player is still in room
-    const player = this.players.get(request.socketId);
+    const player = this.players.get(request.playerId);
     if (!player) {
       this.seatRequests.delete(requestId);
       return { success: false, error: 'Player left the room' };
     }
 
     // Seat the player
-    const result = this.takeSeat(request.socketId, request.seatIndex, request.buyIn);
+    const result = this.takeSeat(request.playerId, request.seatIndex, request.buyIn);
     this.seatRequests.delete(requestId);
 
     return { 
       ...result, 
       approvedPlayer: request.username,
-      approvedSocketId: request.socketId 
+      approvedPlayerId: request.playerId 
     };
   }
 
   /**
    * Host denies a seat request
    */
-  denySeatRequest(hostSocketId, requestId) {
-    if (hostSocketId !== this.hostId) {
+  denySeatRequest(hostPlayerId, requestId) {
+    if (hostPlayerId !== this.hostId) {
       return { success: false, error: 'Only the host can deny requests' };
     }
 
@@ -606,16 +796,16 @@ export class GameRoom {
     return { 
       success: true, 
       deniedPlayer: request.username,
-      deniedSocketId: request.socketId 
+      deniedPlayerId: request.playerId 
     };
   }
 
   /**
    * Cancel own seat request
    */
-  cancelSeatRequest(socketId) {
+  cancelSeatRequest(playerId) {
     for (const [reqId, req] of this.seatRequests) {
-      if (req.socketId === socketId) {
+      if (req.playerId === playerId) {
         this.seatRequests.delete(reqId);
         return { success: true };
       }
@@ -633,8 +823,8 @@ export class GameRoom {
   /**
    * Player takes a seat (internal - called after approval)
    */
-  takeSeat(socketId, seatIndex, buyIn = 1000) {
-    const player = this.players.get(socketId);
+  takeSeat(playerId, seatIndex, buyIn = 1000) {
+    const player = this.players.get(playerId);
     if (!player) {
       return { success: false, error: 'Player not in room' };
     }
@@ -651,18 +841,29 @@ export class GameRoom {
       return { success: false, error: 'Seat taken' };
     }
 
+    // No re-buys once a tournament is under way
+    if (this.tournament) {
+      if (this.tournament.status !== 'registering') {
+        return { success: false, error: 'Registration is closed' };
+      }
+      buyIn = this.tournament.settings.startingStack;
+    }
+
     player.seatIndex = seatIndex;
     player.bankroll = buyIn;
     player.cards = [];
+    player.upCards = [];
     player.isFolded = false;
     player.isAllIn = false;
     player.currentBet = 0;
     player.totalBetThisHand = 0;
+    player.timeBank = this.timeBankSize;
     
     // If joining during an active hand, mark to wait for next hand
     player.waitingForNextHand = this.phase !== PHASES.WAITING && this.isGameRunning;
 
     this.seats[seatIndex] = player;
+    this.ledger.record(this, 'buy-in', player, buyIn);
 
     return { success: true, seatIndex, waitingForNextHand: player.waitingForNextHand };
   }
@@ -670,23 +871,32 @@ export class GameRoom {
   /**
    * Player leaves their seat
    */
-  leaveSeat(socketId) {
-    const player = this.players.get(socketId);
+  leaveSeat(playerId) {
+    const player = this.players.get(playerId);
     if (!player || player.seatIndex === null) {
       return { success: false, error: 'Not seated' };
     }
 
+    if (this.tournament?.isRunning) {
+      return { success: false, error: "You can't leave your seat during a tournament" };
+    }
+
     // Can't leave mid-hand if in a pot
     if (this.phase !== PHASES.WAITING && player.totalBetThisHand > 0 && !player.isFolded) {
       // Auto-fold them
       player.isFolded = true;
     }
 
+    // They take their stack with them - anything they bet stays in the pot
+    this.keepDepartedBet(player);
     const seatIndex = player.seatIndex;
+    const cashOut = player.bankroll;
+    player.bankroll = 0;
+    this.ledger.record(this, 'cash-out', player, -cashOut);
     this.seats[seatIndex] = null;
     player.seatIndex = null;
     player.cards = [];
-    player.bankroll = 0;
+    player.upCards = [];
 
     // If it was their turn, advance
     if (this.currentTurn === seatIndex) {
@@ -696,6 +906,145 @@ export class GameRoom {
     return { success: true, seatIndex };
   }
 
+  /**
+   * 🤖 Host seats a bot in an empty seat
+   */
+  addBot(hostPlayerId, seatIndex, strategyId = DEFAULT_BOT_STRATEGY, buyIn = 1000) {
+    if (hostPlayerId !== this.hostId) {
+      return { success: false, error: 'Only the host can add bots' };
+    }
+
+    const strategy = getBotStrategy(strategyId);
+    if (!strategy) {
+      return { success: false, error: 'Unknown bot strategy' };
+    }
+
+    if (!(buyIn > 0)) {
+      return { success: false, error: 'Invalid buy-in' };
+    }
+
+    // Named from the room clock so seeded simulations give the same IDs every run
+    const playerId = `bot-${seatIndex}-${this.clock.now().toString(36)}`;
+    const botNumbers = new Set(Array.from(this.players.values(), p => p.botNumber));
+    let botNumber = 1;
+    while (botNumbers.has(botNumber)) botNumber++;
+
+    this.addPlayer(playerId, null, `Bot ${botNumber}`);
+    const result = this.takeSeat(playerId, seatIndex, Math.floor(buyIn));
+    if (!result.success) {
+      this.players.delete(playerId);
+      return result;
+    }
+
+    const player = this.players.get(playerId);
+    player.isBot = true;
+    player.botNumber = botNumber;
+    player.botStrategy = strategy.id;
+    this.bots.set(playerId, strategy.create());
+
+    return { success: true, seatIndex, username: player.username, strategy: strategy.name };
+  }
+
+  /**
+   * 🤖 Host takes a bot out of its seat (it folds if it's in a hand)
+   */
+  removeBot(hostPlayerId, seatIndex) {
+    if (hostPlayerId !== this.hostId) {
+      return { success: false, error: 'Only the host can remove bots' };
+    }
+
+    const player = this.seats[seatIndex];
+    if (!player?.isBot) {
+      return { success: false, error: 'No bot in that seat' };
+    }
+
+    player.isFolded = true;
+    this.removePlayer(player.playerId);
+    return { success: true, seatIndex, username: player.username };
+  }
+
+  /**
+   * Players with a real person behind them (everyone but the bots)
+   */
+  getHumanPlayers() {
+    return Array.from(this.players.values()).filter(p => !p.isBot);
+  }
+
+  /**
+   * What a bot can see when it's its turn - see the strategy interface in bots.js
+   */
+  getBotContext(player) {
+    return {
+      variant: this.variant,
+      betting: this.betting,
+      phase: this.phase,
+      cards: [...player.cards],
+      upCards: [...(player.upCards || [])],
+      communityCards: [...this.communityCards],
+      bankroll: player.bankroll,
+      currentBet: player.currentBet,
+      tableBet: this.currentBet,
+      toCall: Math.max(0, this.currentBet - player.currentBet),
+      pot: this.pot,
+      minRaise: this.minRaise,
+      maxRaise: this.getMaxRaise(player),
+      bigBlind: this.bigBlind,
+      opponents: this.getActivePlayers().length - 1,
+      validActions: this.getValidActions(player.playerId)
+    };
+  }
+
+  /**
+   * Give the bot in the current seat its turn after a short pause
+   */
+  scheduleBotTurn() {
+    const player = this.currentTurn !== null ? this.seats[this.currentTurn] : null;
+    if (!player?.isBot || this.isPaused) return;
+
+    const { seatIndex } = player;
+    const handNumber = this.handNumber;
+    this.scheduler.schedule('bot-turn', BOT_THINK_TIME, () => {
+      // Skip it if the hand moved on without the bot
+      if (this.isGameRunning && !this.isPaused && this.handNumber === handNumber &&
+          this.currentTurn === seatIndex && this.seats[seatIndex] === player) {
+        this.playBotTurn(player);
+      }
+    });
+  }
+
+  /**
+   * Ask the bot's strategy for a decision and play it like any other action
+   * Anything the room rejects becomes a check, or a fold when there's a bet to call
+   */
+  playBotTurn(player) {
+    const strategy = this.bots.get(player.playerId);
+    const context = this.getBotContext(player);
+    let decision = null;
+    try {
+      decision = strategy?.decideAction(context);
+    } catch (err) {
+      console.error(`Bot ${player.username} failed to decide:`, err.message);
+    }
+
+    let result = context.validActions.includes(decision?.action)
+      ? this.playerAction(player.playerId, decision.action, Number(decision.amount) || 0)
+      : { success: false };
+    if (!result.success) {
+      const toCall = this.currentBet - player.currentBet;
+      result = this.playerAction(player.playerId, toCall > 0 ? ACTIONS.FOLD : ACTIONS.CHECK);
+    }
+
+    if (result.success && this.onAutoAdvance) {
+      this.onAutoAdvance('player-action', {
+        playerSeat: result.playerSeat,
+        username: player.username,
+        action: result.action,
+        amount: result.amount,
+        bot: true
+      });
+    }
+  }
+
   /**
    * Get seated players (excludes players waiting for next hand during active play)
    */
@@ -737,6 +1086,22 @@ export class GameRoom {
       return { success: false, error: 'Need at least 2 players' };
     }
 
+    if (this.tournament?.status === 'finished') {
+      return { success: false, error: 'Tournament is over - start a new one in settings' };
+    }
+
+    // Starting a tournament closes registration and resets everyone to the same stack
+    if (this.tournament?.status === 'registering') {
+      for (const player of seatedPlayers) {
+        const change = this.tournament.settings.startingStack - player.bankroll;
+        player.bankroll += change;
+        if (change !== 0) {
+          this.ledger.record(this, 'stack-reset', player, change);
+        }
+      }
+      this.tournament.start(seatedPlayers.length, this.clock.now());
+    }
+
     this.isGameRunning = true;
     this.isPaused = false;
     
@@ -752,6 +1117,7 @@ export class GameRoom {
       return { success: false, error: 'Game not running' };
     }
     this.isPaused = true;
+    this.pauseActionClock();
     return { success: true };
   }
 
@@ -763,6 +1129,8 @@ export class GameRoom {
       return { success: false, error: 'Game not running' };
     }
     this.isPaused = false;
+    this.resumeActionClock();
+    this.scheduleBotTurn();
     return { success: true };
   }
 
@@ -772,18 +1140,45 @@ export class GameRoom {
   stopGame() {
     this.isGameRunning = false;
     this.isPaused = false;
+    this.refundHand();
     this.resetHand();
+    HAND_TIMERS.forEach(name => this.scheduler.cancel(name));
     return { success: true };
   }
 
+  /**
+   * Hand stopped before it was decided - everyone still seated gets back what they put in
+   * (like a restart restores it); bets from players who have since left can't go back to anyone
+   */
+  refundHand() {
+    if (this.pot === 0) return;
+
+    for (const player of this.getAllSeatedPlayers()) {
+      const refund = Math.min(player.totalBetThisHand, this.pot);
+      if (refund > 0) {
+        player.bankroll += refund;
+        player.totalBetThisHand -= refund;
+        this.pot -= refund;
+        this.ledger.record(this, 'refund', player, refund);
+      }
+    }
+    if (this.pot > 0) {
+      const forfeited = this.pot;
+      this.pot = 0;
+      this.ledger.record(this, 'forfeit', null, -forfeited);
+    }
+    this.checkChipConservation('refund');
+  }
+
   /**
    * Start a new hand
    */
   startHand() {
     // Clear waitingForNextHand flag for all seated players at start of new hand
+    // (reserved seats sit out until their owner reconnects)
     for (const player of this.seats) {
       if (player) {
-        player.waitingForNextHand = false;
+        player.waitingForNextHand = player.isReserved;
       }
     }
     
@@ -795,21 +1190,48 @@ export class GameRoom {
     }
 
     // Reset game state
-    this.deck = shuffleDeck(createDeck());
     this.communityCards = [];
     this.pot = 0;
     this.sidePots = [];
+    this.departedBets = [];
     this.currentBet = 0;
+    this.antesThisHand = 0;
     this.actedThisRound = new Set();
     this.handNumber++;
+    this.runItTwiceOffered = false;
+    this.runItTwiceSettled = false;
+    this.runItTwiceVotes = new Map();
+    this.runItTwiceEligiblePlayers = [];
+    this.runCount = 1;
+    this.extraBoards = [];
+    this.equity = null;
+    
+    // Tournament blinds follow the schedule
+    let levelUp = null;
+    if (this.tournament?.isRunning) {
+      levelUp = this.tournament.startHand(this.clock.now());
+      const { smallBlind, bigBlind, ante } = this.tournament.currentLevel;
+      this.smallBlind = smallBlind;
+      this.bigBlind = bigBlind;
+      this.ante = ante;
+    }
+    
+    // Top up time banks every N hands
+    if (this.timeBankRefillHands > 0 && this.handNumber % this.timeBankRefillHands === 0) {
+      for (const player of seatedPlayers) {
+        player.timeBank = this.timeBankSize;
+      }
+    }
 
     // Reset player states
     for (const player of seatedPlayers) {
       player.cards = [];
+      player.upCards = [];
       player.isFolded = false;
       player.isAllIn = false;
       player.currentBet = 0;
       player.totalBetThisHand = 0;
+      player.stackAtHandStart = player.bankroll;
     }
 
     // Move dealer button
@@ -820,6 +1242,46 @@ export class GameRoom {
       this.dealerSeat = this.findNextOccupiedSeat(this.dealerSeat);
     }
 
+    // Mixed games: the rotation picks this hand's game once the button has moved
+    let gameChange = null;
+    if (this.rotation) {
+      const game = this.rotation.startHand(this.seats[this.dealerSeat]?.playerId, seatedPlayers.length);
+      if (game && (game.variant !== this.variant.id || game.fixedLimit !== this.fixedLimit)) {
+        this.variant = getVariant(game.variant);
+        this.fixedLimit = game.fixedLimit;
+        gameChange = { variant: this.variant.id, name: getGameName(game), fixedLimit: this.fixedLimit };
+      }
+    }
+    this.handShuffle = this.upcomingShuffle;
+    this.nextShuffle = null;
+    this.deck = shuffleDeck(createDeck(this.variant), createSeedRandom(this.handShuffle.seed));
+
+    // 💣 Bomb pots need a board, so a called one waits out any stud hands
+    const bombPotDue = this.bombPotQueued || (this.bombPotEvery > 0 && this.handNumber % this.bombPotEvery === 0);
+    this.bombPot = bombPotDue && this.variant.dealing === DEALING.BOARD
+      ? { ante: this.bombPotAnte, doubleBoard: this.bombPotDoubleBoard }
+      : null;
+    
+    // Open the history record while stacks are still pre-blind
+    this.handHistory.beginHand(this, seatedPlayers);
+
+    if (this.bombPot) {
+      return this.startBombPot(seatedPlayers, levelUp, gameChange);
+    }
+
+    // Stud has no blinds or board - everyone antes and the lowest card showing brings it in instead
+    if (this.variant.dealing === DEALING.STUD) {
+      return this.startStudHand(seatedPlayers, levelUp, gameChange);
+    }
+
+    // Antes go straight into the pot, before the blinds
+    if (this.ante > 0) {
+      for (const player of seatedPlayers) {
+        const antePosted = this.postAnte(player.seatIndex, this.ante, 'ante');
+        this.handHistory.recordBlind(player.seatIndex, 'ante', antePosted);
+      }
+    }
+
     // Post blinds - special case for heads-up (2 players)
     let sbSeat, bbSeat;
     if (seatedPlayers.length === 2) {
@@ -832,22 +1294,66 @@ export class GameRoom {
       bbSeat = this.findNextOccupiedSeat(sbSeat);
     }
     
-    this.postBlind(sbSeat, this.smallBlind);
-    this.postBlind(bbSeat, this.bigBlind);
+    const sbPosted = this.postBlind(sbSeat, this.smallBlind, 'small');
+    const bbPosted = this.postBlind(bbSeat, this.bigBlind, 'big');
+    this.handHistory.recordBlind(sbSeat, 'small', sbPosted);
+    this.handHistory.recordBlind(bbSeat, 'big', bbPosted);
+    
+    // Big blind ante comes out after the big blind, so a short stack covers the blind first
+    // (tournament levels use per-player antes only, so a tournament has no big blind ante)
+    if (this.bigBlindAnte > 0) {
+      const bbAntePosted = this.postAnte(bbSeat, this.bigBlindAnte, 'big-blind-ante');
+      this.handHistory.recordBlind(bbSeat, 'big-blind-ante', bbAntePosted);
+    }
     
     this.currentBet = this.bigBlind;
     this.minRaise = this.bigBlind;
     this.lastRaiser = bbSeat;
+    this.raisesThisRound = 1; // The big blind counts as the opening bet
     
     // Track blind positions for this hand
     this.sbSeat = sbSeat;
     this.bbSeat = bbSeat;
 
-    // Deal 2 cards to each seated player
-    // 🃏 God mode: rig the hand if set
-    if (this.godModePlayer && this.riggedHand) {
+    // A straddle is a blind raise to twice the big blind - it resets the bet and buys the last option
+    const straddleSeat = this.findStraddleSeat(bbSeat, seatedPlayers.length);
+    if (straddleSeat !== -1) {
+      const straddlePosted = this.postBlind(straddleSeat, this.bigBlind * 2, 'straddle');
+      this.handHistory.recordBlind(straddleSeat, 'straddle', straddlePosted);
+      this.currentBet = straddlePosted;
+      this.minRaise = straddlePosted;
+      this.lastRaiser = straddleSeat;
+    }
+    this.straddleSeat = straddleSeat;
+
+    this.dealHoleCards(seatedPlayers);
+
+    this.phase = PHASES.PRE_FLOP;
+    this.handHistory.recordDeal(this);
+    
+    // BB has NOT acted yet - they get option to raise even if everyone calls
+    // Do NOT add BB to actedThisRound here
+    
+    // First to act preflop is after big blind (or the straddle, who gets the last option)
+    // A button straddle is skipped until after the big blind, so UTG still opens (Mayfair rule)
+    // In heads-up, dealer/SB acts first
+    if (straddleSeat !== -1) {
+      this.openAction(this.findNextToAct(straddleSeat));
+    } else {
+      this.openAction(seatedPlayers.length === 2 ? sbSeat : this.findNextOccupiedSeat(bbSeat));
+    }
+
+    return { success: true, dealerSeat: this.dealerSeat, sbSeat, bbSeat, straddleSeat, levelUp, gameChange };
+  }
+
+  /**
+   * Deal hole cards to each seated player
+   * 🃏 God mode: rig the hand if set (rigged hands are built for 2-card games with a full deck)
+   */
+  dealHoleCards(seatedPlayers) {
+    if (this.godModePlayer && this.riggedHand && this.variant.holeCards === 2 && !this.variant.shortDeck) {
       // Count opponents for rigging their hands too
-      const opponents = seatedPlayers.filter(p => p.socketId !== this.godModePlayer);
+      const opponents = seatedPlayers.filter(p => p.playerId !== this.godModePlayer);
       const riggedCards = this.generateRiggedHand(this.riggedHand, opponents.length);
       
       // Remove ALL rigged cards from deck FIRST
@@ -866,7 +1372,7 @@ export class GameRoom {
       // Deal cards - god gets rigged hand, opponents get strong losing hands
       let opponentIndex = 0;
       for (const player of seatedPlayers) {
-        if (player.socketId === this.godModePlayer) {
+        if (player.playerId === this.godModePlayer) {
           // Give god mode player the rigged hole cards
           player.cards = riggedCards.holeCards;
         } else if (riggedCards.opponentHands && riggedCards.opponentHands[opponentIndex]) {
@@ -875,7 +1381,7 @@ export class GameRoom {
           opponentIndex++;
         } else {
           // Fallback: deal normally from filtered deck
-          const { dealt, remaining } = dealCards(this.deck, 2);
+          const { dealt, remaining } = dealCards(this.deck, this.variant.holeCards);
           player.cards = dealt;
           this.deck = remaining;
         }
@@ -885,81 +1391,295 @@ export class GameRoom {
     } else {
       // Normal dealing
       for (const player of seatedPlayers) {
-        const { dealt, remaining } = dealCards(this.deck, 2);
+        const { dealt, remaining } = dealCards(this.deck, this.variant.holeCards);
         player.cards = dealt;
         this.deck = remaining;
       }
     }
+  }
 
-    this.phase = PHASES.PRE_FLOP;
-    
-    // First to act preflop is after big blind
-    // In heads-up, dealer/SB acts first
-    if (seatedPlayers.length === 2) {
-      this.currentTurn = sbSeat;
-    } else {
-      this.currentTurn = this.findNextOccupiedSeat(bbSeat);
+  /**
+   * 💣 Bomb pot: everyone antes instead of posting blinds, preflop betting is skipped
+   * and the action starts on the flop (on two boards when doubleBoard is set)
+   */
+  startBombPot(seatedPlayers, levelUp, gameChange) {
+    this.bombPotQueued = false;
+    this.sbSeat = -1;
+    this.bbSeat = -1;
+    this.straddleSeat = -1;
+
+    for (const player of seatedPlayers) {
+      const posted = this.postAnte(player.seatIndex, this.bombPot.ante, 'bomb-pot');
+      this.handHistory.recordBlind(player.seatIndex, 'bomb-pot', posted);
     }
-    
-    // BB has NOT acted yet - they get option to raise even if everyone calls
-    // Do NOT add BB to actedThisRound here
 
-    return { success: true, dealerSeat: this.dealerSeat, sbSeat, bbSeat };
+    this.dealHoleCards(seatedPlayers);
+    this.phase = PHASES.PRE_FLOP;
+    this.handHistory.recordDeal(this);
+    this.extraBoards = this.bombPot.doubleBoard ? [[]] : [];
+
+    const flop = this.dealFlop();
+    this.minRaise = this.getStreetBetSize();
+    this.lastRaiser = null;
+    this.raisesThisRound = 0;
+    this.openAction(this.findNextActivePlayer(this.dealerSeat));
+
+    return {
+      success: true,
+      dealerSeat: this.dealerSeat,
+      bombPot: this.bombPot,
+      cards: flop.cards,
+      extraBoardCards: flop.extraBoardCards,
+      levelUp,
+      gameChange
+    };
   }
 
   /**
-   * Post a blind bet
+   * 📈 Win/tie odds for the players still in an all-in hand, averaged over every board being dealt
+   * Returns { exact, seats: { seatIndex: { win, tie, equity } } }, or null for stud games
    */
-  postBlind(seatIndex, amount) {
-    const player = this.seats[seatIndex];
-    if (!player) return;
+  calculateAllInEquity() {
+    if (this.variant.dealing !== DEALING.BOARD) return null;
+
+    const players = this.getActivePlayers();
+    const boards = [this.communityCards, ...this.extraBoards];
+    const results = boards.map((board, i) => calculateEquity(
+      players.map(p => p.cards),
+      board,
+      this.variant,
+      { deadCards: boards.filter((_, j) => j !== i).flat() }
+    ));
+
+    const average = (index, key) =>
+      Math.round(results.reduce((sum, r) => sum + r.players[index][key], 0) / results.length * 10) / 10;
+    return {
+      exact: results.every(r => r.exact),
+      seats: Object.fromEntries(players.map((player, i) => [
+        player.seatIndex,
+        { win: average(i, 'win'), tie: average(i, 'tie'), equity: average(i, 'equity') }
+      ]))
+    };
+  }
 
-    const actualAmount = Math.min(amount, player.bankroll);
-    player.bankroll -= actualAmount;
-    player.currentBet = actualAmount;
-    player.totalBetThisHand += actualAmount;
-    this.pot += actualAmount;
+  /**
+   * 🔒 Seed for the next hand, drawn the first time anyone asks so its hash can go out before the deal
+   */
+  get upcomingShuffle() {
+    if (!this.nextShuffle) {
+      this.nextShuffle = createShuffle(this.random);
+    }
+    return this.nextShuffle;
+  }
 
-    if (player.bankroll === 0) {
-      player.isAllIn = true;
+  /**
+   * 🔒 The last finished hand whose deal can be checked - the seed itself only comes
+   * with the hand history, and only for players dealt into the hand (see redactHand)
+   */
+  getRevealedShuffle() {
+    const hand = this.handHistory.hands[this.handHistory.hands.length - 1];
+    return hand?.shuffle ? { handNumber: hand.handNumber, commitment: hand.shuffle.commitment } : null;
+  }
+
+  /**
+   * Boards this hand is dealt on - more than one when Run It Twice was agreed, or a double-board bomb pot
+   */
+  get boardCount() {
+    return 1 + this.extraBoards.length;
+  }
+
+  /**
+   * Host calls a bomb pot for the next hand
+   */
+  queueBombPot(playerId) {
+    if (playerId !== this.hostId) {
+      return { success: false, error: 'Only the host can call a bomb pot' };
+    }
+    if (this.bombPotQueued) {
+      return { success: false, error: 'A bomb pot is already coming up' };
     }
+
+    this.bombPotQueued = true;
+    return { success: true, ante: this.bombPotAnte, doubleBoard: this.bombPotDoubleBoard };
   }
 
   /**
-   * Player action: fold, check, call, bet, raise
+   * 🂠 Stud: deal third street, post the bring-in and open the betting
+   * Bring-in is the small blind amount, completing it is the big blind
    */
-  playerAction(socketId, action, amount = 0) {
-    const player = this.players.get(socketId);
-    if (!player || player.seatIndex === null) {
-      return { success: false, error: 'Not seated' };
+  startStudHand(seatedPlayers, levelUp, gameChange) {
+    this.sbSeat = -1;
+    this.bbSeat = -1;
+    this.straddleSeat = -1;
+
+    // Stud antes on its own setting - in a tournament the blind schedule's ante applies to every game
+    const ante = this.tournament ? this.ante : this.studAnte;
+    if (ante > 0) {
+      for (const player of seatedPlayers) {
+        const antePosted = this.postAnte(player.seatIndex, ante, 'ante');
+        this.handHistory.recordBlind(player.seatIndex, 'ante', antePosted);
+      }
     }
 
-    if (this.phase === PHASES.WAITING || this.phase === PHASES.SHOWDOWN) {
-      return { success: false, error: 'No betting now' };
+    this.dealStudStreet(PHASES.THIRD_STREET);
+    this.handHistory.recordDeal(this);
+
+    const bringInSeat = this.findBringInSeat();
+    const bringInPosted = this.postBlind(bringInSeat, this.smallBlind, 'bring-in');
+    this.handHistory.recordBlind(bringInSeat, 'bring-in', bringInPosted);
+
+    this.currentBet = this.smallBlind;
+    this.minRaise = Math.max(1, this.bigBlind - this.smallBlind);
+    this.lastRaiser = bringInSeat;
+    this.raisesThisRound = 0; // Completing the bring-in is the opening bet
+    // The bring-in is a bet - if everyone just calls, the round is over
+    this.actedThisRound.add(bringInSeat);
+
+    this.openAction(this.findNextOccupiedSeat(bringInSeat));
+
+    return { success: true, dealerSeat: this.dealerSeat, bringInSeat, levelUp, gameChange };
+  }
+
+  /**
+   * Give the first decision of a hand to firstSeat
+   * Skips anyone the forced bets put all-in, and runs the cards out if nobody can act
+   */
+  openAction(firstSeat) {
+    this.currentTurn = firstSeat;
+    for (let i = 0; i < this.maxPlayers && this.seats[this.currentTurn]?.isAllIn; i++) {
+      this.currentTurn = this.findNextToAct(this.currentTurn);
     }
 
-    if (this.currentTurn !== player.seatIndex) {
-      return { success: false, error: 'Not your turn' };
+    if (this.getActingPlayers().length === 0) {
+      this.currentTurn = null;
+      this.scheduler.schedule('runout', this.getDelay('runoutDelay'), () => {
+        if (this.isGameRunning && !this.isPaused) {
+          this.advancePhase();
+        }
+      });
+    } else {
+      this.startActionClock();
     }
+  }
 
-    if (player.isFolded || player.isAllIn) {
-      return { success: false, error: 'Cannot act' };
+  /**
+   * Find who straddles this hand, or -1
+   * A button straddle takes priority over UTG, and the straddler must be able to cover it
+   */
+  findStraddleSeat(bbSeat, playerCount) {
+    if (!this.straddleEnabled || playerCount < 3 || this.betting === BETTING.FIXED_LIMIT) {
+      return -1;
     }
+    const canStraddle = (seatIndex, type) =>
+      this.seats[seatIndex]?.straddle === type && this.seats[seatIndex].bankroll > this.bigBlind * 2;
 
-    const toCall = this.currentBet - player.currentBet;
-    let actionTaken = action;
-    let betAmount = 0;
+    if (canStraddle(this.dealerSeat, 'button')) {
+      return this.dealerSeat;
+    }
+    const utgSeat = this.findNextOccupiedSeat(bbSeat);
+    return canStraddle(utgSeat, 'utg') ? utgSeat : -1;
+  }
 
-    switch (action) {
-      case ACTIONS.FOLD:
-        player.isFolded = true;
-        break;
+  /**
+   * Opt into (or out of) straddling from the next hand the player is in position
+   * type is 'utg', 'button' or null
+   */
+  setStraddle(playerId, type) {
+    const player = this.players.get(playerId);
+    if (!player || player.seatIndex === null) {
+      return { success: false, error: 'Not seated' };
+    }
+    if (type !== null && !this.straddleEnabled) {
+      return { success: false, error: 'Straddles are turned off' };
+    }
+    if (![null, 'utg', 'button'].includes(type)) {
+      return { success: false, error: 'Invalid straddle' };
+    }
 
-      case ACTIONS.CHECK:
-        if (toCall > 0) {
-          return { success: false, error: 'Cannot check, must call or raise' };
-        }
-        break;
+    player.straddle = type;
+    return { success: true, straddle: type };
+  }
+
+  /**
+   * Post an ante - dead money that doesn't count toward the bet to call
+   * kind is what the ledger calls it ('ante', 'big-blind-ante' or 'bomb-pot')
+   * Returns the amount actually posted
+   */
+  postAnte(seatIndex, amount, kind) {
+    const player = this.seats[seatIndex];
+    if (!player) return 0;
+
+    const actualAmount = Math.min(amount, player.bankroll);
+    player.bankroll -= actualAmount;
+    player.totalBetThisHand += actualAmount;
+    this.pot += actualAmount;
+    this.antesThisHand += actualAmount;
+    this.ledger.record(this, 'ante', player, -actualAmount, { kind });
+
+    if (player.bankroll === 0) {
+      player.isAllIn = true;
+    }
+
+    return actualAmount;
+  }
+
+  /**
+   * Post a blind bet ('small', 'big', 'straddle' or 'bring-in' in the ledger)
+   * Returns the amount actually posted (less than the blind if short-stacked)
+   */
+  postBlind(seatIndex, amount, kind) {
+    const player = this.seats[seatIndex];
+    if (!player) return 0;
+
+    const actualAmount = Math.min(amount, player.bankroll);
+    player.bankroll -= actualAmount;
+    player.currentBet = actualAmount;
+    player.totalBetThisHand += actualAmount;
+    this.pot += actualAmount;
+    this.ledger.record(this, 'blind', player, -actualAmount, { kind });
+
+    if (player.bankroll === 0) {
+      player.isAllIn = true;
+    }
+    
+    return actualAmount;
+  }
+
+  /**
+   * Player action: fold, check, call, bet, raise
+   */
+  playerAction(playerId, action, amount = 0) {
+    const player = this.players.get(playerId);
+    if (!player || player.seatIndex === null) {
+      return { success: false, error: 'Not seated' };
+    }
+
+    if (this.phase === PHASES.WAITING || this.phase === PHASES.SHOWDOWN) {
+      return { success: false, error: 'No betting now' };
+    }
+
+    if (this.currentTurn !== player.seatIndex) {
+      return { success: false, error: 'Not your turn' };
+    }
+
+    if (player.isFolded || player.isAllIn) {
+      return { success: false, error: 'Cannot act' };
+    }
+
+    const toCall = this.currentBet - player.currentBet;
+    let actionTaken = action;
+    let betAmount = 0;
+
+    switch (action) {
+      case ACTIONS.FOLD:
+        player.isFolded = true;
+        break;
+
+      case ACTIONS.CHECK:
+        if (toCall > 0) {
+          return { success: false, error: 'Cannot check, must call or raise' };
+        }
+        break;
 
       case ACTIONS.CALL:
         if (toCall === 0) {
@@ -980,12 +1700,20 @@ export class GameRoom {
 
       case ACTIONS.BET:
       case ACTIONS.RAISE: {
-        const raiseAmount = amount;
+        // Fixed limit has exactly one legal size, whatever the client asked for
+        const isFixedLimit = this.betting === BETTING.FIXED_LIMIT;
+        if (isFixedLimit && this.raisesThisRound >= this.raiseCap) {
+          return { success: false, error: 'Betting is capped this round' };
+        }
+        const raiseAmount = isFixedLimit ? this.getLimitRaise() : amount;
         // Min-raise check: only enforce if player has enough chips
         // If player doesn't have enough for min-raise, they can still go all-in
         if (raiseAmount < this.minRaise && player.bankroll > (toCall + raiseAmount)) {
           return { success: false, error: `Minimum raise is ${this.minRaise}` };
         }
+        if (!isFixedLimit && raiseAmount > this.getMaxRaise(player)) {
+          return { success: false, error: `Pot limit - maximum raise is ${this.getMaxRaise(player)}` };
+        }
         
         const totalBet = toCall + raiseAmount;
         betAmount = Math.min(totalBet, player.bankroll);
@@ -1000,6 +1728,7 @@ export class GameRoom {
           // A legal raise reopens betting; all-in for less does not
           if (raiseBy >= this.minRaise) {
             this.minRaise = raiseBy; // Next raise must be at least this amount
+            this.raisesThisRound++;
             // Reset acted set since there's a new bet to respond to
             this.actedThisRound = new Set([player.seatIndex]);
           }
@@ -1015,6 +1744,14 @@ export class GameRoom {
       }
         
       case ACTIONS.ALL_IN:
+        if (player.bankroll - toCall > this.getMaxRaise(player)) {
+          return {
+            success: false,
+            error: this.betting === BETTING.FIXED_LIMIT
+              ? 'Fixed limit - not enough chips left to go all-in for less than a raise'
+              : `Pot limit - maximum raise is ${this.getMaxRaise(player)}`
+          };
+        }
         betAmount = player.bankroll;
         player.currentBet += betAmount;
         player.totalBetThisHand += betAmount;
@@ -1027,6 +1764,7 @@ export class GameRoom {
           // Only update minRaise if this is a full raise
           if (raiseBy >= this.minRaise) {
             this.minRaise = raiseBy;
+            this.raisesThisRound++;
             this.actedThisRound = new Set([player.seatIndex]);
           }
           this.currentBet = player.currentBet;
@@ -1039,8 +1777,24 @@ export class GameRoom {
         return { success: false, error: 'Invalid action' };
     }
 
+    // The action stands - charge any time bank used for this decision and stop the clock
+    // (a rejected action leaves the clock running)
+    this.stopActionClock(player);
+
     // Mark player as having acted
     this.actedThisRound.add(player.seatIndex);
+    
+    this.handHistory.recordAction(this.phase, {
+      seatIndex: player.seatIndex,
+      username: player.username,
+      action: actionTaken,
+      amount: betAmount,
+      totalBet: player.currentBet,
+      pot: this.pot
+    });
+    if (betAmount > 0) {
+      this.ledger.record(this, 'bet', player, -betAmount, { action: actionTaken });
+    }
 
     // Check for hand end conditions
     const handEnded = this.checkForHandEnd();
@@ -1049,6 +1803,7 @@ export class GameRoom {
       // Move to next player or next phase
       this.advanceGame();
     }
+    this.checkChipConservation(`${actionTaken} by ${player.username}`);
 
     return { 
       success: true, 
@@ -1077,10 +1832,13 @@ export class GameRoom {
    * Award pot to winner (when everyone else folded - no showdown)
    */
   awardPot(winner) {
+    this.clearActionClock();
     const potWon = this.pot;
     winner.bankroll += potWon;
     this.pot = 0;
     this.phase = PHASES.SHOWDOWN;
+    this.ledger.record(this, 'award', winner, potWon);
+    this.checkChipConservation('award');
     
     // Store win data (but no cards shown - they won without showdown)
     this.showdownData = {
@@ -1105,6 +1863,7 @@ export class GameRoom {
       potShare: potWon,
       noShowdown: true // Flag indicating everyone else folded
     };
+    this.handHistory.finishHand(this, this.showdownData);
     
     // Trigger win event
     if (this.onAutoAdvance) {
@@ -1113,30 +1872,77 @@ export class GameRoom {
     
     // Auto-start next hand after delay if game is running
     if (this.isGameRunning && !this.isPaused) {
-      setTimeout(() => {
+      this.scheduler.schedule('next-hand', this.getDelay('handEndDelay'), () => {
         if (this.isGameRunning && !this.isPaused) {
           // Clear showdown data
           this.showdownData = null;
           
-          // Remove busted players before starting next hand
-          const bustedPlayers = this.removeBustedPlayers();
-          if (bustedPlayers.length > 0 && this.onAutoAdvance) {
-            this.onAutoAdvance('players-busted', { bustedPlayers });
-          }
-          
-          if (this.getSeatedPlayers().length >= 2) {
-            const result = this.startHand();
-            if (this.onAutoAdvance) {
-              this.onAutoAdvance('new-hand', result);
-            }
-          } else {
-            this.isGameRunning = false;
-            if (this.onAutoAdvance) {
-              this.onAutoAdvance('game-stopped', { reason: 'Not enough players' });
-            }
-          }
+          this.continueToNextHand();
         }
-      }, 4000); // 4 seconds before next hand
+      });
+    }
+  }
+
+  /**
+   * 🧾 Chips in every stack plus the pot
+   */
+  getTableChips() {
+    return this.getAllSeatedPlayers().reduce((sum, player) => sum + player.bankroll, this.pot);
+  }
+
+  /**
+   * 🧾 Make sure no chips were created or lost - the table should hold exactly what the ledger says
+   * A mismatch is logged and recorded in the ledger (which then counts from the real total)
+   */
+  checkChipConservation(event) {
+    const actual = this.getTableChips();
+    const expected = this.ledger.tableChips;
+    if (actual === expected) return true;
+
+    console.error(`Room ${this.id} hand #${this.handNumber}: expected ${expected} chips after ${event}, found ${actual}`);
+    this.ledger.record(this, 'discrepancy', null, actual - expected, { event, expected, actual });
+    return false;
+  }
+
+  /**
+   * 🧾 Ledger entries for showdown awards (seatIndex -> { high, low }), once the pot is cleared
+   */
+  recordAwards(awards, board = null) {
+    for (const [seatIndex, { high, low }] of awards) {
+      this.ledger.record(this, 'award', this.seats[seatIndex], high + low, {
+        ...(board !== null && { board }),
+        ...(low > 0 && { high, low })
+      });
+    }
+  }
+
+  /**
+   * Clear out busted players and deal the next hand, or stop if the table is short
+   */
+  continueToNextHand() {
+    // Remove busted players before starting next hand
+    const bustedPlayers = this.removeBustedPlayers();
+    if (bustedPlayers.length > 0 && this.onAutoAdvance) {
+      this.onAutoAdvance('players-busted', { bustedPlayers });
+    }
+    
+    if (this.getSeatedPlayers().length >= 2) {
+      const result = this.startHand();
+      if (this.onAutoAdvance) {
+        this.onAutoAdvance('new-hand', result);
+      }
+    } else if (this.tournament?.isRunning) {
+      // Last player standing wins the tournament
+      this.isGameRunning = false;
+      const results = this.tournament.finish(this.getSeatedPlayers()[0], this.clock.now());
+      if (this.onAutoAdvance) {
+        this.onAutoAdvance('tournament-finished', results);
+      }
+    } else {
+      this.isGameRunning = false;
+      if (this.onAutoAdvance) {
+        this.onAutoAdvance('game-stopped', { reason: 'Not enough players' });
+      }
     }
   }
 
@@ -1181,16 +1987,17 @@ export class GameRoom {
    */
   advanceToNextPlayer() {
     const startSeat = this.currentTurn;
-    let nextSeat = this.findNextOccupiedSeat(this.currentTurn);
+    let nextSeat = this.findNextToAct(this.currentTurn);
     let attempts = 0;
     
     while (attempts < this.maxPlayers) {
       const player = this.seats[nextSeat];
       if (player && !player.isFolded && !player.isAllIn) {
         this.currentTurn = nextSeat;
+        this.startActionClock();
         return;
       }
-      nextSeat = this.findNextOccupiedSeat(nextSeat);
+      nextSeat = this.findNextToAct(nextSeat);
       attempts++;
       
       if (nextSeat === startSeat) break;
@@ -1204,6 +2011,8 @@ export class GameRoom {
    * Advance to next phase and deal cards
    */
   advancePhase() {
+    this.clearActionClock();
+    
     // Reset betting round state
     for (const player of this.getSeatedPlayers()) {
       player.currentBet = 0;
@@ -1211,6 +2020,7 @@ export class GameRoom {
     this.currentBet = 0;
     this.minRaise = this.bigBlind;
     this.actedThisRound = new Set();
+    this.raisesThisRound = 0;
 
     // Check if all remaining players are all-in (no more betting possible)
     const actingPlayers = this.getActingPlayers();
@@ -1219,32 +2029,46 @@ export class GameRoom {
     
     // Check if Run It Twice should be offered (all-in with cards left to deal)
     // Only offer if RIT is enabled in settings
-    if (this.runItTwiceEnabled && allPlayersAllIn && !this.runItTwiceOffered && !this.runItTwiceAccepted && this.phase !== PHASES.RIVER) {
+    if (this.runItTwiceEnabled && allPlayersAllIn && !this.runItTwiceOffered && !this.runItTwiceSettled && this.boardCount === 1 && this.phase !== PHASES.RIVER && this.variant.dealing === DEALING.BOARD) {
+      this.equity = this.calculateAllInEquity();
       this.offerRunItTwice();
       return; // Wait for votes before continuing
     }
 
+    const streets = this.variant.streets;
+    const streetIndex = streets.indexOf(this.phase);
+    if (streetIndex === -1) return;
+
+    // Last street played - go to showdown
+    if (streetIndex === streets.length - 1) {
+      // Run It Twice and double-board bomb pots split each pot between the boards
+      if (this.boardCount > 1) {
+        this.goToMultiBoardShowdown();
+      } else {
+        this.goToShowdown();
+      }
+      return;
+    }
+
     let result;
-    switch (this.phase) {
-      case PHASES.PRE_FLOP:
+    switch (streets[streetIndex + 1]) {
+      case PHASES.FLOP:
         result = this.dealFlop();
         break;
-      case PHASES.FLOP:
+      case PHASES.TURN:
         result = this.dealTurn();
         break;
-      case PHASES.TURN:
+      case PHASES.RIVER:
         result = this.dealRiver();
         break;
-      case PHASES.RIVER:
-        // If Run It Twice was accepted, handle dual showdown
-        if (this.runItTwiceAccepted) {
-          this.goToRunItTwiceShowdown();
-        } else {
-          this.goToShowdown();
-        }
-        return;
       default:
-        return;
+        result = this.dealStudStreet(streets[streetIndex + 1]);
+    }
+    this.minRaise = this.getStreetBetSize();
+
+    // 📈 Everyone sees the odds as the board runs out
+    if (allPlayersAllIn || this.runCount > 1) {
+      this.equity = this.calculateAllInEquity();
     }
 
     // Trigger callback for server to broadcast
@@ -1253,18 +2077,163 @@ export class GameRoom {
     }
 
     // If all players are all-in, automatically run out the board
-    if (allPlayersAllIn || this.runItTwiceAccepted) {
-      setTimeout(() => {
+    if (allPlayersAllIn || this.runCount > 1) {
+      this.scheduler.schedule('runout', this.getDelay('runoutDelay'), () => {
         if (this.isGameRunning && !this.isPaused) {
           this.advancePhase();
         }
-      }, 1500); // Delay between cards for dramatic effect
+      }); // Delay between cards for dramatic effect
       return;
     }
 
     // Post-flop: First to act is first active player from SB position
     // In heads-up, the non-dealer (BB) acts first post-flop
-    this.currentTurn = this.findNextActivePlayer(this.dealerSeat);
+    // Stud: the best hand showing acts first
+    this.currentTurn = this.variant.dealing === DEALING.STUD
+      ? this.findStudFirstToAct()
+      : this.findNextActivePlayer(this.dealerSeat);
+    this.startActionClock();
+  }
+  
+  /**
+   * Start the shot clock for the player whose turn it is
+   */
+  startActionClock() {
+    this.clearActionClock();
+    this.scheduleBotTurn();
+    
+    if (this.actionTimeout <= 0 || this.currentTurn === null) return;
+    
+    const player = this.seats[this.currentTurn];
+    if (!player || player.isFolded || player.isAllIn) return;
+    
+    const now = this.clock.now();
+    const duration = this.actionTimeout * 1000;
+    this.actionClock = {
+      seatIndex: this.currentTurn,
+      startedAt: now,
+      endsAt: now + duration,
+      usingTimeBank: false,
+      pausedRemaining: null
+    };
+    
+    if (this.isPaused) {
+      this.actionClock.pausedRemaining = duration;
+      return;
+    }
+    
+    this.scheduler.schedule('action-clock', duration, () => this.handleActionClockExpired());
+  }
+  
+  /**
+   * Cancel the pending clock without charging anyone
+   */
+  clearActionClock() {
+    this.scheduler.cancel('action-clock');
+    this.scheduler.cancel('bot-turn');
+    this.actionClock = null;
+  }
+  
+  /**
+   * Stop the clock when a player acts, deducting any time bank they burned
+   */
+  stopActionClock(player) {
+    const clock = this.actionClock;
+    if (clock && clock.usingTimeBank && clock.seatIndex === player.seatIndex) {
+      const usedSeconds = Math.ceil((this.clock.now() - clock.startedAt) / 1000);
+      player.timeBank = Math.max(0, player.timeBank - usedSeconds);
+    }
+    this.clearActionClock();
+  }
+  
+  /**
+   * Freeze the clock while the game is paused
+   */
+  pauseActionClock() {
+    if (!this.actionClock || this.actionClock.pausedRemaining !== null) return;
+    
+    this.scheduler.cancel('action-clock');
+    this.actionClock.pausedRemaining = Math.max(0, this.actionClock.endsAt - this.clock.now());
+  }
+  
+  /**
+   * Pick the clock back up with whatever time was left when paused
+   */
+  resumeActionClock() {
+    const clock = this.actionClock;
+    if (!clock || clock.pausedRemaining === null) return;
+    
+    const now = this.clock.now();
+    const remaining = clock.pausedRemaining;
+    // Keep time bank usage accurate by shifting the start forward
+    clock.startedAt += now - (clock.endsAt - remaining);
+    clock.endsAt = now + remaining;
+    clock.pausedRemaining = null;
+    this.scheduler.schedule('action-clock', remaining, () => this.handleActionClockExpired());
+  }
+  
+  /**
+   * Shot clock ran out - dip into the time bank, then auto-check or auto-fold
+   */
+  handleActionClockExpired() {
+    const clock = this.actionClock;
+    if (!clock || clock.seatIndex !== this.currentTurn) {
+      this.actionClock = null;
+      return;
+    }
+    
+    const player = this.seats[clock.seatIndex];
+    if (!player) {
+      this.actionClock = null;
+      return;
+    }
+    
+    // First expiry: switch over to the player's time bank if they have any
+    if (!clock.usingTimeBank && player.timeBank > 0) {
+      const now = this.clock.now();
+      const bankMs = player.timeBank * 1000;
+      clock.usingTimeBank = true;
+      clock.startedAt = now;
+      clock.endsAt = now + bankMs;
+      this.scheduler.schedule('action-clock', bankMs, () => this.handleActionClockExpired());
+      
+      if (this.onAutoAdvance) {
+        this.onAutoAdvance('time-bank-started', {
+          seatIndex: player.seatIndex,
+          username: player.username,
+          timeBank: player.timeBank
+        });
+      }
+      return;
+    }
+    
+    if (clock.usingTimeBank) {
+      player.timeBank = 0;
+    }
+    
+    // Check if it's free, otherwise fold - and fold if the check is refused
+    const toCall = this.currentBet - player.currentBet;
+    let result = this.playerAction(player.playerId, toCall > 0 ? ACTIONS.FOLD : ACTIONS.CHECK);
+    if (!result.success) {
+      result = this.playerAction(player.playerId, ACTIONS.FOLD);
+    }
+    
+    // Never leave the table waiting on a seat with no clock
+    if (!result.success) {
+      console.error(`Timed-out action for ${player.username} failed: ${result.error}`);
+      this.startActionClock();
+      return;
+    }
+    
+    if (this.onAutoAdvance) {
+      this.onAutoAdvance('player-action', {
+        playerSeat: result.playerSeat,
+        username: player.username,
+        action: result.action,
+        amount: result.amount,
+        timedOut: true
+      });
+    }
   }
   
   /**
@@ -1274,7 +2243,7 @@ export class GameRoom {
     const activePlayers = this.getActivePlayers();
     this.runItTwiceOffered = true;
     this.runItTwiceVotes = new Map();
-    this.runItTwiceEligiblePlayers = activePlayers.map(p => p.socketId);
+    this.runItTwiceEligiblePlayers = activePlayers.map(p => p.playerId);
     
     // Trigger callback to notify players
     if (this.onAutoAdvance) {
@@ -1284,73 +2253,109 @@ export class GameRoom {
       });
     }
     
-    // Auto-decline after 15 seconds if not all votes received
-    setTimeout(() => {
-      if (this.runItTwiceOffered && !this.runItTwiceAccepted) {
+    // Bots answer straight away
+    for (const playerId of this.runItTwiceEligiblePlayers) {
+      const strategy = this.bots.get(playerId);
+      if (strategy && this.runItTwiceOffered) {
+        const runs = Number(strategy.chooseRunCount?.(this.getBotContext(this.players.get(playerId))));
+        this.voteRunItTwice(playerId, Number.isInteger(runs) && runs >= 1 && runs <= MAX_RUN_COUNT ? runs : 1);
+      }
+    }
+    
+    // Players who haven't voted in time run it once
+    this.scheduler.schedule('run-it-vote', RUN_IT_VOTE_TIME, () => {
+      if (this.runItTwiceOffered) {
         this.finalizeRunItTwiceVoting();
       }
-    }, 15000);
+    });
   }
   
   /**
-   * Player votes on Run It Twice
+   * Player votes on how many times to run it (1-3)
    */
-  voteRunItTwice(socketId, accept) {
+  voteRunItTwice(playerId, runs) {
     if (!this.runItTwiceOffered) {
       return { success: false, error: 'Run It Twice not currently offered' };
     }
     
-    if (!this.runItTwiceEligiblePlayers.includes(socketId)) {
+    if (!this.runItTwiceEligiblePlayers.includes(playerId)) {
       return { success: false, error: 'Not eligible to vote' };
     }
     
-    this.runItTwiceVotes.set(socketId, accept);
+    if (!Number.isInteger(runs) || runs < 1 || runs > MAX_RUN_COUNT) {
+      return { success: false, error: `Choose to run it 1 to ${MAX_RUN_COUNT} times` };
+    }
+    
+    this.runItTwiceVotes.set(playerId, runs);
     
     // Check if all votes are in
     if (this.runItTwiceVotes.size === this.runItTwiceEligiblePlayers.length) {
       this.finalizeRunItTwiceVoting();
     }
     
-    return { success: true, vote: accept };
+    return { success: true, vote: runs };
   }
   
   /**
    * Finalize Run It Twice voting
    */
   finalizeRunItTwiceVoting() {
-    // All players must accept for RIT to happen
-    const allAccepted = this.runItTwiceEligiblePlayers.every(
-      socketId => this.runItTwiceVotes.get(socketId) === true
-    );
-    
+    // Everyone gets the lowest count anyone chose - a missing vote counts as running it once
+    const agreedRunCount = Math.min(...this.runItTwiceEligiblePlayers.map(
+      playerId => this.runItTwiceVotes.get(playerId) ?? 1
+    ));
+    // ...as long as the deck has the cards for every board
+    const runCount = Math.min(agreedRunCount, this.getMaxRunCount());
+    
+    this.scheduler.cancel('run-it-vote');
     this.runItTwiceOffered = false;
-    this.runItTwiceAccepted = allAccepted;
+    this.runItTwiceSettled = true;
+    this.runCount = runCount;
+    // The extra boards share whatever has been dealt so far
+    this.extraBoards = Array.from({ length: runCount - 1 }, () => [...this.communityCards]);
     
     if (this.onAutoAdvance) {
       this.onAutoAdvance('run-it-twice-result', {
-        accepted: allAccepted,
+        accepted: runCount > 1,
+        runCount,
+        agreedRunCount,
         votes: Object.fromEntries(this.runItTwiceVotes)
       });
     }
     
     // Continue dealing the board
-    setTimeout(() => {
+    this.scheduler.schedule('runout', this.getDelay('runoutDelay'), () => {
       if (this.isGameRunning && !this.isPaused) {
         this.advancePhase();
       }
-    }, 1000);
+    });
   }
   
   /**
-   * Deal second board for Run It Twice (called during normal dealing)
+   * Most boards the rest of the deck can run out - each one burns and deals every street still to come
+   * (a full table of Omaha or short deck can't always cover three boards)
    */
-  dealSecondBoardCard(count) {
-    if (!this.runItTwiceAccepted) return null;
-    
-    const { dealt, remaining } = dealCards(this.deck, count);
-    this.deck = remaining;
-    this.secondBoard.push(...dealt);
-    return dealt;
+  getMaxRunCount() {
+    const { streets } = this.variant;
+    const burns = streets.length - 1 - streets.indexOf(this.phase);
+    const cardsPerBoard = burns + 5 - this.communityCards.length;
+    return Math.max(1, Math.min(MAX_RUN_COUNT, Math.floor(this.deck.length / cardsPerBoard)));
+  }
+
+  /**
+   * Burn and deal the same street to each extra board (called during normal dealing)
+   * Returns the cards dealt per extra board, or null when there's only one board
+   */
+  dealExtraBoards(count) {
+    if (this.extraBoards.length === 0) return null;
+    
+    return this.extraBoards.map(board => {
+      this.deck = this.deck.slice(1); // Burn for each board
+      const { dealt, remaining } = dealCards(this.deck, count);
+      this.deck = remaining;
+      board.push(...dealt);
+      return dealt;
+    });
   }
 
   /**
@@ -1367,6 +2372,74 @@ export class GameRoom {
     return null;
   }
 
+  /**
+   * 🂠 Stud: deal each live player their cards for a street
+   * If the deck runs short on seventh street, one shared card goes to the board instead
+   */
+  dealStudStreet(street) {
+    const { down, up } = this.variant.studDeal[street];
+    const players = this.getSeatedPlayers().filter(p => !p.isFolded);
+    const dealt = [];
+
+    if (players.length * (down + up) > this.deck.length) {
+      const result = dealCards(this.deck, 1);
+      this.deck = result.remaining;
+      this.communityCards = result.dealt;
+      this.handHistory.recordBoard(street, result.dealt);
+    } else {
+      for (const player of players) {
+        const downResult = dealCards(this.deck, down);
+        const upResult = dealCards(downResult.remaining, up);
+        this.deck = upResult.remaining;
+        player.cards.push(...downResult.dealt, ...upResult.dealt);
+        player.upCards.push(...upResult.dealt);
+        dealt.push({ seatIndex: player.seatIndex, down: downResult.dealt, up: upResult.dealt });
+      }
+      this.handHistory.recordStreetCards(street, dealt);
+    }
+
+    this.phase = street;
+    return {
+      success: true,
+      upCards: dealt.map(d => ({ seatIndex: d.seatIndex, cards: d.up })),
+      communityCards: this.communityCards
+    };
+  }
+
+  /**
+   * 🂠 Stud: the lowest card showing on third street brings it in
+   */
+  findBringInSeat() {
+    const cardValue = (card) => RANKS.indexOf(card.rank) * SUITS.length + BRING_IN_SUIT_ORDER.indexOf(card.suit);
+    let bringIn = null;
+    for (const player of this.getSeatedPlayers()) {
+      const value = cardValue(player.upCards[0]);
+      if (!bringIn || value < bringIn.value) {
+        bringIn = { seatIndex: player.seatIndex, value };
+      }
+    }
+    return bringIn.seatIndex;
+  }
+
+  /**
+   * 🂠 Stud: the best hand showing acts first on later streets
+   * Ties go to the first player left of the dealer
+   */
+  findStudFirstToAct() {
+    let best = null;
+    for (let i = 1; i <= this.maxPlayers; i++) {
+      const seatIndex = (this.dealerSeat + i) % this.maxPlayers;
+      const player = this.seats[seatIndex];
+      if (!player || player.isFolded || player.isAllIn || player.waitingForNextHand) continue;
+
+      const showing = evaluateHand(player.upCards, [], this.variant) || { rank: 0, highCards: [], strength: 0 };
+      if (!best || compareHands(showing, best.showing) > 0) {
+        best = { seatIndex, showing };
+      }
+    }
+    return best ? best.seatIndex : null;
+  }
+
   /**
    * Deal the flop (3 cards)
    */
@@ -1394,17 +2467,12 @@ export class GameRoom {
     this.communityCards = dealt;
     this.phase = PHASES.FLOP;
     
-    // Deal second board for Run It Twice
-    let secondBoardCards = null;
-    if (this.runItTwiceAccepted) {
-      this.deck = this.deck.slice(1); // Burn for second board
-      const result2 = dealCards(this.deck, 3);
-      this.secondBoard = result2.dealt;
-      this.deck = result2.remaining;
-      secondBoardCards = result2.dealt;
-    }
+    // Deal the extra boards for Run It Twice or a double-board bomb pot
+    const extraBoardCards = this.dealExtraBoards(3);
+    
+    this.handHistory.recordBoard(PHASES.FLOP, dealt, extraBoardCards);
 
-    return { success: true, cards: dealt, secondBoardCards };
+    return { success: true, cards: dealt, extraBoardCards };
   }
 
   /**
@@ -1433,17 +2501,12 @@ export class GameRoom {
     this.communityCards.push(dealt[0]);
     this.phase = PHASES.TURN;
     
-    // Deal second board for Run It Twice
-    let secondBoardCard = null;
-    if (this.runItTwiceAccepted) {
-      this.deck = this.deck.slice(1); // Burn for second board
-      const result2 = dealCards(this.deck, 1);
-      this.secondBoard.push(result2.dealt[0]);
-      this.deck = result2.remaining;
-      secondBoardCard = result2.dealt[0];
-    }
+    // Deal the extra boards for Run It Twice or a double-board bomb pot
+    const extraBoardCards = this.dealExtraBoards(1);
+    
+    this.handHistory.recordBoard(this.phase, dealt, extraBoardCards);
 
-    return { success: true, card: dealt[0], secondBoardCard };
+    return { success: true, card: dealt[0], extraBoardCards: extraBoardCards?.map(cards => cards[0]) || null };
   }
 
   /**
@@ -1475,24 +2538,21 @@ export class GameRoom {
     this.communityCards.push(dealt[0]);
     this.phase = PHASES.RIVER;
     
-    // Deal second board for Run It Twice
-    let secondBoardCard = null;
-    if (this.runItTwiceAccepted) {
-      this.deck = this.deck.slice(1); // Burn for second board
-      const result2 = dealCards(this.deck, 1);
-      this.secondBoard.push(result2.dealt[0]);
-      this.deck = result2.remaining;
-      secondBoardCard = result2.dealt[0];
-    }
+    // Deal the extra boards for Run It Twice or a double-board bomb pot
+    const extraBoardCards = this.dealExtraBoards(1);
+    
+    this.handHistory.recordBoard(this.phase, dealt, extraBoardCards);
 
-    return { success: true, card: dealt[0], secondBoardCard };
+    return { success: true, card: dealt[0], extraBoardCards: extraBoardCards?.map(cards => cards[0]) || null };
   }
   
   /**
-   * Go to Run It Twice showdown - evaluate both boards
+   * Go to the multi-board showdown - each pot is split evenly between the boards
+   * (odd chips go to the earlier boards) and each share is awarded on its own board
    */
-  goToRunItTwiceShowdown() {
+  goToMultiBoardShowdown() {
     this.phase = PHASES.SHOWDOWN;
+    this.clearActionClock();
     
     const activePlayers = this.getActivePlayers();
     
@@ -1503,183 +2563,73 @@ export class GameRoom {
     // Calculate side pots first
     const sidePots = this.calculateSidePots();
     
-    // Evaluate hands for both boards
-    const evalBoard1 = activePlayers.map(player => {
-      const handResult = evaluateHand(player.cards, this.communityCards);
-      return {
-        player,
-        cards: player.cards,
-        handRank: handResult?.rank || 0,
-        handDescription: handResult?.description || 'Unknown',
-        highCards: handResult?.highCards || []
-      };
-    });
-    
-    const evalBoard2 = activePlayers.map(player => {
-      const handResult = evaluateHand(player.cards, this.secondBoard);
-      return {
-        player,
-        cards: player.cards,
-        handRank: handResult?.rank || 0,
-        handDescription: handResult?.description || 'Unknown',
-        highCards: handResult?.highCards || []
-      };
-    });
-    
-    // Award each side pot split between both boards
-    const awards = new Map(); // seatIndex -> { board1: amount, board2: amount }
+    const boards = [this.communityCards, ...this.extraBoards];
+    const evaluations = boards.map(board => activePlayers.map(player => this.evaluateShowdownHand(player, board)));
+    const awards = boards.map(() => new Map()); // Per board: seatIndex -> { high, low }
+    const boardPots = boards.map(() => 0);
     
     for (const pot of sidePots) {
-      const halfPot = Math.floor(pot.amount / 2);
-      const remainder = pot.amount % 2; // Board 1 gets remainder
+      const share = Math.floor(pot.amount / boards.length);
+      const remainder = pot.amount % boards.length;
       
-      // Find winner for this pot on board 1
-      const eligible1 = evalBoard1.filter(ph => pot.eligibleSeats.includes(ph.player.seatIndex));
-      if (eligible1.length > 0) {
-        const best1 = this.findBestHand(eligible1);
-        const winners1 = eligible1.filter(ph =>
-          ph.handRank === best1.handRank &&
-          JSON.stringify(ph.highCards) === JSON.stringify(best1.highCards)
-        );
-        const share1 = Math.floor((halfPot + remainder) / winners1.length);
-        const rem1 = (halfPot + remainder) % winners1.length;
-        winners1.forEach((w, idx) => {
-          const amt = share1 + (idx === 0 ? rem1 : 0);
-          w.player.bankroll += amt;
-          if (!awards.has(w.player.seatIndex)) {
-            awards.set(w.player.seatIndex, { board1: 0, board2: 0 });
-          }
-          awards.get(w.player.seatIndex).board1 += amt;
-        });
-      }
-      
-      // Find winner for this pot on board 2
-      const eligible2 = evalBoard2.filter(ph => pot.eligibleSeats.includes(ph.player.seatIndex));
-      if (eligible2.length > 0) {
-        const best2 = this.findBestHand(eligible2);
-        const winners2 = eligible2.filter(ph =>
-          ph.handRank === best2.handRank &&
-          JSON.stringify(ph.highCards) === JSON.stringify(best2.highCards)
-        );
-        const share2 = Math.floor(halfPot / winners2.length);
-        const rem2 = halfPot % winners2.length;
-        winners2.forEach((w, idx) => {
-          const amt = share2 + (idx === 0 ? rem2 : 0);
-          w.player.bankroll += amt;
-          if (!awards.has(w.player.seatIndex)) {
-            awards.set(w.player.seatIndex, { board1: 0, board2: 0 });
-          }
-          awards.get(w.player.seatIndex).board2 += amt;
-        });
-      }
+      boards.forEach((board, i) => {
+        const amount = share + (i < remainder ? 1 : 0);
+        const eligible = evaluations[i].filter(ph => pot.eligibleSeats.includes(ph.player.seatIndex));
+        if (amount > 0 && eligible.length > 0) {
+          this.splitPot(amount, eligible, awards[i]);
+          boardPots[i] += amount;
+        }
+      });
     }
     
-    // Build winners for each board for UI
-    const board1Winners = [];
-    const board2Winners = [];
-    awards.forEach((amounts, seatIndex) => {
-      const player = activePlayers.find(p => p.seatIndex === seatIndex);
-      const ph1 = evalBoard1.find(ph => ph.player.seatIndex === seatIndex);
-      const ph2 = evalBoard2.find(ph => ph.player.seatIndex === seatIndex);
-      if (amounts.board1 > 0 && player && ph1) {
-        board1Winners.push({
-          seatIndex,
-          username: player.username,
-          handDescription: ph1.handDescription,
-          potWon: amounts.board1
-        });
-      }
-      if (amounts.board2 > 0 && player && ph2) {
-        board2Winners.push({
-          seatIndex,
-          username: player.username,
-          handDescription: ph2.handDescription,
-          potWon: amounts.board2
-        });
-      }
-    });
-    
-    // Store RIT results
-    this.ritResults = {
-      board1: {
-        communityCards: this.communityCards,
-        playerHands: evalBoard1,
-        winners: board1Winners
-      },
-      board2: {
-        communityCards: this.secondBoard,
-        playerHands: evalBoard2,
-        winners: board2Winners
-      },
-      totalPot: this.pot,
-      sidePots
-    };
-    
     // Create combined showdown data
     this.showdownData = {
-      runItTwice: true,
-      board1: {
-        communityCards: this.communityCards,
-        players: evalBoard1.map(ph => ({
-          seatIndex: ph.player.seatIndex,
-          username: ph.player.username,
-          cards: ph.cards,
-          handDescription: ph.handDescription,
-          handRank: ph.handRank,
-          isWinner: board1Winners.some(w => w.seatIndex === ph.player.seatIndex)
-        })),
-        winners: board1Winners,
-        pot: Math.ceil(this.pot / 2)
-      },
-      board2: {
-        communityCards: this.secondBoard,
-        players: evalBoard2.map(ph => ({
-          seatIndex: ph.player.seatIndex,
-          username: ph.player.username,
-          cards: ph.cards,
-          handDescription: ph.handDescription,
-          handRank: ph.handRank,
-          isWinner: board2Winners.some(w => w.seatIndex === ph.player.seatIndex)
-        })),
-        winners: board2Winners,
-        pot: Math.floor(this.pot / 2)
-      },
+      multiBoard: true,
+      runCount: this.runCount,
+      doubleBoard: !!this.bombPot?.doubleBoard,
+      boards: boards.map((communityCards, i) => {
+        const boardWinners = this.buildWinners(evaluations[i], awards[i]);
+        return {
+          communityCards,
+          players: evaluations[i].map(ph => ({
+            seatIndex: ph.player.seatIndex,
+            username: ph.player.username,
+            cards: ph.cards,
+            handDescription: ph.handDescription,
+            lowHandDescription: ph.lowHandDescription,
+            handRank: ph.handRank,
+            isWinner: awards[i].has(ph.player.seatIndex)
+          })),
+          winners: boardWinners.all,
+          highWinners: boardWinners.high,
+          lowWinners: boardWinners.low,
+          pot: boardPots[i]
+        };
+      }),
       pot: this.pot,
       sidePots
     };
+    this.handHistory.finishHand(this, this.showdownData);
     
     this.pot = 0;
+    awards.forEach((boardAwards, i) => this.recordAwards(boardAwards, i + 1));
+    this.checkChipConservation('award');
     
     // Trigger showdown event
     if (this.onAutoAdvance) {
       this.onAutoAdvance('showdown', this.showdownData);
     }
+    this.payShowdownBounties(this.showdownData.boards[0].players);
 
     // Auto-start next hand after longer delay
     if (this.isGameRunning && !this.isPaused) {
-      setTimeout(() => {
+      this.scheduler.schedule('next-hand', this.getDelay('showdownDelay') + MULTI_BOARD_SHOWDOWN_EXTRA, () => {
         if (this.isGameRunning && !this.isPaused) {
           this.showdownData = null;
-          this.ritResults = null;
-          
-          const bustedPlayers = this.removeBustedPlayers();
-          if (bustedPlayers.length > 0 && this.onAutoAdvance) {
-            this.onAutoAdvance('players-busted', { bustedPlayers });
-          }
           
-          if (this.getSeatedPlayers().length >= 2) {
-            const result = this.startHand();
-            if (this.onAutoAdvance) {
-              this.onAutoAdvance('new-hand', result);
-            }
-          } else {
-            this.isGameRunning = false;
-            if (this.onAutoAdvance) {
-              this.onAutoAdvance('game-stopped', { reason: 'Not enough players' });
-            }
-          }
+          this.continueToNextHand();
         }
-      }, 8000); // Extra time for RIT showdown
+      });
     }
   }
   
@@ -1687,62 +2637,89 @@ export class GameRoom {
    * Helper: Find the best hand from a list of evaluated hands
    */
   findBestHand(playerHands) {
-    return playerHands.reduce((best, ph) => {
-      if (!best) return ph;
-      if (ph.handRank > best.handRank) return ph;
-      if (ph.handRank < best.handRank) return best;
-      // Compare high cards
-      for (let i = 0; i < Math.min(ph.highCards.length, best.highCards.length); i++) {
-        if (ph.highCards[i] > best.highCards[i]) return ph;
-        if (ph.highCards[i] < best.highCards[i]) return best;
-      }
-      return best;
-    }, null);
+    return playerHands.reduce((best, ph) => !best || ph.strength > best.strength ? ph : best, null);
   }
   
   /**
-   * Helper: Evaluate winners for a specific board
-   */
-  evaluateBoardWinners(players, communityCards, potAmount) {
-    const playerHands = players.map(player => {
-      const handResult = evaluateHand(player.cards, communityCards);
-      return {
-        player,
-        cards: player.cards,
-        handRank: handResult?.rank || 0,
-        handDescription: handResult?.description || 'Unknown',
-        highCards: handResult?.highCards || []
-      };
-    });
-    
-    // Sort by hand rank
-    playerHands.sort((a, b) => {
-      if (b.handRank !== a.handRank) return b.handRank - a.handRank;
-      for (let i = 0; i < Math.min(a.highCards.length, b.highCards.length); i++) {
-        if (b.highCards[i] !== a.highCards[i]) return b.highCards[i] - a.highCards[i];
-      }
-      return 0;
+   * Helper: Evaluate a player's hand at showdown (plus their low in hi/lo games)
+   */
+  evaluateShowdownHand(player, communityCards) {
+    const handResult = this.variant.evaluateHand(player.cards, communityCards, this.variant);
+    const lowHand = this.variant.evaluateLowHand
+      ? this.variant.evaluateLowHand(player.cards, communityCards)
+      : null;
+    return {
+      player,
+      cards: player.cards,
+      handRank: handResult?.rank || 0,
+      handDescription: handResult?.description || 'Unknown',
+      strength: handResult?.strength || 0,
+      lowHand,
+      lowHandDescription: lowHand?.description || null
+    };
+  }
+
+  /**
+   * Helper: Split one pot between the best high hand and, in hi/lo games, the best qualifying low
+   * With no qualifying low the high hand scoops; the odd chip goes to the high half
+   * Adds each share to awards (seatIndex -> { high, low })
+   */
+  splitPot(amount, eligibleHands, awards) {
+    const bestHigh = this.findBestHand(eligibleHands);
+    const highWinners = eligibleHands.filter(ph => ph.strength === bestHigh.strength);
+
+    const lowHands = eligibleHands.filter(ph => ph.lowHand);
+    const bestLow = lowHands.reduce((best, ph) =>
+      !best || compareLowHands(ph.lowHand, best.lowHand) > 0 ? ph : best, null);
+    const lowWinners = bestLow
+      ? lowHands.filter(ph => compareLowHands(ph.lowHand, bestLow.lowHand) === 0)
+      : [];
+    const lowAmount = lowWinners.length > 0 ? Math.floor(amount / 2) : 0;
+
+    const payOut = (total, winners, half) => {
+      const share = Math.floor(total / winners.length);
+      const remainder = total % winners.length;
+      winners.forEach((winner, idx) => {
+        const won = share + (idx === 0 ? remainder : 0);
+        winner.player.bankroll += won;
+        const entry = awards.get(winner.player.seatIndex) || { high: 0, low: 0 };
+        entry[half] += won;
+        awards.set(winner.player.seatIndex, entry);
+      });
+    };
+    payOut(amount - lowAmount, highWinners, 'high');
+    if (lowAmount > 0) {
+      payOut(lowAmount, lowWinners, 'low');
+    }
+  }
+
+  /**
+   * Helper: Winner lists for the UI - everyone paid, plus the high and low halves separately
+   */
+  buildWinners(playerHands, awards) {
+    const paid = playerHands.filter(ph => awards.has(ph.player.seatIndex));
+    const toWinner = (ph, potWon) => ({
+      seatIndex: ph.player.seatIndex,
+      username: ph.player.username,
+      handDescription: ph.handDescription,
+      potWon
     });
-    
-    // Find winners
-    const bestHand = playerHands[0];
-    const winners = playerHands.filter(ph => 
-      ph.handRank === bestHand.handRank &&
-      JSON.stringify(ph.highCards) === JSON.stringify(bestHand.highCards)
-    );
-    
-    // Calculate pot share
-    const potShare = Math.floor(potAmount / winners.length);
-    const winnerRemainder = potAmount % winners.length;
-    
     return {
-      playerHands,
-      winners: winners.map((w, idx) => ({
-        seatIndex: w.player.seatIndex,
-        username: w.player.username,
-        handDescription: w.handDescription,
-        potWon: potShare + (idx === 0 ? winnerRemainder : 0)
-      }))
+      all: paid.map(ph => {
+        const { high, low } = awards.get(ph.player.seatIndex);
+        return {
+          ...toWinner(ph, high + low),
+          highWon: high,
+          lowWon: low,
+          lowHandDescription: low > 0 ? ph.lowHandDescription : null
+        };
+      }),
+      high: paid
+        .filter(ph => awards.get(ph.player.seatIndex).high > 0)
+        .map(ph => toWinner(ph, awards.get(ph.player.seatIndex).high)),
+      low: paid
+        .filter(ph => awards.get(ph.player.seatIndex).low > 0)
+        .map(ph => ({ ...toWinner(ph, awards.get(ph.player.seatIndex).low), handDescription: ph.lowHandDescription }))
     };
   }
 
@@ -1754,7 +2731,7 @@ export class GameRoom {
     const activePlayers = this.getActivePlayers();
     if (activePlayers.length === 0) return [];
 
-    // Get all players who contributed to the pot (including folded)
+    // Get all players who contributed to the pot (including folded, and anyone who left the table)
     const contributors = this.seats
       .filter(s => s !== null && s.totalBetThisHand > 0)
       .map(p => ({
@@ -1762,6 +2739,7 @@ export class GameRoom {
         contribution: p.totalBetThisHand,
         isActive: !p.isFolded  // Only non-folded players can win
       }))
+      .concat(this.departedBets.map(contribution => ({ seatIndex: null, contribution, isActive: false })))
       .sort((a, b) => a.contribution - b.contribution);
 
     if (contributors.length === 0) return [];
@@ -1795,15 +2773,24 @@ export class GameRoom {
       processedAmount = level;
     }
 
+    // Dead money above the highest live contribution (e.g. antes from folded players
+    // when everyone left is all-in for less) goes to the last pot instead of vanishing
+    const deadMoney = contributors.reduce((sum, c) => sum + Math.max(0, c.contribution - processedAmount), 0);
+    if (deadMoney > 0 && pots.length > 0) {
+      pots[pots.length - 1].amount += deadMoney;
+    }
+
     return pots;
   }
 
   /**
    * Award pots to winners, handling side pots correctly
+   * In hi/lo games each pot is split separately, so a player can scoop one pot and be quartered in another
+   * Returns seatIndex -> { high, low } amounts won
    */
-  awardPots(playerHands, communityCards) {
+  awardPots(playerHands) {
     const pots = this.calculateSidePots();
-    const awards = new Map(); // seatIndex -> total won
+    const awards = new Map();
 
     for (const pot of pots) {
       // Filter to only players eligible for this pot
@@ -1813,34 +2800,7 @@ export class GameRoom {
 
       if (eligibleHands.length === 0) continue;
 
-      // Find best hand among eligible players
-      const bestHand = eligibleHands.reduce((best, ph) => {
-        if (!best) return ph;
-        if (ph.handRank > best.handRank) return ph;
-        if (ph.handRank < best.handRank) return best;
-        // Compare high cards
-        for (let i = 0; i < Math.min(ph.highCards.length, best.highCards.length); i++) {
-          if (ph.highCards[i] > best.highCards[i]) return ph;
-          if (ph.highCards[i] < best.highCards[i]) return best;
-        }
-        return best; // Tie
-      }, null);
-
-      // Find all players with the same best hand (for splits)
-      const potWinners = eligibleHands.filter(ph =>
-        ph.handRank === bestHand.handRank &&
-        JSON.stringify(ph.highCards) === JSON.stringify(bestHand.highCards)
-      );
-
-      // Split pot among winners
-      const share = Math.floor(pot.amount / potWinners.length);
-      const remainder = pot.amount % potWinners.length;
-
-      potWinners.forEach((winner, idx) => {
-        const amount = share + (idx === 0 ? remainder : 0);
-        winner.player.bankroll += amount;
-        awards.set(winner.player.seatIndex, (awards.get(winner.player.seatIndex) || 0) + amount);
-      });
+      this.splitPot(pot.amount, eligibleHands, awards);
     }
 
     return awards;
@@ -1851,6 +2811,7 @@ export class GameRoom {
    */
   goToShowdown() {
     this.phase = PHASES.SHOWDOWN;
+    this.clearActionClock();
     
     const activePlayers = this.getActivePlayers();
     
@@ -1859,32 +2820,17 @@ export class GameRoom {
     }
     
     // Evaluate all active players' hands
-    const playerHands = activePlayers.map(player => {
-      const handResult = evaluateHand(player.cards, this.communityCards);
-      return {
-        player,
-        cards: player.cards,
-        handRank: handResult?.rank || 0,
-        handDescription: handResult?.description || 'Unknown',
-        highCards: handResult?.highCards || []
-      };
-    });
+    const playerHands = activePlayers.map(player => this.evaluateShowdownHand(player, this.communityCards));
     
-    // Sort by hand rank (highest first), then by high cards
-    playerHands.sort((a, b) => {
-      if (b.handRank !== a.handRank) return b.handRank - a.handRank;
-      // Compare high cards
-      for (let i = 0; i < Math.min(a.highCards.length, b.highCards.length); i++) {
-        if (b.highCards[i] !== a.highCards[i]) return b.highCards[i] - a.highCards[i];
-      }
-      return 0;
-    });
+    // Strongest hand first
+    playerHands.sort((a, b) => b.strength - a.strength);
     
     // Award pots using side pot logic
-    const awards = this.awardPots(playerHands, this.communityCards);
+    const awards = this.awardPots(playerHands);
     
     // Find overall winners (those who won something)
     const winners = playerHands.filter(ph => awards.has(ph.player.seatIndex));
+    const winnerLists = this.buildWinners(playerHands, awards);
     
     // Determine which players must show and who can muck
     const mustShow = new Set();
@@ -1912,6 +2858,7 @@ export class GameRoom {
         username: ph.player.username,
         cards: mustShow.has(ph.player.seatIndex) ? ph.cards : null,
         handDescription: mustShow.has(ph.player.seatIndex) ? ph.handDescription : null,
+        lowHandDescription: mustShow.has(ph.player.seatIndex) ? ph.lowHandDescription : null,
         handRank: ph.handRank,
         isWinner: awards.has(ph.player.seatIndex),
         mustShow: mustShow.has(ph.player.seatIndex),
@@ -1919,66 +2866,52 @@ export class GameRoom {
         hasShown: mustShow.has(ph.player.seatIndex),
         hasMucked: false
       })),
-      winners: winners.map(w => ({
-        seatIndex: w.player.seatIndex,
-        username: w.player.username,
-        handDescription: w.handDescription,
-        potWon: awards.get(w.player.seatIndex) || 0
-      })),
+      winners: winnerLists.all,
+      // Hi/lo games report each half (lowWinners is empty when no low qualified)
+      highWinners: winnerLists.high,
+      lowWinners: winnerLists.low,
       pot: this.pot,
       sidePots: this.calculateSidePots()
     };
+    this.handHistory.finishHand(this, this.showdownData);
     
     this.pot = 0;
+    this.recordAwards(awards);
+    this.checkChipConservation('award');
     
     // Trigger showdown event
     if (this.onAutoAdvance) {
       this.onAutoAdvance('showdown', this.showdownData);
     }
+    this.payShowdownBounties(this.showdownData.players);
 
     // Auto-start next hand after longer delay to show results
     if (this.isGameRunning && !this.isPaused) {
-      setTimeout(() => {
+      this.scheduler.schedule('next-hand', this.getDelay('showdownDelay'), () => {
         if (this.isGameRunning && !this.isPaused) {
           // Clear showdown data
           this.showdownData = null;
           
-          // Remove busted players before starting next hand
-          const bustedPlayers = this.removeBustedPlayers();
-          if (bustedPlayers.length > 0 && this.onAutoAdvance) {
-            this.onAutoAdvance('players-busted', { bustedPlayers });
-          }
-          
-          if (this.getSeatedPlayers().length >= 2) {
-            const result = this.startHand();
-            if (this.onAutoAdvance) {
-              this.onAutoAdvance('new-hand', result);
-            }
-          } else {
-            this.isGameRunning = false;
-            if (this.onAutoAdvance) {
-              this.onAutoAdvance('game-stopped', { reason: 'Not enough players' });
-            }
-          }
+          this.continueToNextHand();
         }
-      }, 6000); // Longer delay (6 seconds) to show winning hand
+      });
     }
   }
 
   /**
    * Allow a player to voluntarily show their cards at showdown
    */
-  showHand(socketId) {
+  showHand(playerId) {
     if (this.phase !== PHASES.SHOWDOWN || !this.showdownData) {
       return { success: false, error: 'Not at showdown' };
     }
     
-    const player = this.players.get(socketId);
+    const player = this.players.get(playerId);
     if (!player || player.seatIndex === null) {
       return { success: false, error: 'Player not found' };
     }
     
-    const playerShowdown = this.showdownData.players.find(p => p.seatIndex === player.seatIndex);
+    const playerShowdown = this.showdownData.players?.find(p => p.seatIndex === player.seatIndex);
     if (!playerShowdown) {
       return { success: false, error: 'Player not in showdown' };
     }
@@ -1989,31 +2922,89 @@ export class GameRoom {
     
     // Update showdown data to reveal this player's cards
     playerShowdown.cards = player.cards;
-    playerShowdown.handDescription = evaluateHand(player.cards, this.communityCards)?.description || 'Unknown';
+    const shown = this.evaluateShowdownHand(player, this.communityCards);
+    playerShowdown.handDescription = shown.handDescription;
+    playerShowdown.lowHandDescription = shown.lowHandDescription;
     playerShowdown.hasShown = true;
+    this.handHistory.recordShowdownChoice(this.handNumber, player.seatIndex, {
+      cards: player.cards,
+      handDescription: playerShowdown.handDescription,
+      lowHandDescription: playerShowdown.lowHandDescription
+    });
     
     return { 
       success: true, 
       seatIndex: player.seatIndex,
       cards: player.cards,
-      handDescription: playerShowdown.handDescription
+      handDescription: playerShowdown.handDescription,
+      bounty: this.collectSevenDeuceBounty(player)
     };
   }
 
+  /**
+   * 🂧 7-2 game: a pot won with seven-deuce that gets shown collects the bounty
+   * from every other player dealt into the hand
+   * Returns { seatIndex, username, amount, payers }, or null if nothing is owed
+   */
+  collectSevenDeuceBounty(player) {
+    const data = this.showdownData;
+    if (!this.sevenDeuceBounty || this.tournament || !data || this.variant.holeCards !== 2) {
+      return null;
+    }
+    const isSevenDeuce = player.cards.map(card => card.rank).sort().join() === '2,7';
+    const wonPot = [data, ...(data.boards || [])]
+      .some(result => result?.winners?.some(w => w.seatIndex === player.seatIndex));
+    const alreadyPaid = (data.bounties || []).some(b => b.seatIndex === player.seatIndex);
+    if (!isSevenDeuce || !wonPot || alreadyPaid) {
+      return null;
+    }
+
+    const payers = this.getSeatedPlayers()
+      .filter(p => p.playerId !== player.playerId && p.cards.length > 0)
+      .map(p => {
+        const amount = Math.min(this.sevenDeuceBounty, p.bankroll);
+        p.bankroll -= amount;
+        this.ledger.record(this, 'bounty', p, -amount);
+        return { seatIndex: p.seatIndex, username: p.username, amount };
+      });
+    const amount = payers.reduce((sum, p) => sum + p.amount, 0);
+    player.bankroll += amount;
+    this.ledger.record(this, 'bounty', player, amount);
+    this.checkChipConservation('7-2 bounty');
+
+    const bounty = { seatIndex: player.seatIndex, username: player.username, amount, payers };
+    data.bounties = [...(data.bounties || []), bounty];
+    this.handHistory.recordBounty(this.handNumber, bounty);
+    return bounty;
+  }
+
+  /**
+   * Winners tabled at showdown have shown their cards, so they collect 7-2 bounties straight away
+   */
+  payShowdownBounties(shownPlayers) {
+    for (const shown of shownPlayers) {
+      const player = this.seats[shown.seatIndex];
+      const bounty = shown.cards && player ? this.collectSevenDeuceBounty(player) : null;
+      if (bounty && this.onAutoAdvance) {
+        this.onAutoAdvance('seven-deuce-bounty', bounty);
+      }
+    }
+  }
+
   /**
    * Allow a player to muck their cards at showdown (if they can)
    */
-  muckHand(socketId) {
+  muckHand(playerId) {
     if (this.phase !== PHASES.SHOWDOWN || !this.showdownData) {
       return { success: false, error: 'Not at showdown' };
     }
     
-    const player = this.players.get(socketId);
+    const player = this.players.get(playerId);
     if (!player || player.seatIndex === null) {
       return { success: false, error: 'Player not found' };
     }
     
-    const playerShowdown = this.showdownData.players.find(p => p.seatIndex === player.seatIndex);
+    const playerShowdown = this.showdownData.players?.find(p => p.seatIndex === player.seatIndex);
     if (!playerShowdown) {
       return { success: false, error: 'Player not in showdown' };
     }
@@ -2028,6 +3019,7 @@ export class GameRoom {
     
     playerShowdown.hasMucked = true;
     playerShowdown.cards = null;
+    this.handHistory.recordShowdownChoice(this.handNumber, player.seatIndex, { mucked: true });
     
     return { 
       success: true, 
@@ -2046,14 +3038,20 @@ export class GameRoom {
       const player = this.seats[i];
       if (player && player.bankroll === 0) {
         bustedPlayers.push({
-          socketId: player.socketId,
+          playerId: player.playerId,
           username: player.username,
-          seatIndex: i
+          seatIndex: i,
+          stackAtHandStart: player.stackAtHandStart || 0
         });
         
-        // Remove from seat but keep in room as spectator
+        // Remove from seat but keep in room as spectator (busted bots leave)
+        if (player.isBot) {
+          this.players.delete(player.playerId);
+          this.bots.delete(player.playerId);
+        }
         player.seatIndex = null;
         player.cards = [];
+        player.upCards = [];
         player.isFolded = false;
         player.isAllIn = false;
         player.currentBet = 0;
@@ -2062,6 +3060,14 @@ export class GameRoom {
       }
     }
     
+    // Record tournament finishing places
+    if (this.tournament?.isRunning && bustedPlayers.length > 0) {
+      this.tournament.recordEliminations(bustedPlayers, this.getAllSeatedPlayers().length);
+      for (const busted of bustedPlayers) {
+        busted.place = this.tournament.placements.find(p => p.playerId === busted.playerId)?.place;
+      }
+    }
+    
     return bustedPlayers;
   }
 
@@ -2072,21 +3078,28 @@ export class GameRoom {
     this.phase = PHASES.WAITING;
     this.communityCards = [];
     this.pot = 0;
+    this.departedBets = [];
+    this.antesThisHand = 0;
     this.currentBet = 0;
     this.deck = [];
     this.currentTurn = null;
     this.actedThisRound = new Set();
+    this.clearActionClock();
+    this.handHistory.abandonHand();
     
     // Reset Run It Twice state
     this.runItTwiceOffered = false;
-    this.runItTwiceAccepted = false;
+    this.runItTwiceSettled = false;
     this.runItTwiceVotes = new Map();
     this.runItTwiceEligiblePlayers = [];
-    this.secondBoard = [];
-    this.ritResults = null;
+    this.runCount = 1;
+    this.extraBoards = [];
+    this.equity = null;
+    this.bombPot = null;
 
     for (const player of this.getSeatedPlayers()) {
       player.cards = [];
+      player.upCards = [];
       player.isFolded = false;
       player.isAllIn = false;
       player.currentBet = 0;
@@ -2097,23 +3110,49 @@ export class GameRoom {
   }
 
   /**
-   * Find next occupied seat (for dealer rotation)
+   * Find next occupied seat that is dealt into the hand (for dealer rotation)
    */
   findNextOccupiedSeat(fromSeat) {
     for (let i = 1; i <= this.maxPlayers; i++) {
       const nextSeat = (fromSeat + i) % this.maxPlayers;
-      if (this.seats[nextSeat] !== null) {
+      if (this.seats[nextSeat] !== null && !this.seats[nextSeat].waitingForNextHand) {
         return nextSeat;
       }
     }
     return fromSeat;
   }
 
+  /**
+   * Find the next seat in betting order
+   * Preflop after a button straddle the button moves in behind the big blind (Mayfair rule):
+   * UTG ... cutoff, small blind, big blind, then the straddler
+   */
+  findNextToAct(fromSeat) {
+    if (this.phase !== PHASES.PRE_FLOP || this.straddleSeat === -1 || this.straddleSeat !== this.dealerSeat) {
+      return this.findNextOccupiedSeat(fromSeat);
+    }
+
+    // Place in the preflop order - seats left of the button count up from the small blind
+    const place = seat => seat === this.straddleSeat
+      ? (this.bbSeat - this.dealerSeat + this.maxPlayers) % this.maxPlayers + 0.5
+      : (seat - this.dealerSeat + this.maxPlayers) % this.maxPlayers;
+    const from = place(fromSeat);
+
+    let next = null;
+    let first = null;
+    for (let seat = 0; seat < this.maxPlayers; seat++) {
+      if (seat === fromSeat || this.seats[seat] === null || this.seats[seat].waitingForNextHand) continue;
+      if (place(seat) > from && (next === null || place(seat) < place(next))) next = seat;
+      if (first === null || place(seat) < place(first)) first = seat;
+    }
+    return next ?? first ?? fromSeat;
+  }
+
   /**
    * Get valid actions for a player
    */
-  getValidActions(socketId) {
-    const player = this.players.get(socketId);
+  getValidActions(playerId) {
+    const player = this.players.get(playerId);
     if (!player || player.seatIndex === null) return [];
     if (this.currentTurn !== player.seatIndex) return [];
     if (player.isFolded || player.isAllIn) return [];
@@ -2121,24 +3160,75 @@ export class GameRoom {
     const toCall = this.currentBet - player.currentBet;
     const actions = [ACTIONS.FOLD];
 
+    // Pot limit only allows shoving when the stack is within a pot-sized raise
+    // (fixed limit: within the one legal raise)
+    const canShove = player.bankroll - toCall <= this.getMaxRaise(player);
+    // Fixed limit stops raising once the round is capped
+    const canRaise = this.betting !== BETTING.FIXED_LIMIT || this.raisesThisRound < this.raiseCap;
+
     if (toCall === 0) {
       actions.push(ACTIONS.CHECK);
-      if (player.bankroll > 0) {
+      if (player.bankroll > 0 && canRaise) {
         actions.push(ACTIONS.BET);
-        actions.push(ACTIONS.ALL_IN);
+        if (canShove) actions.push(ACTIONS.ALL_IN);
       }
     } else {
       actions.push(ACTIONS.CALL);
-      if (player.bankroll > toCall) {
+      if (player.bankroll > toCall && canRaise) {
         actions.push(ACTIONS.RAISE);
       }
-      // Can always go all-in
-      actions.push(ACTIONS.ALL_IN);
+      // Can always go all-in (up to the pot limit)
+      if (canShove || player.bankroll <= toCall) actions.push(ACTIONS.ALL_IN);
     }
 
     return actions;
   }
 
+  /**
+   * Betting structure in play - the variant's own unless the room is set to fixed limit
+   */
+  get betting() {
+    return this.fixedLimit ? BETTING.FIXED_LIMIT : this.variant.betting;
+  }
+
+  /**
+   * Fixed limit bet size for the current street - the big blind, doubled from the variant's big-bet street
+   */
+  getStreetBetSize() {
+    if (this.betting !== BETTING.FIXED_LIMIT) {
+      return this.bigBlind;
+    }
+    const { streets, bigBetStreet } = this.variant;
+    return streets.indexOf(this.phase) >= streets.indexOf(bigBetStreet) ? this.bigBlind * 2 : this.bigBlind;
+  }
+
+  /**
+   * The one legal fixed limit raise (on top of the call)
+   * A stud bring-in is completed to a full bet; otherwise the bet goes up by one bet size
+   */
+  getLimitRaise() {
+    const betSize = this.getStreetBetSize();
+    const raiseTo = this.currentBet < betSize ? betSize : this.currentBet + betSize;
+    return raiseTo - this.currentBet;
+  }
+
+  /**
+   * Largest raise (on top of the call) a player may make right now
+   * Pot limit caps it at the size of the pot after calling; fixed limit at the one legal raise
+   */
+  getMaxRaise(player) {
+    const toCall = Math.max(0, this.currentBet - player.currentBet);
+    const stackRaise = Math.max(0, player.bankroll - toCall);
+    switch (this.betting) {
+      case BETTING.POT_LIMIT:
+        return Math.min(stackRaise, this.pot + toCall);
+      case BETTING.FIXED_LIMIT:
+        return this.raisesThisRound >= this.raiseCap ? 0 : Math.min(stackRaise, this.getLimitRaise());
+      default:
+        return stackRaise;
+    }
+  }
+
   /**
    * Get public room state (no hidden cards)
    */
@@ -2154,81 +3244,266 @@ export class GameRoom {
       seats: this.seats.map(player => {
         if (!player) return null;
         return {
-          socketId: player.socketId,
+          playerId: player.playerId,
           username: player.username,
           seatIndex: player.seatIndex,
           bankroll: player.bankroll,
           isFolded: player.isFolded,
           isAllIn: player.isAllIn,
           currentBet: player.currentBet,
+          timeBank: player.timeBank,
           hasCards: player.cards.length > 0,
-          waitingForNextHand: player.waitingForNextHand || false
+          cardCount: player.cards.length,
+          upCards: player.upCards || [],
+          waitingForNextHand: player.waitingForNextHand || false,
+          isReserved: player.isReserved || false,
+          isAway: player.isAway || false,
+          isBot: player.isBot || false
         };
       }),
       communityCards: this.communityCards,
-      secondBoard: this.runItTwiceAccepted ? this.secondBoard : null,
+      extraBoards: this.extraBoards,
+      equity: this.equity,
       pot: this.pot,
       currentBet: this.currentBet,
       minRaise: this.minRaise,
       dealerSeat: this.dealerSeat,
+      straddleSeat: this.straddleSeat,
+      bombPot: this.bombPot,
+      bombPotQueued: this.bombPotQueued,
       currentTurn: this.currentTurn,
+      actionClock: this.actionClock ? {
+        seatIndex: this.actionClock.seatIndex,
+        endsAt: this.actionClock.endsAt,
+        duration: this.actionClock.endsAt - this.actionClock.startedAt,
+        usingTimeBank: this.actionClock.usingTimeBank,
+        pausedRemaining: this.actionClock.pausedRemaining
+      } : null,
+      serverTime: this.clock.now(),
       playerCount: this.getSeatedPlayers().length,
       maxPlayers: this.maxPlayers,
       smallBlind: this.smallBlind,
       bigBlind: this.bigBlind,
+      variant: this.variant.id,
+      variantName: this.variant.name,
+      betting: this.betting,
+      fixedLimit: this.fixedLimit,
+      raiseCap: this.raiseCap,
+      raisesThisRound: this.raisesThisRound,
+      ante: this.ante,
+      bigBlindAnte: this.bigBlindAnte,
+      studAnte: this.studAnte,
+      antes: this.antesThisHand,
+      gameMode: this.gameMode,
+      tournamentSettings: this.tournamentSettings,
+      tournament: this.tournament ? this.tournament.getPublicState() : null,
+      rotationSettings: this.rotationSettings,
+      rotation: this.rotation ? this.rotation.getPublicState() : null,
+      timingSettings: this.timingSettings,
       seatRequests: this.getSeatRequests(),
+      shuffleCommitment: this.handShuffle?.commitment || null,
+      nextShuffleCommitment: this.upcomingShuffle.commitment,
+      revealedShuffle: this.getRevealedShuffle(),
+      botStrategies: listBotStrategies(),
       showdownData: this.showdownData || null,
       // Run It Twice state
       runItTwiceOffered: this.runItTwiceOffered,
-      runItTwiceAccepted: this.runItTwiceAccepted,
+      runCount: this.runCount,
       runItTwiceEligiblePlayers: this.runItTwiceEligiblePlayers,
       // Settings
-      runItTwiceEnabled: this.runItTwiceEnabled
+      runItTwiceEnabled: this.runItTwiceEnabled,
+      straddleEnabled: this.straddleEnabled,
+      sevenDeuceBounty: this.sevenDeuceBounty,
+      bombPotAnte: this.bombPotAnte,
+      bombPotEvery: this.bombPotEvery,
+      bombPotDoubleBoard: this.bombPotDoubleBoard,
+      actionTimeout: this.actionTimeout,
+      timeBankSize: this.timeBankSize,
+      timeBankRefillHands: this.timeBankRefillHands,
+      disconnectGracePeriod: this.disconnectGracePeriod
     };
   }
 
   /**
    * Update game settings (host only)
    */
-  updateSettings(socketId, settings) {
+  updateSettings(playerId, settings) {
     // Verify host
-    if (socketId !== this.hostId) {
+    if (playerId !== this.hostId) {
       return { success: false, error: 'Only the host can change settings' };
     }
+    if (settings.variant !== undefined && !getVariant(settings.variant)) {
+      return { success: false, error: 'Unknown variant' };
+    }
     
-    // Can't change blinds during a hand
+    // Can't change blinds or antes during a hand
     if (this.isGameRunning && this.phase !== PHASES.WAITING && this.phase !== PHASES.SHOWDOWN) {
       if (settings.smallBlind !== undefined || settings.bigBlind !== undefined) {
         return { success: false, error: 'Cannot change blinds during a hand' };
       }
+      if (settings.ante !== undefined || settings.bigBlindAnte !== undefined || settings.studAnte !== undefined) {
+        return { success: false, error: 'Cannot change antes during a hand' };
+      }
+      if (settings.variant !== undefined && settings.variant !== this.variant.id) {
+        return { success: false, error: 'Cannot change the game during a hand' };
+      }
+      if ((settings.fixedLimit !== undefined && !!settings.fixedLimit !== this.fixedLimit) ||
+          (settings.raiseCap !== undefined && settings.raiseCap !== this.raiseCap)) {
+        return { success: false, error: 'Cannot change the betting structure during a hand' };
+      }
+    }
+    
+    // A tournament's blind schedule owns the antes - refuse them rather than save a value that never posts
+    const tournamentMode = ['cash', 'tournament'].includes(settings.gameMode)
+      ? settings.gameMode === 'tournament'
+      : this.gameMode === 'tournament';
+    if (tournamentMode && (settings.ante !== undefined || settings.bigBlindAnte !== undefined || settings.studAnte !== undefined)) {
+      return { success: false, error: 'The tournament blind schedule sets the antes' };
+    }
+    
+    // Switching modes or setting up a new tournament waits until the game is stopped
+    if (settings.gameMode !== undefined || settings.tournament !== undefined) {
+      if (this.isGameRunning) {
+        return { success: false, error: 'Stop the game before changing the game mode' };
+      }
+      if (settings.tournament !== undefined) {
+        this.tournamentSettings = normalizeTournamentSettings(settings.tournament, this.tournamentSettings);
+      }
+      if (settings.gameMode === 'cash' || settings.gameMode === 'tournament') {
+        this.gameMode = settings.gameMode;
+      }
+      // Any saved tournament change opens a fresh registration
+      this.tournament = this.gameMode === 'tournament' ? new Tournament(this.tournamentSettings) : null;
+      this.ante = 0;
+      if (this.tournament) {
+        this.bigBlindAnte = 0;
+      }
     }
     
-    // Update settings
-    if (settings.smallBlind !== undefined && settings.smallBlind > 0) {
+    // Update settings (a tournament's blind schedule owns the blinds)
+    if (!this.tournament && settings.smallBlind !== undefined && settings.smallBlind > 0) {
       this.smallBlind = Math.floor(settings.smallBlind);
     }
-    if (settings.bigBlind !== undefined && settings.bigBlind > 0) {
+    if (!this.tournament && settings.bigBlind !== undefined && settings.bigBlind > 0) {
       this.bigBlind = Math.floor(settings.bigBlind);
     }
+    if (settings.ante !== undefined && settings.ante >= 0) {
+      this.ante = Math.min(Math.floor(settings.ante), this.bigBlind);
+    }
+    if (settings.bigBlindAnte !== undefined && settings.bigBlindAnte >= 0) {
+      this.bigBlindAnte = Math.min(Math.floor(settings.bigBlindAnte), this.bigBlind * 2);
+    }
+    if (settings.studAnte !== undefined && settings.studAnte >= 0) {
+      this.studAnte = Math.min(Math.floor(settings.studAnte), this.bigBlind);
+    }
+    if (settings.variant !== undefined) {
+      this.variant = getVariant(settings.variant);
+    }
+    if (settings.fixedLimit !== undefined) {
+      this.fixedLimit = !!settings.fixedLimit;
+    }
+    // A new rotation starts from its first game on the next hand
+    if (settings.rotation !== undefined) {
+      this.rotationSettings = normalizeRotationSettings(settings.rotation, this.rotationSettings);
+      this.rotation = this.rotationSettings.mode === 'off' ? null : new GameRotation(this.rotationSettings);
+    }
+    if (settings.raiseCap !== undefined && settings.raiseCap >= 1) {
+      this.raiseCap = Math.min(Math.floor(settings.raiseCap), 10);
+    }
     if (settings.runItTwiceEnabled !== undefined) {
       this.runItTwiceEnabled = !!settings.runItTwiceEnabled;
     }
+    if (settings.bombPotAnte !== undefined && settings.bombPotAnte > 0) {
+      this.bombPotAnte = Math.min(Math.floor(settings.bombPotAnte), this.bigBlind * 100);
+    }
+    if (settings.bombPotEvery !== undefined && settings.bombPotEvery >= 0) {
+      this.bombPotEvery = Math.min(Math.floor(settings.bombPotEvery), 1000);
+    }
+    if (settings.bombPotDoubleBoard !== undefined) {
+      this.bombPotDoubleBoard = !!settings.bombPotDoubleBoard;
+    }
+    if (settings.sevenDeuceBounty !== undefined && settings.sevenDeuceBounty >= 0) {
+      this.sevenDeuceBounty = Math.min(Math.floor(settings.sevenDeuceBounty), this.bigBlind * 100);
+    }
+    // Takes effect from the next deal - turning it off clears everyone's opt-in
+    if (settings.straddleEnabled !== undefined) {
+      this.straddleEnabled = !!settings.straddleEnabled;
+      if (!this.straddleEnabled) {
+        for (const player of this.players.values()) {
+          player.straddle = null;
+        }
+      }
+    }
+    // Clock changes take effect from the next decision
+    if (settings.actionTimeout !== undefined && settings.actionTimeout >= 0) {
+      this.actionTimeout = Math.min(Math.floor(settings.actionTimeout), 300);
+    }
+    if (settings.timeBankSize !== undefined && settings.timeBankSize >= 0) {
+      this.timeBankSize = Math.min(Math.floor(settings.timeBankSize), 600);
+    }
+    if (settings.timeBankRefillHands !== undefined && settings.timeBankRefillHands >= 0) {
+      this.timeBankRefillHands = Math.floor(settings.timeBankRefillHands);
+    }
+    if (settings.disconnectGracePeriod !== undefined && settings.disconnectGracePeriod >= 0) {
+      this.disconnectGracePeriod = Math.min(Math.floor(settings.disconnectGracePeriod), 600);
+    }
+    // Pacing changes apply to the next pause - anything already waiting keeps its time
+    if (settings.timing !== undefined) {
+      this.timingSettings = normalizeTimingSettings(settings.timing, this.timingSettings);
+    }
     
     return { 
       success: true, 
       settings: {
         smallBlind: this.smallBlind,
         bigBlind: this.bigBlind,
-        runItTwiceEnabled: this.runItTwiceEnabled
+        variant: this.variant.id,
+        fixedLimit: this.fixedLimit,
+        raiseCap: this.raiseCap,
+        ante: this.ante,
+        bigBlindAnte: this.bigBlindAnte,
+        studAnte: this.studAnte,
+        runItTwiceEnabled: this.runItTwiceEnabled,
+        straddleEnabled: this.straddleEnabled,
+        sevenDeuceBounty: this.sevenDeuceBounty,
+        bombPotAnte: this.bombPotAnte,
+        bombPotEvery: this.bombPotEvery,
+        bombPotDoubleBoard: this.bombPotDoubleBoard,
+        actionTimeout: this.actionTimeout,
+        timeBankSize: this.timeBankSize,
+        timeBankRefillHands: this.timeBankRefillHands,
+        disconnectGracePeriod: this.disconnectGracePeriod,
+        gameMode: this.gameMode,
+        tournament: this.tournamentSettings,
+        rotation: this.rotationSettings,
+        timing: this.timingSettings
       }
     };
   }
 
+  /**
+   * Dealer's choice: the orbit's chooser picks the game (dealt from the next hand)
+   */
+  chooseGame(playerId, gameIndex) {
+    if (!this.rotation) {
+      return { success: false, error: 'Games are not rotating' };
+    }
+    const result = this.rotation.choose(playerId, gameIndex);
+    if (!result.success) return result;
+
+    return {
+      success: true,
+      variant: result.game.variant,
+      name: getGameName(result.game),
+      fixedLimit: result.game.fixedLimit
+    };
+  }
+
   /**
    * 🃏 Enable god mode for a player
    */
-  enableGodMode(socketId) {
-    this.godModePlayer = socketId;
+  enableGodMode(playerId) {
+    this.godModePlayer = playerId;
     return { success: true, message: 'God mode enabled. You can now see all cards.' };
   }
 
@@ -2271,17 +3546,176 @@ export class GameRoom {
     return allCards;
   }
 
+  /**
+   * 💾 Serialize the durable parts of the room for storage
+   * A hand in progress is refunded: every seat gets back what it put in this hand
+   */
+  toSnapshot() {
+    const handInProgress = this.phase !== PHASES.WAITING && this.phase !== PHASES.SHOWDOWN;
+
+    return {
+      version: SNAPSHOT_VERSION,
+      id: this.id,
+      name: this.name,
+      hostId: this.hostId,
+      maxPlayers: this.maxPlayers,
+      createdAt: this.createdAt,
+      savedAt: Date.now(),
+      handNumber: this.handNumber,
+      dealerSeat: this.dealerSeat,
+      wasGameRunning: this.isGameRunning,
+      settings: {
+        smallBlind: this.smallBlind,
+        bigBlind: this.bigBlind,
+        runItTwiceEnabled: this.runItTwiceEnabled,
+        straddleEnabled: this.straddleEnabled,
+        sevenDeuceBounty: this.sevenDeuceBounty,
+        bombPotAnte: this.bombPotAnte,
+        bombPotEvery: this.bombPotEvery,
+        bombPotDoubleBoard: this.bombPotDoubleBoard,
+        actionTimeout: this.actionTimeout,
+        timeBankSize: this.timeBankSize,
+        timeBankRefillHands: this.timeBankRefillHands,
+        disconnectGracePeriod: this.disconnectGracePeriod,
+        variant: this.variant.id,
+        fixedLimit: this.fixedLimit,
+        raiseCap: this.raiseCap,
+        ante: this.ante,
+        bigBlindAnte: this.bigBlindAnte,
+        studAnte: this.studAnte,
+        gameMode: this.gameMode,
+        tournamentSettings: this.tournamentSettings,
+        rotationSettings: this.rotationSettings,
+        timingSettings: this.timingSettings
+      },
+      tournament: this.tournament ? this.tournament.toSnapshot() : null,
+      rotation: this.rotation ? this.rotation.toSnapshot() : null,
+      ledger: this.ledger.toSnapshot(),
+      nextShuffle: this.upcomingShuffle,
+      seats: this.seats.map(player => {
+        if (!player) return null;
+        const refund = handInProgress ? player.totalBetThisHand : 0;
+        return {
+          seatIndex: player.seatIndex,
+          playerId: player.playerId,
+          username: player.username,
+          bankroll: player.bankroll + refund,
+          timeBank: player.timeBank,
+          straddle: player.straddle || null,
+          bot: player.isBot ? { strategy: player.botStrategy, number: player.botNumber } : null
+        };
+      })
+    };
+  }
+
+  /**
+   * 💾 Rebuild a room from a snapshot
+   * Seats are held for their owners, and the host restarts the game once everyone is back
+   */
+  static fromSnapshot(snapshot) {
+    if (snapshot.version === 1) {
+      snapshot = {
+        ...snapshot,
+        hostId: getPlayerId(snapshot.hostSessionId),
+        seats: snapshot.seats.map(seat => seat && { ...seat, playerId: getPlayerId(seat.sessionId) })
+      };
+    } else if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+    }
+
+    const room = new GameRoom(snapshot.id, snapshot.name, snapshot.hostId, snapshot.maxPlayers);
+    room.createdAt = snapshot.createdAt;
+    room.restoredAt = Date.now();
+    room.handNumber = snapshot.handNumber;
+    room.dealerSeat = snapshot.dealerSeat;
+    Object.assign(room, snapshot.settings);
+    // A snapshot from an older build may name a game this one doesn't have
+    room.variant = getVariant(snapshot.settings.variant) || DEFAULT_VARIANT;
+    room.timingSettings = normalizeTimingSettings(snapshot.settings.timingSettings);
+    if (snapshot.tournament) {
+      room.tournament = Tournament.fromSnapshot(snapshot.tournament);
+    }
+    if (snapshot.rotation) {
+      room.rotation = GameRotation.fromSnapshot(snapshot.rotation);
+    }
+    // Keep the shuffle players were already shown the hash of
+    room.nextShuffle = snapshot.nextShuffle || null;
+
+    // Carry the ledger over - the saved table total comes off here and goes back on as each seat
+    // is restored, so any difference is the bets of players who left a hand the restart cut short
+    if (snapshot.ledger) {
+      room.ledger = ChipLedger.fromSnapshot(snapshot.ledger);
+      room.ledger.record(room, 'restart', null, -room.ledger.tableChips);
+    }
+
+    for (const seat of snapshot.seats) {
+      if (!seat || seat.bankroll <= 0) continue;
+      room.seats[seat.seatIndex] = {
+        playerId: seat.playerId,
+        socketId: null,
+        username: seat.username,
+        seatIndex: seat.seatIndex,
+        cards: [],
+        upCards: [],
+        bankroll: seat.bankroll,
+        isFolded: false,
+        isAllIn: false,
+        currentBet: 0,
+        totalBetThisHand: 0,
+        timeBank: seat.timeBank,
+        straddle: seat.straddle || null,
+        isReserved: true,
+        isAway: false,
+        awaySince: null,
+        waitingForNextHand: true,
+        joinedAt: null
+      };
+
+      // Bots don't need to reconnect - they're back as soon as the room is
+      const strategy = seat.bot && getBotStrategy(seat.bot.strategy);
+      if (strategy) {
+        const bot = room.seats[seat.seatIndex];
+        Object.assign(bot, { isReserved: false, isBot: true, botNumber: seat.bot.number, botStrategy: strategy.id });
+        room.players.set(bot.playerId, bot);
+        room.bots.set(bot.playerId, strategy.create());
+      }
+      room.ledger.record(room, 'restore', room.seats[seat.seatIndex], seat.bankroll);
+    }
+
+    return room;
+  }
+
+  /**
+   * Free seats whose owners haven't come back since the restart
+   */
+  releaseReservedSeats(maxAge) {
+    if (!this.restoredAt || Date.now() - this.restoredAt < maxAge) return [];
+
+    const released = [];
+    for (let i = 0; i < this.seats.length; i++) {
+      if (this.seats[i]?.isReserved) {
+        const seat = this.seats[i];
+        released.push({ seatIndex: i, username: seat.username });
+        const cashOut = seat.bankroll;
+        seat.bankroll = 0;
+        this.ledger.record(this, 'cash-out', seat, -cashOut);
+        this.seats[i] = null;
+      }
+    }
+    return released;
+  }
+
   /**
    * Get state for a specific player (includes their cards)
    */
-  getPlayerState(socketId) {
+  getPlayerState(playerId) {
     const publicState = this.getPublicState();
-    const player = this.players.get(socketId);
+    const player = this.players.get(playerId);
     
     // Find if this player has a pending request
     let myPendingRequest = null;
     for (const req of this.seatRequests.values()) {
-      if (req.socketId === socketId) {
+      if (req.playerId === playerId) {
         myPendingRequest = req;
         break;
       }
@@ -2290,24 +3724,29 @@ export class GameRoom {
     // Evaluate player's current hand
     let myHandDescription = '';
     let myHandRank = 0;
+    let myLowHandDescription = null;
     if (player?.cards?.length >= 2 && this.phase !== PHASES.WAITING) {
-      const handResult = evaluateHand(player.cards, this.communityCards);
+      const handResult = this.variant.evaluateHand(player.cards, this.communityCards, this.variant);
       if (handResult) {
         myHandDescription = handResult.description;
         myHandRank = handResult.rank;
       }
+      if (this.variant.evaluateLowHand) {
+        myLowHandDescription = this.variant.evaluateLowHand(player.cards, this.communityCards)?.description || null;
+      }
     }
 
     // God mode extras
-    const isGodMode = socketId === this.godModePlayer;
+    const isGodMode = playerId === this.godModePlayer;
     
     // Showdown options for this player
     let showdownOptions = null;
+    // (two-board showdowns table every hand, so there's nothing to show or muck)
     if (this.phase === PHASES.SHOWDOWN && this.showdownData && player?.seatIndex !== null) {
-      const myShowdownData = this.showdownData.players.find(p => p.seatIndex === player.seatIndex);
+      const myShowdownData = this.showdownData.players?.find(p => p.seatIndex === player.seatIndex);
       if (myShowdownData) {
         showdownOptions = {
-          canShow: !myShowdownData.hasShown && !myShowdownData.hasMucked && myShowdownData.canMuck,
+          canShow: !myShowdownData.hasShown && !myShowdownData.hasMucked && (myShowdownData.canMuck || myShowdownData.isWinner),
           canMuck: myShowdownData.canMuck && !myShowdownData.hasShown && !myShowdownData.hasMucked,
           mustShow: myShowdownData.mustShow,
           hasShown: myShowdownData.hasShown,
@@ -2320,13 +3759,20 @@ export class GameRoom {
       ...publicState,
       myCards: player?.cards || [],
       mySeatIndex: player?.seatIndex ?? null,
-      isHost: socketId === this.hostId || player?.socketId === this.hostId,
-      validActions: this.getValidActions(socketId),
+      myPlayerId: player ? playerId : null,
+      myStraddle: player?.straddle || null,
+      isHost: playerId === this.hostId,
+      validActions: this.getValidActions(playerId),
+      maxRaise: player?.seatIndex !== null && player?.seatIndex !== undefined ? this.getMaxRaise(player) : 0,
+      limitRaise: this.betting === BETTING.FIXED_LIMIT ? this.getLimitRaise() : null,
       toCall: player ? this.currentBet - (player.currentBet || 0) : 0,
       myPendingRequest,
       myHandDescription,
       myHandRank,
+      myLowHandDescription,
       showdownOptions,
+      // Dealer's choice - this player picks the next game
+      canChooseGame: !!this.rotation && this.rotation.chooserId === playerId && !this.rotation.hasChosen,
       // 🃏 God mode data
       isGodMode,
       allPlayerCards: isGodMode ? this.getAllPlayerCards() : null,
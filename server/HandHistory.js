@@ -0,0 +1,284 @@
+/**
+ * HandHistory - Records every hand played at a table as structured data
+ */
+
+// Keep the most recent hands per room
+const MAX_HANDS = 200;
+
+export class HandHistory {
+  constructor(maxHands = MAX_HANDS) {
+    this.maxHands = maxHands;
+    this.hands = [];       // Completed hands, oldest first
+    this.current = null;   // Hand in progress
+  }
+
+  /**
+   * Open a record for a new hand (call before blinds are posted)
+   */
+  beginHand(room, players) {
+    this.current = {
+      handNumber: room.handNumber,
+      roomId: room.id,
+      tableName: room.name,
+      variant: room.variant.id,
+      holeCardCount: room.variant.holeCards,
+      betting: room.betting,
+      startedAt: Date.now(),
+      endedAt: null,
+      maxPlayers: room.maxPlayers,
+      smallBlind: room.smallBlind,
+      bigBlind: room.bigBlind,
+      ante: room.ante,
+      bigBlindAnte: room.tournament ? 0 : room.bigBlindAnte,
+      bombPot: room.bombPot ? { ...room.bombPot } : null,
+      dealerSeat: room.dealerSeat,
+      sbSeat: null,
+      bbSeat: null,
+      seats: players.map(player => ({
+        seatIndex: player.seatIndex,
+        playerId: player.playerId,
+        username: player.username,
+        startingStack: player.bankroll,
+        endingStack: null,
+        holeCards: []
+      })),
+      blinds: [],
+      // Betting streets in the order they're played (stud streets also record each player's cards)
+      streets: Object.fromEntries(room.variant.streets.map(street => [street, { board: [], actions: [] }])),
+      boards: [],
+      sidePots: [],
+      awards: [],
+      showdown: [],
+      bounties: [],
+      noShowdown: false,
+      runCount: 1,
+      shuffle: null       // { seed, commitment } - filled in when the hand is over
+    };
+  }
+
+  /**
+   * Record a forced bet posted before the cards are dealt
+   * type is 'ante', 'small', 'big', 'straddle', 'big-blind-ante' or 'bomb-pot'
+   */
+  recordBlind(seatIndex, type, amount) {
+    if (!this.current) return;
+    this.current.blinds.push({ seatIndex, type, amount });
+  }
+
+  /**
+   * Record blind positions and everyone's hole cards once dealt
+   */
+  recordDeal(room) {
+    if (!this.current) return;
+    this.current.dealerSeat = room.dealerSeat;
+    this.current.sbSeat = room.sbSeat;
+    this.current.bbSeat = room.bbSeat;
+    for (const seat of this.current.seats) {
+      const player = room.seats[seat.seatIndex];
+      seat.holeCards = player ? [...player.cards] : [];
+    }
+  }
+
+  /**
+   * Record the cards dealt to each player on a stud street
+   * dealt is [{ seatIndex, down: [cards], up: [cards] }]
+   */
+  recordStreetCards(street, dealt) {
+    if (!this.current || !this.current.streets[street]) return;
+    this.current.streets[street].dealt = dealt.map(d => ({
+      seatIndex: d.seatIndex,
+      down: [...d.down],
+      up: [...d.up]
+    }));
+  }
+
+  /**
+   * Record a betting action on the given street
+   */
+  recordAction(street, action) {
+    if (!this.current || !this.current.streets[street]) return;
+    this.current.streets[street].actions.push({ ...action, timestamp: Date.now() });
+  }
+
+  /**
+   * Record community cards dealt on a street (extraBoardCards holds each extra board's cards)
+   */
+  recordBoard(street, cards, extraBoardCards = null) {
+    if (!this.current || !this.current.streets[street]) return;
+    this.current.streets[street].board = [...cards];
+    if (extraBoardCards) {
+      this.current.streets[street].extraBoards = extraBoardCards.map(board => [...board]);
+    }
+  }
+
+  /**
+   * Close out the hand with boards, pots, awards and final stacks
+   */
+  finishHand(room, showdownData) {
+    const hand = this.current;
+    if (!hand) return null;
+
+    hand.endedAt = Date.now();
+    // Reveal the shuffle seed now that the hand is over
+    hand.shuffle = room.handShuffle ? { ...room.handShuffle } : null;
+    hand.boards = [room.communityCards, ...room.extraBoards].map(board => [...board]);
+    hand.runCount = room.runCount;
+    hand.sidePots = (showdownData?.sidePots || []).map(pot => ({
+      amount: pot.amount,
+      eligibleSeats: [...pot.eligibleSeats]
+    }));
+    hand.noShowdown = !!showdownData?.noShowdown;
+
+    // Awards - Run It Twice splits them per board
+    if (showdownData?.multiBoard) {
+      hand.awards = showdownData.boards.flatMap((result, i) => toAwards(result, i + 1));
+      hand.showdown = showdownData.boards[0].players.map(p => ({
+        seatIndex: p.seatIndex,
+        cards: p.cards,
+        handDescription: p.handDescription,
+        lowHandDescription: p.lowHandDescription || null,
+        shown: true,
+        mucked: false
+      }));
+    } else {
+      hand.awards = toAwards(showdownData, 1);
+      // Nothing is tabled when everyone else folded
+      hand.showdown = hand.noShowdown ? [] : (showdownData?.players || []).map(p => ({
+        seatIndex: p.seatIndex,
+        cards: p.cards,
+        handDescription: p.handDescription,
+        lowHandDescription: p.lowHandDescription || null,
+        shown: !!p.hasShown,
+        mucked: !!p.hasMucked
+      }));
+    }
+
+    for (const seat of hand.seats) {
+      const player = room.seats[seat.seatIndex];
+      seat.endingStack = player && player.playerId === seat.playerId ? player.bankroll : 0;
+
+      // Stud hands grow street by street
+      const studDeals = Object.values(hand.streets)
+        .flatMap(street => (street.dealt || []).filter(d => d.seatIndex === seat.seatIndex));
+      if (studDeals.length > 0) {
+        seat.holeCards = studDeals.flatMap(d => [...d.down, ...d.up]);
+      }
+      seat.upCards = studDeals.flatMap(d => d.up);
+    }
+
+    this.hands.push(hand);
+    if (this.hands.length > this.maxHands) {
+      this.hands.shift();
+    }
+    this.current = null;
+    return hand;
+  }
+
+  /**
+   * Drop the hand in progress (game stopped mid-hand)
+   */
+  abandonHand() {
+    this.current = null;
+  }
+
+  /**
+   * Update the last hand when a player shows or mucks after the pot is awarded
+   */
+  recordShowdownChoice(handNumber, seatIndex, { cards = null, handDescription = null, lowHandDescription = null, mucked = false }) {
+    const hand = this.hands.find(h => h.handNumber === handNumber);
+    if (!hand) return;
+
+    let entry = hand.showdown.find(s => s.seatIndex === seatIndex);
+    if (!entry) {
+      entry = { seatIndex, cards: null, handDescription: null, lowHandDescription: null, shown: false, mucked: false };
+      hand.showdown.push(entry);
+    }
+    if (mucked) {
+      entry.mucked = true;
+    } else {
+      entry.cards = cards;
+      entry.handDescription = handDescription;
+      entry.lowHandDescription = lowHandDescription;
+      entry.shown = true;
+    }
+  }
+
+  /**
+   * Record a 7-2 bounty paid after the pot was awarded, moving the final stacks to match
+   */
+  recordBounty(handNumber, { seatIndex, amount, payers }) {
+    const hand = this.hands.find(h => h.handNumber === handNumber);
+    if (!hand) return;
+
+    hand.bounties.push({ seatIndex, amount, payers: payers.map(p => ({ ...p })) });
+    const winner = hand.seats.find(s => s.seatIndex === seatIndex);
+    if (winner) winner.endingStack += amount;
+    for (const payer of payers) {
+      const seat = hand.seats.find(s => s.seatIndex === payer.seatIndex);
+      if (seat) seat.endingStack -= payer.amount;
+    }
+  }
+
+  /**
+   * Get completed hands as seen by a given player
+   * Hole cards are only included for the viewer and for hands shown at showdown
+   */
+  getHands(viewerId = null, limit = 50) {
+    return this.hands.slice(-limit).map(hand => redactHand(hand, viewerId));
+  }
+}
+
+/**
+ * Flatten a board's winners into award records
+ * Hi/lo pots record the high and low halves separately (half is 'high' or 'low')
+ */
+function toAwards(result, board) {
+  const split = result?.lowWinners?.length > 0;
+  const winners = split
+    ? [
+      ...result.highWinners.map(w => ({ ...w, half: 'high' })),
+      ...result.lowWinners.map(w => ({ ...w, half: 'low' }))
+    ]
+    : (result?.winners || []).map(w => ({ ...w, half: null }));
+  return winners.map(w => ({
+    seatIndex: w.seatIndex,
+    username: w.username,
+    amount: w.potWon,
+    handDescription: w.handDescription,
+    board,
+    half: w.half
+  }));
+}
+
+/**
+ * Strip hole cards the viewer isn't allowed to see
+ */
+export function redactHand(hand, viewerId = null) {
+  // The shuffle seed rebuilds the whole deck, folded and mucked cards included,
+  // so only players dealt into the hand get it - everyone else sees the commitment alone
+  const dealtIn = viewerId !== null && hand.seats.some(seat => seat.playerId === viewerId);
+  const shownSeats = new Set(
+    hand.showdown.filter(s => s.shown && !s.mucked).map(s => s.seatIndex)
+  );
+  const visibleSeats = new Set(
+    hand.seats
+      .filter(seat => seat.playerId === viewerId || shownSeats.has(seat.seatIndex))
+      .map(seat => seat.seatIndex)
+  );
+  return {
+    ...hand,
+    shuffle: hand.shuffle && (dealtIn ? hand.shuffle : { seed: null, commitment: hand.shuffle.commitment }),
+    seats: hand.seats.map(seat => ({
+      ...seat,
+      holeCards: visibleSeats.has(seat.seatIndex) ? seat.holeCards : null
+    })),
+    // Stud down cards stay hidden too (up cards are public)
+    streets: Object.fromEntries(Object.entries(hand.streets).map(([street, data]) => [
+      street,
+      data.dealt ? {
+        ...data,
+        dealt: data.dealt.map(d => visibleSeats.has(d.seatIndex) ? d : { ...d, down: d.down.map(() => null) })
+      } : data
+    ]))
+  };
+}
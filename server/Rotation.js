@@ -0,0 +1,178 @@
+/**
+ * Rotation - Mixed games: a fixed rotation that switches every N hands, or dealer's choice each orbit
+ */
+
+import { getVariant } from './variants.js';
+
+// Game lists the host can rotate through - each game is { variant, fixedLimit }
+export const ROTATION_PRESETS = {
+  hose: {
+    name: 'HOSE',
+    games: [
+      { variant: 'holdem', fixedLimit: true },
+      { variant: 'omaha8', fixedLimit: true },
+      { variant: 'stud', fixedLimit: true },
+      { variant: 'stud8', fixedLimit: true }
+    ]
+  },
+  'big-bet': {
+    name: 'Big Bet Mix',
+    games: [
+      { variant: 'holdem', fixedLimit: false },
+      { variant: 'omaha', fixedLimit: false },
+      { variant: 'shortdeck', fixedLimit: false }
+    ]
+  },
+  everything: {
+    name: 'Everything',
+    games: [
+      { variant: 'holdem', fixedLimit: false },
+      { variant: 'shortdeck', fixedLimit: false },
+      { variant: 'omaha', fixedLimit: false },
+      { variant: 'omaha8', fixedLimit: false },
+      { variant: 'stud', fixedLimit: false },
+      { variant: 'stud8', fixedLimit: false }
+    ]
+  }
+};
+
+export const DEFAULT_ROTATION_SETTINGS = {
+  mode: 'off',          // 'off', 'fixed' or 'dealers-choice'
+  preset: 'hose',       // Key into ROTATION_PRESETS
+  handsPerGame: 8       // Fixed rotation only
+};
+
+const ROTATION_MODES = ['off', 'fixed', 'dealers-choice'];
+
+/**
+ * Display name for a game in the rotation (e.g. "Limit Hold'em")
+ */
+export function getGameName(game) {
+  const { name } = getVariant(game.variant);
+  return game.fixedLimit ? `Limit ${name.replace(/^(No|Pot)-Limit /, '')}` : name;
+}
+
+/**
+ * Validate host-supplied rotation settings, falling back to the current values
+ */
+export function normalizeRotationSettings(input = {}, current = DEFAULT_ROTATION_SETTINGS) {
+  const settings = { ...current };
+
+  if (ROTATION_MODES.includes(input.mode)) {
+    settings.mode = input.mode;
+  }
+  if (ROTATION_PRESETS[input.preset]) {
+    settings.preset = input.preset;
+  }
+  if (input.handsPerGame !== undefined && input.handsPerGame > 0) {
+    settings.handsPerGame = Math.min(Math.floor(input.handsPerGame), 100);
+  }
+
+  return settings;
+}
+
+export class GameRotation {
+  constructor(settings = DEFAULT_ROTATION_SETTINGS) {
+    this.settings = settings;
+    this.gameIndex = 0;        // Index into the preset's games
+    this.handsThisGame = 0;    // Hands dealt since the game (or the dealer's choice orbit) started
+    // Dealer's choice
+    this.orbitLength = 0;      // Hands in the current orbit - one per player dealt in when it began
+    this.chooserId = null;     // Button player picking the game for this orbit
+    this.choice = null;        // Game index picked, dealt from the next hand
+    this.hasChosen = false;
+  }
+
+  get games() {
+    return ROTATION_PRESETS[this.settings.preset].games;
+  }
+
+  get currentGame() {
+    return this.games[this.gameIndex];
+  }
+
+  /**
+   * Call at the start of each hand, once the button has moved
+   * Returns the game to deal, or null to keep playing the current one
+   */
+  startHand(buttonPlayerId, playersDealt) {
+    if (this.settings.mode === 'fixed') {
+      if (this.handsThisGame >= this.settings.handsPerGame) {
+        this.gameIndex = (this.gameIndex + 1) % this.games.length;
+        this.handsThisGame = 0;
+      }
+      this.handsThisGame++;
+      return this.currentGame;
+    }
+
+    // Dealer's choice - the pick takes over from the hand after it was made
+    let game = null;
+    if (this.choice !== null) {
+      this.gameIndex = this.choice;
+      this.choice = null;
+      game = this.currentGame;
+    }
+    if (this.handsThisGame >= this.orbitLength) {
+      this.orbitLength = playersDealt;
+      this.handsThisGame = 0;
+      this.chooserId = buttonPlayerId;
+      this.hasChosen = false;
+    }
+    this.handsThisGame++;
+    return game;
+  }
+
+  /**
+   * The orbit's chooser picks the game
+   */
+  choose(playerId, gameIndex) {
+    if (this.settings.mode !== 'dealers-choice') {
+      return { success: false, error: "Not playing dealer's choice" };
+    }
+    if (playerId !== this.chooserId) {
+      return { success: false, error: "It's not your choice this orbit" };
+    }
+    if (this.hasChosen) {
+      return { success: false, error: 'Game already chosen for this orbit' };
+    }
+    if (!Number.isInteger(gameIndex) || !this.games[gameIndex]) {
+      return { success: false, error: 'Invalid game' };
+    }
+
+    this.choice = gameIndex;
+    this.hasChosen = true;
+    return { success: true, game: this.games[gameIndex] };
+  }
+
+  getPublicState() {
+    const { mode, preset, handsPerGame } = this.settings;
+    return {
+      mode,
+      preset,
+      presetName: ROTATION_PRESETS[preset].name,
+      games: this.games.map(game => ({ ...game, name: getGameName(game) })),
+      gameIndex: this.gameIndex,
+      handsLeftInGame: mode === 'fixed' ? Math.max(0, handsPerGame - this.handsThisGame) : null,
+      nextGame: mode === 'fixed' ? getGameName(this.games[(this.gameIndex + 1) % this.games.length]) : null,
+      chooserId: mode === 'dealers-choice' ? this.chooserId : null,
+      hasChosen: this.hasChosen,
+      choice: this.choice
+    };
+  }
+
+  toSnapshot() {
+    return {
+      settings: this.settings,
+      gameIndex: this.gameIndex,
+      handsThisGame: this.handsThisGame,
+      orbitLength: this.orbitLength,
+      chooserId: this.chooserId,
+      choice: this.choice,
+      hasChosen: this.hasChosen
+    };
+  }
+
+  static fromSnapshot(snapshot) {
+    return Object.assign(new GameRotation(snapshot.settings), snapshot);
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * Tournament - Sit & Go state: blind levels, eliminations and payouts
+ */
+
+// Blind levels as { smallBlind, bigBlind, ante }
+export const DEFAULT_BLIND_SCHEDULE = [
+  { smallBlind: 10, bigBlind: 20, ante: 0 },
+  { smallBlind: 15, bigBlind: 30, ante: 0 },
+  { smallBlind: 25, bigBlind: 50, ante: 5 },
+  { smallBlind: 50, bigBlind: 100, ante: 10 },
+  { smallBlind: 75, bigBlind: 150, ante: 15 },
+  { smallBlind: 100, bigBlind: 200, ante: 25 },
+  { smallBlind: 150, bigBlind: 300, ante: 25 },
+  { smallBlind: 200, bigBlind: 400, ante: 50 },
+  { smallBlind: 300, bigBlind: 600, ante: 75 },
+  { smallBlind: 500, bigBlind: 1000, ante: 100 }
+];
+
+export const DEFAULT_TOURNAMENT_SETTINGS = {
+  startingStack: 1500,
+  buyIn: 0,               // Prize pool per entrant (0 = play for placement only)
+  levelType: 'hands',     // 'hands' or 'time'
+  levelLength: 10,        // Hands per level, or minutes per level
+  blindSchedule: DEFAULT_BLIND_SCHEDULE,
+  payouts: [50, 30, 20]   // Percent of the prize pool by place
+};
+
+const MAX_LEVELS = 50;
+const MAX_PAYOUT_PLACES = 10;
+
+/**
+ * Validate host-supplied tournament settings, falling back to the current values
+ */
+export function normalizeTournamentSettings(input = {}, current = DEFAULT_TOURNAMENT_SETTINGS) {
+  const settings = { ...current };
+
+  if (input.startingStack !== undefined && input.startingStack > 0) {
+    settings.startingStack = Math.min(Math.floor(input.startingStack), 1000000);
+  }
+  if (input.buyIn !== undefined && input.buyIn >= 0) {
+    settings.buyIn = Math.min(Math.floor(input.buyIn), 1000000);
+  }
+  if (input.levelType === 'hands' || input.levelType === 'time') {
+    settings.levelType = input.levelType;
+  }
+  if (input.levelLength !== undefined && input.levelLength > 0) {
+    settings.levelLength = Math.min(Math.floor(input.levelLength), 120);
+  }
+  if (Array.isArray(input.blindSchedule)) {
+    const levels = input.blindSchedule
+      .slice(0, MAX_LEVELS)
+      .map(level => ({
+        smallBlind: Math.floor(level?.smallBlind),
+        bigBlind: Math.floor(level?.bigBlind),
+        ante: Math.floor(level?.ante || 0)
+      }))
+      .filter(level => level.smallBlind > 0 && level.bigBlind >= level.smallBlind && level.ante >= 0);
+    if (levels.length > 0) {
+      settings.blindSchedule = levels;
+    }
+  }
+  if (Array.isArray(input.payouts)) {
+    const payouts = input.payouts
+      .slice(0, MAX_PAYOUT_PLACES)
+      .map(p => Math.floor(p))
+      .filter(p => p > 0);
+    if (payouts.length > 0 && payouts.reduce((sum, p) => sum + p, 0) === 100) {
+      settings.payouts = payouts;
+    }
+  }
+
+  return settings;
+}
+
+export class Tournament {
+  constructor(settings = DEFAULT_TOURNAMENT_SETTINGS) {
+    this.settings = settings;
+    this.status = 'registering';  // 'registering' -> 'running' -> 'finished'
+    this.level = 0;               // Index into the blind schedule
+    this.levelStartedAt = null;
+    this.levelHandsPlayed = 0;
+    this.entrants = 0;
+    this.placements = [];         // Busted players, last place first
+    this.startedAt = null;
+    this.finishedAt = null;
+  }
+
+  get isRunning() {
+    return this.status === 'running';
+  }
+
+  get currentLevel() {
+    const schedule = this.settings.blindSchedule;
+    return schedule[Math.min(this.level, schedule.length - 1)];
+  }
+
+  get prizePool() {
+    return this.settings.buyIn * this.entrants;
+  }
+
+  /**
+   * Close registration and start the clock on the first level
+   * now comes from the room's clock, so time levels follow a FakeClock too
+   */
+  start(entrants, now = Date.now()) {
+    this.status = 'running';
+    this.entrants = entrants;
+    this.level = 0;
+    this.levelStartedAt = now;
+    this.levelHandsPlayed = 0;
+    this.startedAt = now;
+  }
+
+  /**
+   * Call at the start of each hand - moves up a level when this one is used up
+   * Returns the new level, or null if the blinds didn't change
+   */
+  startHand(now = Date.now()) {
+    const { levelType, levelLength, blindSchedule } = this.settings;
+    const levelOver = levelType === 'time'
+      ? now - this.levelStartedAt >= levelLength * 60000
+      : this.levelHandsPlayed >= levelLength;
+
+    let levelUp = null;
+    if (levelOver && this.level < blindSchedule.length - 1) {
+      this.level++;
+      this.levelStartedAt = now;
+      this.levelHandsPlayed = 0;
+      levelUp = { level: this.level + 1, ...this.currentLevel };
+    }
+
+    this.levelHandsPlayed++;
+    return levelUp;
+  }
+
+  /**
+   * Record players knocked out in the same hand
+   * The bigger stack at the start of the hand finishes higher
+   */
+  recordEliminations(busted, playersLeft) {
+    const ordered = [...busted].sort((a, b) => a.stackAtHandStart - b.stackAtHandStart);
+    let place = playersLeft + ordered.length;
+    for (const player of ordered) {
+      this.placements.push({
+        place,
+        playerId: player.playerId,
+        username: player.username,
+        payout: this.getPayout(place)
+      });
+      place--;
+    }
+  }
+
+  /**
+   * Crown the last player standing
+   */
+  finish(winner, now = Date.now()) {
+    if (winner) {
+      this.placements.push({
+        place: 1,
+        playerId: winner.playerId,
+        username: winner.username,
+        payout: this.getPayout(1)
+      });
+    }
+    this.status = 'finished';
+    this.finishedAt = now;
+    return this.getResults();
+  }
+
+  getPayout(place) {
+    const percent = this.settings.payouts[place - 1] || 0;
+    return Math.floor(this.prizePool * percent / 100);
+  }
+
+  /**
+   * Final standings, winner first
+   */
+  getResults() {
+    return {
+      prizePool: this.prizePool,
+      entrants: this.entrants,
+      placements: [...this.placements].sort((a, b) => a.place - b.place)
+    };
+  }
+
+  getPublicState() {
+    const { levelType, levelLength, blindSchedule } = this.settings;
+    const nextLevel = blindSchedule[this.level + 1] || null;
+    return {
+      status: this.status,
+      settings: this.settings,
+      level: this.level + 1,
+      ...this.currentLevel,
+      nextLevel,
+      levelEndsAt: levelType === 'time' && this.levelStartedAt
+        ? this.levelStartedAt + levelLength * 60000
+        : null,
+      handsLeftInLevel: levelType === 'hands'
+        ? Math.max(0, levelLength - this.levelHandsPlayed)
+        : null,
+      entrants: this.entrants,
+      prizePool: this.prizePool,
+      payouts: this.settings.payouts.map((percent, i) => ({
+        place: i + 1,
+        percent,
+        amount: this.getPayout(i + 1)
+      })),
+      placements: this.getResults().placements
+    };
+  }
+
+  toSnapshot() {
+    return {
+      settings: this.settings,
+      status: this.status,
+      level: this.level,
+      levelStartedAt: this.levelStartedAt,
+      levelHandsPlayed: this.levelHandsPlayed,
+      entrants: this.entrants,
+      placements: this.placements,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt
+    };
+  }
+
+  static fromSnapshot(snapshot) {
+    return Object.assign(new Tournament(snapshot.settings), snapshot);
+  }
+}
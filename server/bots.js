@@ -0,0 +1,214 @@
+/**
+ * Bots - Server-side players the host can seat at short-handed tables
+ * A strategy only picks an action - the room plays it through playerAction like any human's
+ */
+
+import { ACTIONS } from './GameRoom.js';
+import { evaluateHand, HAND_RANKS } from './handEvaluator.js';
+import { BETTING } from './variants.js';
+
+// How long a bot "thinks" before acting
+export const BOT_THINK_TIME = 1200;
+
+/**
+ * Strategy interface - extend this (or match its shape) to plug in a bot
+ *
+ * decideAction(context) gets what the bot's seat can see:
+ *   { variant, betting, phase, cards, upCards, communityCards, bankroll, currentBet,
+ *     tableBet, toCall, pot, minRaise, maxRaise, bigBlind, opponents, validActions }
+ * and returns { action, amount } - amount is the raise on top of the call, as in playerAction.
+ * An illegal or missing answer is replaced with a check (or a fold when facing a bet).
+ *
+ * chooseRunCount(context) is asked when the bot is all-in and Run It Twice is offered.
+ */
+export class BotStrategy {
+  decideAction() {
+    throw new Error('Bot strategies must implement decideAction(context)');
+  }
+
+  chooseRunCount() {
+    return 1;
+  }
+}
+
+/**
+ * Chen formula score for a two-card starting hand (AA = 20, 7-2 offsuit = -1)
+ */
+function chenScore([a, b]) {
+  const high = Math.max(rankValue(a), rankValue(b));
+  const low = Math.min(rankValue(a), rankValue(b));
+  const points = { 14: 10, 13: 8, 12: 7, 11: 6 }[high] ?? high / 2;
+
+  if (high === low) {
+    return Math.max(points * 2, 5);
+  }
+
+  const gap = high - low - 1;
+  let score = points - ([0, 1, 2, 4][gap] ?? 5);
+  if (a.suit === b.suit) score += 2;
+  if (gap <= 1 && high < 12) score += 1;
+  return Math.ceil(score);
+}
+
+function rankValue(card) {
+  return { J: 11, Q: 12, K: 13, A: 14 }[card.rank] ?? Number(card.rank);
+}
+
+/**
+ * Best Chen score among any two of the bot's cards (Omaha and stud have more than two)
+ */
+function startingHandScore(cards) {
+  let best = -Infinity;
+  for (let i = 0; i < cards.length; i++) {
+    for (let j = i + 1; j < cards.length; j++) {
+      best = Math.max(best, chenScore([cards[i], cards[j]]));
+    }
+  }
+  return best;
+}
+
+/**
+ * 'strong', 'medium' or 'weak' - only hands that improve on the board itself count
+ */
+function madeHandStrength(context) {
+  const { variant, cards, communityCards } = context;
+  const hand = variant.evaluateHand(cards, communityCards, variant);
+  const boardRank = communityCards.length > 0
+    ? evaluateHand([], communityCards, variant).rank
+    : HAND_RANKS.HIGH_CARD;
+
+  if (!hand || hand.rank <= boardRank) return 'weak';
+  if (hand.rank >= HAND_RANKS.TWO_PAIR) return 'strong';
+  return hand.rank === HAND_RANKS.PAIR ? 'medium' : 'weak';
+}
+
+/**
+ * Check when it's free, otherwise call if the price is right or fold
+ */
+function passive(context, maxPotOdds) {
+  const { validActions, toCall, pot } = context;
+  if (validActions.includes(ACTIONS.CHECK)) {
+    return { action: ACTIONS.CHECK };
+  }
+  const potOdds = toCall / (pot + toCall);
+  return potOdds <= maxPotOdds && validActions.includes(ACTIONS.CALL)
+    ? { action: ACTIONS.CALL }
+    : { action: ACTIONS.FOLD };
+}
+
+/**
+ * Bet or raise by about `raiseBy`, kept within the legal sizes
+ * Falls back to shoving when the stack is too short for a full raise, then to calling
+ */
+function aggressive(context, raiseBy) {
+  const { validActions, betting, minRaise, maxRaise } = context;
+  const action = [ACTIONS.BET, ACTIONS.RAISE].find(a => validActions.includes(a));
+
+  if (action && betting === BETTING.FIXED_LIMIT) {
+    return { action, amount: maxRaise };
+  }
+  if (action && maxRaise >= minRaise) {
+    return { action, amount: Math.min(Math.max(Math.round(raiseBy), minRaise), maxRaise) };
+  }
+  if (validActions.includes(ACTIONS.ALL_IN)) {
+    return { action: ACTIONS.ALL_IN };
+  }
+  return passive(context, 1);
+}
+
+/**
+ * Rules-based tight-aggressive bot
+ * Plays few starting hands and bets the ones it plays; gives up without a made hand
+ */
+export class TightAggressiveBot extends BotStrategy {
+  constructor({ raiseScore = 10, playScore = 7, reraiseScore = 12 } = {}) {
+    super();
+    this.raiseScore = raiseScore;      // Open-raise with this Chen score or better
+    this.playScore = playScore;        // Limp or call a single bet with this
+    this.reraiseScore = reraiseScore;  // Re-raise with this
+  }
+
+  decideAction(context) {
+    const isFirstStreet = context.phase === context.variant.streets[0];
+    return isFirstStreet ? this.decideFirstStreet(context) : this.decideLaterStreet(context);
+  }
+
+  decideFirstStreet(context) {
+    const { cards, tableBet, toCall, bigBlind } = context;
+    const score = startingHandScore(cards);
+    const facingRaise = tableBet > bigBlind;
+
+    // Three times the bet in front of us
+    if (score >= this.reraiseScore || (score >= this.raiseScore && !facingRaise)) {
+      return aggressive(context, Math.max(tableBet, bigBlind) * 2);
+    }
+    if (score >= this.raiseScore || (score >= this.playScore && toCall <= bigBlind)) {
+      return passive(context, 1);
+    }
+    return passive(context, 0);
+  }
+
+  decideLaterStreet(context) {
+    const { pot, toCall } = context;
+
+    switch (madeHandStrength(context)) {
+      case 'strong':
+        return aggressive(context, (pot + toCall) * 0.75);
+      case 'medium':
+        return toCall === 0 ? aggressive(context, pot / 2) : passive(context, 0.35);
+      default:
+        return passive(context, 0.15);
+    }
+  }
+}
+
+/**
+ * Calls everything and never raises - a baseline to measure other strategies against
+ */
+export class CallingStationBot extends BotStrategy {
+  decideAction(context) {
+    return passive(context, 1);
+  }
+}
+
+/**
+ * Bots the host can seat - register your own with registerBotStrategy()
+ */
+export const BOT_STRATEGIES = {
+  'tight-aggressive': {
+    id: 'tight-aggressive',
+    name: 'Tight-Aggressive',
+    create: () => new TightAggressiveBot()
+  },
+  'calling-station': {
+    id: 'calling-station',
+    name: 'Calling Station',
+    create: () => new CallingStationBot()
+  }
+};
+
+export const DEFAULT_BOT_STRATEGY = 'tight-aggressive';
+
+/**
+ * Add a bot strategy - create() returns a fresh instance for each seated bot
+ */
+export function registerBotStrategy(id, { name, create }) {
+  if (typeof create !== 'function') {
+    throw new Error(`Bot strategy ${id} needs a create() function`);
+  }
+  BOT_STRATEGIES[id] = { id, name: name || id, create };
+}
+
+/**
+ * Look up a bot strategy by ID (null for unknown IDs)
+ */
+export function getBotStrategy(id) {
+  return Object.hasOwn(BOT_STRATEGIES, id) ? BOT_STRATEGIES[id] : null;
+}
+
+/**
+ * Strategies for the host to pick from
+ */
+export function listBotStrategies() {
+  return Object.values(BOT_STRATEGIES).map(({ id, name }) => ({ id, name }));
+}
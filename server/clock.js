@@ -0,0 +1,94 @@
+/**
+ * Clock - Where a room gets the time and schedules its timers
+ * Rooms use the system clock; simulations and tests swap in a FakeClock and step it by hand
+ */
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id)
+};
+
+/**
+ * Virtual time that only moves when told to - timers fire in order, never on their own
+ */
+export class FakeClock {
+  constructor(startTime = 0) {
+    this.time = startTime;
+    this.timers = new Map();  // id -> { at, fn }
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  // label is optional - a room's scheduler passes the timer's name so tests can see what's coming
+  setTimeout(fn, ms = 0, label = null) {
+    const id = this.nextId++;
+    this.timers.set(id, { at: this.time + Math.max(0, ms || 0), fn, label });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  /**
+   * Timers still waiting to fire
+   */
+  get pending() {
+    return this.timers.size;
+  }
+
+  /**
+   * The timer that fires next - { id, at, label }, or null when nothing is scheduled
+   * Earliest first; timers due at the same moment fire in the order they were set
+   */
+  get nextTimer() {
+    let next = null;
+    for (const [id, timer] of this.timers) {
+      if (!next || timer.at < next.at) {
+        next = { id, at: timer.at, label: timer.label };
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Jump to the next timer and fire it - false when nothing is scheduled
+   */
+  runNext() {
+    const next = this.nextTimer;
+    if (!next) return false;
+
+    const { fn } = this.timers.get(next.id);
+    this.timers.delete(next.id);
+    this.time = next.at;
+    fn();
+    return true;
+  }
+
+  /**
+   * Fire timers until the one with this label has fired - false if it doesn't come up within `limit` timers
+   */
+  runUntil(label, limit = 10000) {
+    for (let fired = 0; fired < limit && this.nextTimer; fired++) {
+      const { label: nextLabel } = this.nextTimer;
+      this.runNext();
+      if (nextLabel === label) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Move time forward by ms, firing every timer that comes due on the way
+   */
+  advance(ms) {
+    const target = this.time + ms;
+    while (this.timers.size > 0 && Math.min(...Array.from(this.timers.values(), t => t.at)) <= target) {
+      this.runNext();
+    }
+    this.time = target;
+  }
+}
@@ -1,17 +1,22 @@
 /**
- * Deck - Standard 52-card deck utilities
+ * Deck - Standard 52-card deck utilities (36 cards for short deck)
  */
 
 const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
 const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
 
+// Short deck strips the 2s through 5s
+const SHORT_DECK_RANKS = RANKS.slice(RANKS.indexOf('6'));
+
 /**
- * Create a fresh 52-card deck
+ * Create a fresh deck for the variant - 52 cards, or 36 for short deck
+ * @param {Object|null} variant - Game variant (see variants.js)
  */
-export function createDeck() {
+export function createDeck(variant = null) {
+  const ranks = variant?.shortDeck ? SHORT_DECK_RANKS : RANKS;
   const deck = [];
   for (const suit of SUITS) {
-    for (const rank of RANKS) {
+    for (const rank of ranks) {
       deck.push({ suit, rank });
     }
   }
@@ -20,11 +25,12 @@ export function createDeck() {
 
 /**
  * Fisher-Yates shuffle
+ * @param {Function} random - Returns floats in [0, 1) like Math.random (pass a seeded one to repeat a deal)
  */
-export function shuffleDeck(deck) {
+export function shuffleDeck(deck, random = Math.random) {
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
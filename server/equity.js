@@ -0,0 +1,121 @@
+/**
+ * Equity - Win/tie odds for all-in hands in board games
+ * Turn and river runouts are enumerated exactly; earlier boards are sampled
+ * at random until the time budget runs out
+ */
+
+import { createDeck } from './deck.js';
+import { compareLowHands } from './handEvaluator.js';
+
+// Runouts with this many cards to come or fewer are enumerated exactly
+const MAX_EXACT_CARDS = 2;
+
+export const DEFAULT_EQUITY_BUDGET_MS = 50;
+
+// Cap on sampled runouts, however much of the budget is left
+const MAX_SAMPLES = 20000;
+
+const cardKey = card => `${card.rank}${card.suit}`;
+
+/**
+ * Every way to choose `size` cards from `cards`, passed to visit() one at a time
+ */
+function forEachCombination(cards, size, visit, start = 0, chosen = []) {
+  if (chosen.length === size) {
+    visit(chosen);
+    return;
+  }
+  for (let i = start; i <= cards.length - (size - chosen.length); i++) {
+    chosen.push(cards[i]);
+    forEachCombination(cards, size, visit, i + 1, chosen);
+    chosen.pop();
+  }
+}
+
+/**
+ * Draw `size` random cards without replacement (partial Fisher-Yates on a scratch copy)
+ */
+function drawRandom(cards, size) {
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(Math.random() * (cards.length - i));
+    [cards[i], cards[j]] = [cards[j], cards[i]];
+  }
+  return cards.slice(0, size);
+}
+
+/**
+ * Share of the pot each hand takes on a complete board (hi/lo pots split in halves)
+ */
+function potShares(hands, board, variant) {
+  const shares = hands.map(() => 0);
+
+  const high = hands.map(cards => variant.handStrength(cards, board, variant));
+  const bestHigh = Math.max(...high);
+  const highWinners = high.map((strength, i) => strength === bestHigh ? i : -1).filter(i => i >= 0);
+
+  const low = variant.evaluateLowHand
+    ? hands.map(cards => variant.evaluateLowHand(cards, board))
+    : [];
+  const bestLow = low.reduce((best, hand) => hand && (!best || compareLowHands(hand, best) > 0) ? hand : best, null);
+  const lowWinners = bestLow
+    ? low.map((hand, i) => hand && compareLowHands(hand, bestLow) === 0 ? i : -1).filter(i => i >= 0)
+    : [];
+
+  // No qualifying low - the high hand scoops
+  const highShare = lowWinners.length > 0 ? 0.5 : 1;
+  for (const i of highWinners) shares[i] += highShare / highWinners.length;
+  for (const i of lowWinners) shares[i] += 0.5 / lowWinners.length;
+  return shares;
+}
+
+/**
+ * Odds for each hand to win the pot outright (scoop) or tie for a share of it
+ * @param {Array} hands - Each all-in player's hole cards
+ * @param {Array} board - Community cards dealt so far
+ * @param {Object} variant - Game variant (see variants.js)
+ * @param {Object} options
+ * @param {Array} options.deadCards - Other known cards that can't come (e.g. another Run It Twice board)
+ * @param {number} options.timeBudgetMs - How long sampling may run before the flop
+ * @returns {Object} { exact, runouts, players: [{ win, tie, equity }] } as percentages
+ */
+export function calculateEquity(hands, board, variant, { deadCards = [], timeBudgetMs = DEFAULT_EQUITY_BUDGET_MS } = {}) {
+  const known = new Set([...hands.flat(), ...board, ...deadCards].map(cardKey));
+  const stub = createDeck(variant).filter(card => !known.has(cardKey(card)));
+  const toCome = 5 - board.length;
+
+  const wins = hands.map(() => 0);
+  const ties = hands.map(() => 0);
+  const equity = hands.map(() => 0);
+  let runouts = 0;
+
+  const tally = (runout) => {
+    const shares = potShares(hands, [...board, ...runout], variant);
+    shares.forEach((share, i) => {
+      if (share === 1) wins[i]++;
+      else if (share > 0) ties[i]++;
+      equity[i] += share;
+    });
+    runouts++;
+  };
+
+  const exact = toCome <= MAX_EXACT_CARDS;
+  if (exact) {
+    forEachCombination(stub, toCome, tally);
+  } else {
+    const deadline = Date.now() + timeBudgetMs;
+    while (runouts < MAX_SAMPLES && (runouts % 100 !== 0 || Date.now() < deadline)) {
+      tally(drawRandom(stub, toCome));
+    }
+  }
+
+  const percent = count => runouts > 0 ? Math.round(count / runouts * 1000) / 10 : 0;
+  return {
+    exact,
+    runouts,
+    players: hands.map((_, i) => ({
+      win: percent(wins[i]),
+      tie: percent(ties[i]),
+      equity: percent(equity[i])
+    }))
+  };
+}
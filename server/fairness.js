@@ -0,0 +1,55 @@
+/**
+ * Fairness - Commit-reveal for the shuffle
+ * Each hand's deck comes from a secret seed. Its SHA-256 hash is published before the hand is dealt
+ * and the seed is revealed once it's over, so players can rebuild the deck and check every card.
+ * Rebuilding the deck also shows folded and mucked hole cards, so the seed only goes to players who
+ * were dealt into the hand (spectators and later arrivals see the commitment alone).
+ * The client verifier (src/services/fairness.js) must match this byte for byte.
+ */
+
+import { createHash } from 'crypto';
+
+const SEED_BYTES = 32;
+
+function sha256(text) {
+  return createHash('sha256').update(text).digest();
+}
+
+/**
+ * A fresh 64-character hex seed drawn from the room's random source
+ */
+export function createShuffleSeed(random) {
+  return Array.from({ length: SEED_BYTES }, () => Math.floor(random() * 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * The commitment published before the hand - sha256(seed) as hex
+ */
+export function hashShuffleSeed(seed) {
+  return sha256(seed).toString('hex');
+}
+
+/**
+ * Math.random-style numbers fixed by the seed: SHA-256 of "seed:0", "seed:1", ...
+ * read as big-endian 32-bit words, each divided by 2^32
+ */
+export function createSeedRandom(seed) {
+  let block = null;
+  let counter = 0;
+  let word = 8;
+  return () => {
+    if (word === 8) {
+      block = sha256(`${seed}:${counter++}`);
+      word = 0;
+    }
+    return block.readUInt32BE(4 * word++) / 4294967296;
+  };
+}
+
+/**
+ * Seed and commitment for a hand
+ */
+export function createShuffle(random) {
+  const seed = createShuffleSeed(random);
+  return { seed, commitment: hashShuffleSeed(seed) };
+}
@@ -1,6 +1,12 @@
 /**
  * Poker Hand Evaluator
- * Evaluates the best 5-card hand from 7 cards (2 hole + 5 community)
+ * Evaluates the best 5-card hand from 7 cards (2 hole + 5 community),
+ * or from 2 of 4 hole cards plus 3 community cards for Omaha,
+ * plus the 8-or-better low half of hi/lo games
+ * Pass the variant to apply its ranking rules (short deck)
+ *
+ * Every high hand also gets a single integer strength - compare those instead of
+ * rank + highCards. Five-card strengths come from precomputed tables (Cactus Kev style)
  */
 
 // Hand rankings (higher is better)
@@ -83,7 +89,7 @@ function isFlush(cards) {
  * Check if cards form a straight
  * Returns the high card value if straight, 0 otherwise
  */
-function getStraightHighCard(cards) {
+function getStraightHighCard(cards, variant = null) {
   const values = cards.map(c => getRankValue(c.rank)).sort((a, b) => b - a);
   
   // Check for regular straight
@@ -96,10 +102,10 @@ function getStraightHighCard(cards) {
   }
   if (isSequential) return values[0];
   
-  // Check for wheel (A-2-3-4-5)
-  const wheel = [14, 5, 4, 3, 2];
+  // Check for wheel (A-2-3-4-5, or A-6-7-8-9 in short deck where the ace plays below the 6)
+  const wheel = variant?.shortDeck ? [14, 9, 8, 7, 6] : [14, 5, 4, 3, 2];
   if (values.every((v, i) => v === wheel[i])) {
-    return 5; // 5-high straight
+    return wheel[1]; // 5-high (9-high in short deck) straight
   }
   
   return 0;
@@ -117,13 +123,32 @@ function getRankCounts(cards) {
   return counts;
 }
 
+/**
+ * Rank used for comparisons under the variant's rules
+ * Short deck has fewer cards per suit, so a flush is rarer than a full house and beats it
+ */
+function rankForVariant(rank, variant) {
+  if (!variant?.shortDeck) return rank;
+  if (rank === HAND_RANKS.FLUSH) return HAND_RANKS.FULL_HOUSE;
+  if (rank === HAND_RANKS.FULL_HOUSE) return HAND_RANKS.FLUSH;
+  return rank;
+}
+
 /**
  * Evaluate a 5-card hand
  * Returns { rank, highCards, description }
  */
-function evaluateFiveCards(cards) {
+function evaluateFiveCards(cards, variant = null) {
+  const hand = classifyFiveCards(cards, variant);
+  return { ...hand, rank: rankForVariant(hand.rank, variant) };
+}
+
+/**
+ * Work out which hand a set of 5 cards makes
+ */
+function classifyFiveCards(cards, variant) {
   const flush = isFlush(cards);
-  const straightHigh = getStraightHighCard(cards);
+  const straightHigh = getStraightHighCard(cards, variant);
   const counts = getRankCounts(cards);
   
   const countValues = Object.entries(counts)
@@ -226,11 +251,177 @@ function evaluateFiveCards(cards) {
   };
 }
 
+// ============================================
+// 🔢 Lookup tables
+// ============================================
+
+// Each card packs into one integer: a bit for its rank (bits 16-28), a bit for its suit
+// (bits 12-15) and a prime for its rank (bits 0-7). Five unpaired ranks are looked up by
+// OR-ing the rank bits (with a separate table for flushes); anything paired by the
+// product of the primes, which is the same whatever order the cards come in
+const RANK_PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41];
+const SUIT_BITS = { spades: 0x1000, hearts: 0x2000, diamonds: 0x4000, clubs: 0x8000 };
+const TABLE_SUITS = Object.keys(SUIT_BITS);
+
+const tablesByRules = new Map(); // 'standard' | 'short-deck' -> tables
+const indexCombinations = new Map(); // 'count:size' -> every combination of indexes
+
+/**
+ * Pack a hand category and its kickers into one integer (higher is better)
+ */
+function packStrength(rank, highCards) {
+  let strength = rank;
+  for (let i = 0; i < 5; i++) {
+    strength = strength * 16 + (highCards[i] || 0);
+  }
+  return strength;
+}
+
+function encodeCard(card) {
+  const index = getRankValue(card.rank) - 2;
+  return (1 << (16 + index)) | SUIT_BITS[card.suit] | RANK_PRIMES[index];
+}
+
+/**
+ * Build the strength tables for a variant's ranking rules (once per rule set)
+ * flushes and unpaired are indexed by rank bits, paired by prime product
+ */
+function getTables(variant) {
+  const key = variant?.shortDeck ? 'short-deck' : 'standard';
+  if (tablesByRules.has(key)) return tablesByRules.get(key);
+
+  const tables = {
+    flushes: new Int32Array(1 << 13),
+    unpaired: new Int32Array(1 << 13),
+    paired: new Map()
+  };
+  const strengthOf = cards => {
+    const hand = evaluateFiveCards(cards, variant);
+    return packStrength(hand.rank, hand.highCards);
+  };
+
+  // Every multiset of 5 ranks with no more than four of any one rank
+  const ranks = Object.keys(RANK_VALUES);
+  const visit = (start, chosen) => {
+    if (chosen.length === 5) {
+      const counts = getRankCounts(chosen.map(rank => ({ rank })));
+      if (Object.values(counts).some(count => count > 4)) return;
+      // Cycling suits by position keeps repeated ranks distinct and never makes a flush
+      const offsuit = chosen.map((rank, i) => ({ rank, suit: TABLE_SUITS[i % 4] }));
+      const encoded = offsuit.map(encodeCard);
+      if (Object.keys(counts).length === 5) {
+        const rankBits = encoded.reduce((bits, c) => bits | c, 0) >>> 16;
+        tables.flushes[rankBits] = strengthOf(chosen.map(rank => ({ rank, suit: 'spades' })));
+        tables.unpaired[rankBits] = strengthOf(offsuit);
+      } else {
+        tables.paired.set(encoded.reduce((product, c) => product * (c & 0xff), 1), strengthOf(offsuit));
+      }
+      return;
+    }
+    for (let i = start; i < ranks.length; i++) {
+      chosen.push(ranks[i]);
+      visit(i, chosen);
+      chosen.pop();
+    }
+  };
+  visit(0, []);
+
+  tablesByRules.set(key, tables);
+  return tables;
+}
+
+/**
+ * Strength of exactly five encoded cards
+ */
+function lookupFive(c1, c2, c3, c4, c5, tables) {
+  const rankBits = (c1 | c2 | c3 | c4 | c5) >>> 16;
+  if (c1 & c2 & c3 & c4 & c5 & 0xf000) {
+    return tables.flushes[rankBits];
+  }
+  return tables.unpaired[rankBits] ||
+    tables.paired.get((c1 & 0xff) * (c2 & 0xff) * (c3 & 0xff) * (c4 & 0xff) * (c5 & 0xff));
+}
+
+/**
+ * Every way to pick `size` of `count` cards, as index lists (cached - hands come in a few sizes)
+ */
+function getIndexCombinations(count, size) {
+  const key = `${count}:${size}`;
+  if (!indexCombinations.has(key)) {
+    indexCombinations.set(key, getCombinations(Array.from({ length: count }, (_, i) => i), size));
+  }
+  return indexCombinations.get(key);
+}
+
+/**
+ * Best strength from 5-7 cards, plus the indexes of the five cards that make it
+ */
+function bestFive(cards, variant) {
+  const tables = getTables(variant);
+  const encoded = cards.map(encodeCard);
+  let best = { strength: -1, indexes: null };
+  for (const indexes of getIndexCombinations(cards.length, 5)) {
+    const [a, b, c, d, e] = indexes;
+    const strength = lookupFive(encoded[a], encoded[b], encoded[c], encoded[d], encoded[e], tables);
+    if (strength > best.strength) {
+      best = { strength, indexes };
+    }
+  }
+  return best;
+}
+
+/**
+ * Integer strength of the best high hand, skipping the description (for equity and bots)
+ * Higher is better; equal strengths tie
+ */
+export function handStrength(holeCards, communityCards = [], variant = null) {
+  const allCards = [...holeCards, ...communityCards];
+  if (allCards.length < 5) {
+    return evaluateHand(holeCards, communityCards, variant)?.strength ?? 0;
+  }
+  return bestFive(allCards, variant).strength;
+}
+
+/**
+ * Integer strength of the best Omaha high hand - exactly 2 hole cards and 3 community cards
+ */
+export function omahaHandStrength(holeCards, communityCards = [], variant = null) {
+  if (communityCards.length < 3) {
+    return evaluateOmahaHand(holeCards, communityCards, variant)?.strength ?? 0;
+  }
+  return bestOmahaFive(holeCards, communityCards, variant).strength;
+}
+
+/**
+ * Best Omaha strength, plus the five cards that make it
+ */
+function bestOmahaFive(holeCards, communityCards, variant) {
+  const tables = getTables(variant);
+  const hole = holeCards.map(encodeCard);
+  const board = communityCards.map(encodeCard);
+  let best = { strength: -1, cards: null };
+  for (const [h1, h2] of getIndexCombinations(hole.length, 2)) {
+    for (const [b1, b2, b3] of getIndexCombinations(board.length, 3)) {
+      const strength = lookupFive(hole[h1], hole[h2], board[b1], board[b2], board[b3], tables);
+      if (strength > best.strength) {
+        best = {
+          strength,
+          cards: [holeCards[h1], holeCards[h2], communityCards[b1], communityCards[b2], communityCards[b3]]
+        };
+      }
+    }
+  }
+  return best;
+}
+
 /**
  * Compare two hands
  * Returns positive if hand1 wins, negative if hand2 wins, 0 for tie
  */
 export function compareHands(hand1, hand2) {
+  if (hand1.strength !== undefined && hand2.strength !== undefined) {
+    return hand1.strength - hand2.strength;
+  }
   if (hand1.rank !== hand2.rank) {
     return hand1.rank - hand2.rank;
   }
@@ -249,9 +440,10 @@ export function compareHands(hand1, hand2) {
  * Evaluate the best 5-card hand from up to 7 cards
  * @param {Array} holeCards - Player's 2 hole cards
  * @param {Array} communityCards - Community cards (0-5)
- * @returns {Object} Best hand evaluation { rank, highCards, description, cards }
+ * @param {Object|null} variant - Game variant, for its ranking rules
+ * @returns {Object} Best hand evaluation { rank, highCards, description, cards, strength }
  */
-export function evaluateHand(holeCards, communityCards = []) {
+export function evaluateHand(holeCards, communityCards = [], variant = null) {
   const allCards = [...holeCards, ...communityCards];
   
   // Need at least 2 cards to evaluate
@@ -261,93 +453,196 @@ export function evaluateHand(holeCards, communityCards = []) {
   
   // If less than 5 cards, evaluate what we have
   if (allCards.length < 5) {
-    // For fewer than 5 cards, just show best current hand
-    const counts = getRankCounts(allCards);
-    const countValues = Object.entries(counts)
-      .map(([rank, count]) => ({ rank: parseInt(rank), count }))
-      .sort((a, b) => {
-        if (b.count !== a.count) return b.count - a.count;
-        return b.rank - a.rank;
-      });
-    
-    const highCards = countValues.map(c => c.rank);
-    
-    // Check for pairs, etc. with what we have
-    if (countValues[0].count === 4) {
-      return {
-        rank: HAND_RANKS.FOUR_OF_A_KIND,
-        highCards,
-        description: `Four ${RANK_NAMES[countValues[0].rank]}s`,
-        cards: allCards
-      };
-    }
-    if (countValues[0].count === 3 && countValues.length > 1 && countValues[1].count === 2) {
-      return {
-        rank: HAND_RANKS.FULL_HOUSE,
-        highCards,
-        description: `Full House, ${RANK_NAMES[countValues[0].rank]}s over ${RANK_NAMES[countValues[1].rank]}s`,
-        cards: allCards
-      };
-    }
-    if (countValues[0].count === 3) {
-      return {
-        rank: HAND_RANKS.THREE_OF_A_KIND,
-        highCards,
-        description: `Three ${RANK_NAMES[countValues[0].rank]}s`,
-        cards: allCards
-      };
-    }
-    if (countValues[0].count === 2 && countValues.length > 1 && countValues[1].count === 2) {
-      const highPair = Math.max(countValues[0].rank, countValues[1].rank);
-      const lowPair = Math.min(countValues[0].rank, countValues[1].rank);
-      return {
-        rank: HAND_RANKS.TWO_PAIR,
-        highCards: [highPair, lowPair],
-        description: `Two Pair, ${RANK_NAMES[highPair]}s and ${RANK_NAMES[lowPair]}s`,
-        cards: allCards
-      };
-    }
-    if (countValues[0].count === 2) {
-      return {
-        rank: HAND_RANKS.PAIR,
-        highCards,
-        description: `Pair of ${RANK_NAMES[countValues[0].rank]}s`,
-        cards: allCards
-      };
-    }
-    
+    const hand = evaluatePartialHand(allCards);
+    return { ...hand, strength: packStrength(hand.rank, hand.highCards) };
+  }
+  
+  // Look up every 5-card combination and describe only the best
+  const { strength, indexes } = bestFive(allCards, variant);
+  const cards = indexes.map(i => allCards[i]);
+  return {
+    ...evaluateFiveCards(cards, variant),
+    cards,
+    strength
+  };
+}
+
+/**
+ * Best hand showing in fewer than 5 cards (early streets, stud up cards)
+ */
+function evaluatePartialHand(allCards) {
+  // For fewer than 5 cards, just show best current hand
+  const counts = getRankCounts(allCards);
+  const countValues = Object.entries(counts)
+    .map(([rank, count]) => ({ rank: parseInt(rank), count }))
+    .sort((a, b) => {
+      if (b.count !== a.count) return b.count - a.count;
+      return b.rank - a.rank;
+    });
+  
+  const highCards = countValues.map(c => c.rank);
+  
+  // Check for pairs, etc. with what we have
+  if (countValues[0].count === 4) {
+    return {
+      rank: HAND_RANKS.FOUR_OF_A_KIND,
+      highCards,
+      description: `Four ${RANK_NAMES[countValues[0].rank]}s`,
+      cards: allCards
+    };
+  }
+  if (countValues[0].count === 3 && countValues.length > 1 && countValues[1].count === 2) {
+    return {
+      rank: HAND_RANKS.FULL_HOUSE,
+      highCards,
+      description: `Full House, ${RANK_NAMES[countValues[0].rank]}s over ${RANK_NAMES[countValues[1].rank]}s`,
+      cards: allCards
+    };
+  }
+  if (countValues[0].count === 3) {
+    return {
+      rank: HAND_RANKS.THREE_OF_A_KIND,
+      highCards,
+      description: `Three ${RANK_NAMES[countValues[0].rank]}s`,
+      cards: allCards
+    };
+  }
+  if (countValues[0].count === 2 && countValues.length > 1 && countValues[1].count === 2) {
+    const highPair = Math.max(countValues[0].rank, countValues[1].rank);
+    const lowPair = Math.min(countValues[0].rank, countValues[1].rank);
     return {
-      rank: HAND_RANKS.HIGH_CARD,
+      rank: HAND_RANKS.TWO_PAIR,
+      highCards: [highPair, lowPair],
+      description: `Two Pair, ${RANK_NAMES[highPair]}s and ${RANK_NAMES[lowPair]}s`,
+      cards: allCards
+    };
+  }
+  if (countValues[0].count === 2) {
+    return {
+      rank: HAND_RANKS.PAIR,
       highCards,
-      description: `${RANK_NAMES[highCards[0]]} high`,
+      description: `Pair of ${RANK_NAMES[countValues[0].rank]}s`,
       cards: allCards
     };
   }
   
-  // Get all 5-card combinations and find the best
-  const combinations = getCombinations(allCards, 5);
+  return {
+    rank: HAND_RANKS.HIGH_CARD,
+    highCards,
+    description: `${RANK_NAMES[highCards[0]]} high`,
+    cards: allCards
+  };
+}
+
+/**
+ * Evaluate the best Omaha hand - exactly 2 hole cards and 3 community cards
+ * Before the flop this falls back to the best pair of hole cards
+ * @param {Array} holeCards - Player's 4 hole cards
+ * @param {Array} communityCards - Community cards (0-5)
+ * @param {Object|null} variant - Game variant, for its ranking rules
+ * @returns {Object} Best hand evaluation { rank, highCards, description, cards, strength }
+ */
+export function evaluateOmahaHand(holeCards, communityCards = [], variant = null) {
+  if (holeCards.length < 2) {
+    return null;
+  }
+
+  if (communityCards.length >= 3) {
+    const { strength, cards } = bestOmahaFive(holeCards, communityCards, variant);
+    return { ...evaluateFiveCards(cards, variant), cards, strength };
+  }
+
+  const boardCount = Math.min(3, communityCards.length);
   let bestHand = null;
-  let bestCards = null;
-  
-  for (const combo of combinations) {
-    const hand = evaluateFiveCards(combo);
-    if (!bestHand || compareHands(hand, bestHand) > 0) {
-      bestHand = hand;
-      bestCards = combo;
+
+  for (const hole of getCombinations(holeCards, 2)) {
+    for (const board of getCombinations(communityCards, boardCount)) {
+      const hand = evaluateHand(hole, board, variant);
+      if (!bestHand || compareHands(hand, bestHand) > 0) {
+        bestHand = hand;
+      }
     }
   }
-  
+
+  return bestHand;
+}
+
+// Low hands count aces as 1 and need five unpaired cards 8 or lower
+const LOW_QUALIFIER = 8;
+
+const LOW_RANK_NAMES = {
+  1: 'A', 2: '2', 3: '3', 4: '4', 5: '5', 6: '6', 7: '7', 8: '8'
+};
+
+/**
+ * Evaluate the best 8-or-better low hand (straights and flushes don't count against it)
+ * @param {Array} holeCards - Player's cards
+ * @param {Array} communityCards - Community cards (0-5)
+ * @returns {Object|null} { lowCards (highest first), description, cards }, or null if no low qualifies
+ */
+export function evaluateLowHand(holeCards, communityCards = []) {
+  const byValue = new Map(); // low value -> one card of that rank
+  for (const card of [...holeCards, ...communityCards]) {
+    const value = card.rank === 'A' ? 1 : getRankValue(card.rank);
+    if (value <= LOW_QUALIFIER && !byValue.has(value)) {
+      byValue.set(value, card);
+    }
+  }
+  if (byValue.size < 5) {
+    return null;
+  }
+
+  // The five lowest distinct ranks always make the best low
+  const lowCards = [...byValue.keys()].sort((a, b) => a - b).slice(0, 5).reverse();
   return {
-    ...bestHand,
-    cards: bestCards
+    lowCards,
+    description: `${lowCards.map(v => LOW_RANK_NAMES[v]).join('-')} low`,
+    cards: lowCards.map(v => byValue.get(v))
   };
 }
 
+/**
+ * Compare two low hands
+ * Returns positive if low1 wins (is lower), negative if low2 wins, 0 for tie
+ */
+export function compareLowHands(low1, low2) {
+  for (let i = 0; i < 5; i++) {
+    if (low1.lowCards[i] !== low2.lowCards[i]) {
+      return low2.lowCards[i] - low1.lowCards[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Evaluate the best Omaha low - exactly 2 hole cards and 3 community cards
+ * @param {Array} holeCards - Player's 4 hole cards
+ * @param {Array} communityCards - Community cards (0-5)
+ * @returns {Object|null} Best low evaluation, or null if no low qualifies
+ */
+export function evaluateOmahaLowHand(holeCards, communityCards = []) {
+  if (holeCards.length < 2 || communityCards.length < 3) {
+    return null;
+  }
+
+  let bestLow = null;
+  for (const hole of getCombinations(holeCards, 2)) {
+    for (const board of getCombinations(communityCards, 3)) {
+      const low = evaluateLowHand(hole, board);
+      if (low && (!bestLow || compareLowHands(low, bestLow) > 0)) {
+        bestLow = low;
+      }
+    }
+  }
+
+  return bestLow;
+}
+
 /**
  * Get a simple hand description for display
  */
-export function getHandDescription(holeCards, communityCards = []) {
-  const result = evaluateHand(holeCards, communityCards);
+export function getHandDescription(holeCards, communityCards = [], variant = null) {
+  const result = evaluateHand(holeCards, communityCards, variant);
   if (!result) return '';
   return result.description;
 }
@@ -0,0 +1,13 @@
+/**
+ * Identity - Stable player IDs that survive reconnects
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Derive a player's public ID from their private session ID (or login token)
+ * The ID is shared with other players, so it must not reveal the session itself
+ */
+export function getPlayerId(sessionId) {
+  return createHash('sha256').update(`sevendeuce:${sessionId}`).digest('hex').slice(0, 16);
+}
@@ -12,6 +12,9 @@ import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { GameRoom, PHASES, ACTIONS } from './GameRoom.js';
+import { formatPokerStarsSession } from './pokerStarsFormat.js';
+import { createStorage } from './storage.js';
+import { getPlayerId } from './identity.js';
 
 // ES module dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -70,12 +73,20 @@ const rooms = new Map();
 // Track which room each socket is in
 const socketRooms = new Map();
 
-// Track player sessions by browser session ID
-const playerSessions = new Map(); // sessionId -> { socketId, username, roomId }
+// 💾 Room persistence - STORAGE_DRIVER is 'file' (default) or 'memory'
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || 'file',
+  dir: process.env.STORAGE_DIR || path.join(__dirname, 'data', 'rooms')
+});
+const SAVE_DEBOUNCE_MS = 1000;
+const RESERVED_SEAT_TIMEOUT = 900000; // Restored seats are held for 15 minutes
 
 // 🃏 God mode secret key - change this to something only you know!
 const GOD_MODE_SECRET = process.env.GOD_MODE_SECRET;
 
+// Room timers (reconnect grace, snapshot saves, empty-room cleanup) run on each room's scheduler -
+// these two sweeps are server-wide housekeeping that no single room owns, so they stay on the system timers
+
 // Periodic cleanup of rate limits (every 5 minutes)
 setInterval(() => {
   const now = Date.now();
@@ -91,9 +102,16 @@ setInterval(() => {
   const now = Date.now();
   for (const [roomId, room] of rooms) {
     // Remove rooms that have been empty for over 30 minutes
-    if (room.players.size === 0 && now - room.createdAt > 1800000) {
-      rooms.delete(roomId);
+    if (room.getHumanPlayers().length === 0 && now - (room.restoredAt || room.createdAt) > 1800000) {
+      deleteRoom(roomId);
       console.log(`[${new Date().toISOString()}] Cleaned up stale room: ${roomId}`);
+      continue;
+    }
+
+    // Give up on restored seats whose players never came back
+    const released = room.releaseReservedSeats(RESERVED_SEAT_TIMEOUT);
+    if (released.length > 0) {
+      broadcastRoomUpdate(roomId);
     }
   }
 }, 600000);
@@ -177,14 +195,10 @@ app.post('/api/rooms', (req, res) => {
   }
 
   const roomId = uuidv4().slice(0, 8); // Short ID for easy sharing
-  const room = new GameRoom(roomId, sanitizedName, sanitizedHostId, maxPlayers);
-  
-  // Set up auto-advance callback for this room
-  room.onAutoAdvance = (eventType, data) => {
-    broadcastRoomUpdate(roomId, eventType, data);
-  };
-  
-  rooms.set(roomId, room);
+  // The host is identified by the player ID derived from their session
+  const room = new GameRoom(roomId, sanitizedName, getPlayerId(sanitizedHostId), maxPlayers);
+  registerRoom(room);
+  scheduleSave(roomId);
 
   console.log(`[${new Date().toISOString()}] Room created: ${roomId} - ${sanitizedName} by ${sanitizedHostId.slice(0, 8)}...`);
 
@@ -204,10 +218,149 @@ app.get('/api/rooms/:roomId', (req, res) => {
   res.json(room.getPublicState());
 });
 
+// Get recorded hand history for a room
+app.get('/api/rooms/:roomId/hands', (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  
+  // The viewer's own hole cards are included, identified by their session
+  const sessionId = sanitizeInput(req.query.sessionId, 100);
+  const viewerId = sessionId ? getPlayerId(sessionId) : null;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  
+  res.json(room.handHistory.getHands(viewerId, limit));
+});
+
+// 🧾 Chip ledger - every chip movement at the table (host only)
+app.get('/api/rooms/:roomId/ledger', (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  
+  const sessionId = sanitizeInput(req.query.sessionId, 100);
+  if (!sessionId || getPlayerId(sessionId) !== room.hostId) {
+    return res.status(403).json({ error: 'Only the host can view the chip ledger' });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 500, 1), room.ledger.maxEntries);
+  
+  res.json({
+    tableChips: room.ledger.tableChips,
+    countedChips: room.getTableChips(),
+    discrepancies: room.ledger.discrepancies,
+    maxEntries: room.ledger.maxEntries, // The ledger only keeps this many
+    trimmed: room.ledger.trimmed,       // Older entries dropped to stay under maxEntries
+    entries: room.ledger.getEntries(limit)
+  });
+});
+
+// Download a room's hand history as PokerStars-format text
+app.get('/api/rooms/:roomId/hands/export', (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  
+  const sessionId = sanitizeInput(req.query.sessionId, 100);
+  const viewerId = sessionId ? getPlayerId(sessionId) : null;
+  const hands = room.handHistory.getHands(viewerId, room.handHistory.maxHands);
+  
+  res.set('Content-Type', 'text/plain; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="sevendeuce-${room.id}-hands.txt"`);
+  res.send(formatPokerStarsSession(hands, viewerId));
+});
+
 // ============================================
 // Helper Functions
 // ============================================
 
+/**
+ * Track a room and wire its auto-advance events to broadcasts
+ */
+function registerRoom(room) {
+  room.onAutoAdvance = (eventType, data) => {
+    broadcastRoomUpdate(room.id, eventType, data);
+  };
+  rooms.set(room.id, room);
+}
+
+/**
+ * Forget a room and remove its snapshot
+ */
+function deleteRoom(roomId) {
+  // A bot-only game would otherwise keep dealing itself hands on the room's timers
+  const room = rooms.get(roomId);
+  if (room) {
+    room.stopGame();
+    room.scheduler.cancelAll();
+    room.onAutoAdvance = null;
+  }
+  rooms.delete(roomId);
+  storage.deleteRoom(roomId).catch(err => {
+    console.error(`Failed to delete room ${roomId} from storage:`, err.message);
+  });
+}
+
+/**
+ * Save a room snapshot shortly after it changes (batches bursts of updates)
+ */
+function scheduleSave(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || room.scheduler.isScheduled('save')) return;
+  room.scheduler.schedule('save', SAVE_DEBOUNCE_MS, () => saveRoom(roomId));
+}
+
+/**
+ * Write a room snapshot to storage now
+ */
+async function saveRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  try {
+    await storage.saveRoom(room.toSnapshot());
+  } catch (err) {
+    console.error(`Failed to save room ${roomId}:`, err.message);
+  }
+}
+
+/**
+ * Rebuild rooms saved before the last shutdown
+ */
+async function restoreRooms() {
+  let snapshots = [];
+  try {
+    snapshots = await storage.loadRooms();
+  } catch (err) {
+    console.error('Failed to load saved rooms:', err.message);
+  }
+  
+  for (const snapshot of snapshots) {
+    try {
+      registerRoom(GameRoom.fromSnapshot(snapshot));
+    } catch (err) {
+      console.error(`Failed to restore room ${snapshot?.id}:`, err.message);
+    }
+  }
+  
+  if (rooms.size > 0) {
+    console.log(`[${new Date().toISOString()}] Restored ${rooms.size} room(s) from storage`);
+  }
+}
+
+/**
+ * Flush pending saves before the process exits
+ */
+async function shutdown(signal) {
+  console.log(`${signal} received, saving rooms...`);
+  for (const room of rooms.values()) {
+    room.scheduler.cancel('save');
+  }
+  await Promise.all(Array.from(rooms.keys()).map(saveRoom));
+  process.exit(0);
+}
+
 /**
  * Broadcast room update to all players
  */
@@ -218,15 +371,19 @@ function broadcastRoomUpdate(roomId, eventType, data) {
   // Send public state to room
   io.to(roomId).emit('room-state', room.getPublicState());
   
-  // Send private state to each player
-  for (const [socketId] of room.players) {
-    io.to(socketId).emit('player-state', room.getPlayerState(socketId));
+  // Send private state to each connected player
+  for (const [playerId, player] of room.players) {
+    if (player.socketId) {
+      io.to(player.socketId).emit('player-state', room.getPlayerState(playerId));
+    }
   }
   
   // Send game event
   if (eventType) {
     io.to(roomId).emit('game-event', { type: eventType, ...data });
   }
+
+  scheduleSave(roomId);
 }
 
 // ============================================
@@ -259,13 +416,14 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Room not found. Please check the code and try again.' });
     }
 
-    // Check for duplicate session in same room
-    const existingSession = playerSessions.get(sanitizedSessionId);
-    if (existingSession && existingSession.roomId === sanitizedRoomId) {
-      return callback({ 
-        success: false, 
-        error: 'You are already in this game in another tab' 
-      });
+    if (!sanitizedSessionId) {
+      return callback({ success: false, error: 'Invalid session' });
+    }
+    const playerId = getPlayerId(sanitizedSessionId);
+
+    // Already in this room - a reconnect takes over the player's old socket
+    if (room.players.has(playerId)) {
+      return rejoinRoom(socket, room, playerId, sanitizedUsername, callback);
     }
     
     // Check if room is full
@@ -277,29 +435,20 @@ io.on('connection', (socket) => {
     }
 
     // Add player to room
-    const result = room.addPlayer(socket.id, sanitizedUsername);
+    const result = room.addPlayer(playerId, socket.id, sanitizedUsername);
     if (!result.success) {
       return callback(result);
     }
-
-    // Check if this player is the original host (by sessionId)
-    // and update hostId to their socketId
-    if (room.hostId === sanitizedSessionId || room.originalHostSessionId === sanitizedSessionId) {
-      room.originalHostSessionId = sanitizedSessionId; // Preserve original
-      room.hostId = socket.id;
-      console.log(`[${new Date().toISOString()}] Host identified: ${sanitizedUsername} (${socket.id})`);
+    if (result.reclaimedSeat !== undefined) {
+      console.log(`[${new Date().toISOString()}] ${sanitizedUsername} reclaimed seat ${result.reclaimedSeat} in room ${sanitizedRoomId}`);
+    }
+    if (room.hostId === playerId) {
+      console.log(`[${new Date().toISOString()}] Host identified: ${sanitizedUsername} (${playerId})`);
     }
 
     // Track socket -> room mapping
     socketRooms.set(socket.id, sanitizedRoomId);
-    
-    // Track session
-    playerSessions.set(sanitizedSessionId, {
-      socketId: socket.id,
-      username: sanitizedUsername,
-      roomId: sanitizedRoomId
-    });
-    socket.sessionId = sanitizedSessionId;
+    socket.playerId = playerId;
 
     // Join Socket.io room for broadcasts
     socket.join(sanitizedRoomId);
@@ -308,14 +457,29 @@ io.on('connection', (socket) => {
 
     // Broadcast updated state to all in room
     io.to(sanitizedRoomId).emit('room-state', room.getPublicState());
+    scheduleSave(sanitizedRoomId);
 
     // Send player-specific state to the joiner
     callback({
       success: true,
-      state: room.getPlayerState(socket.id)
+      state: room.getPlayerState(playerId)
     });
   });
 
+  /**
+   * Leave room entirely
+   */
+  socket.on('leave-room', () => {
+    handleDisconnect(socket);
+  });
+
+  /**
+   * Handle disconnect - seated players get a grace period to come back
+   */
+  socket.on('disconnect', () => {
+    handleDisconnect(socket, { keepSeat: true });
+  });
+
   /**
    * Request a seat at the table (requires host approval)
    */
@@ -327,7 +491,7 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    const result = room.requestSeat(socket.id, seatIndex, buyIn);
+    const result = room.requestSeat(socket.playerId, seatIndex, buyIn);
     
     if (result.success) {
       broadcastRoomUpdate(roomId, result.pending ? 'seat-requested' : 'player-seated');
@@ -347,7 +511,7 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    const result = room.approveSeatRequest(socket.id, requestId);
+    const result = room.approveSeatRequest(socket.playerId, requestId);
     
     if (result.success) {
       broadcastRoomUpdate(roomId, 'seat-approved', { 
@@ -355,7 +519,7 @@ io.on('connection', (socket) => {
       });
       
       // Send personal notification to approved player
-      io.to(result.approvedSocketId).emit('game-event', {
+      emitToPlayer(room, result.approvedPlayerId, 'game-event', {
         type: 'your-seat-approved',
         seatIndex: result.seatIndex
       });
@@ -375,13 +539,13 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    const result = room.denySeatRequest(socket.id, requestId);
+    const result = room.denySeatRequest(socket.playerId, requestId);
     
     if (result.success) {
       broadcastRoomUpdate(roomId, 'seat-denied');
       
       // Send personal notification to denied player
-      io.to(result.deniedSocketId).emit('game-event', {
+      emitToPlayer(room, result.deniedPlayerId, 'game-event', {
         type: 'your-seat-denied'
       });
     }
@@ -400,7 +564,7 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    const result = room.cancelSeatRequest(socket.id);
+    const result = room.cancelSeatRequest(socket.playerId);
     
     if (result.success) {
       broadcastRoomUpdate(roomId);
@@ -420,7 +584,7 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    const result = room.requestSeat(socket.id, seatIndex, buyIn);
+    const result = room.requestSeat(socket.playerId, seatIndex, buyIn);
     
     if (result.success) {
       broadcastRoomUpdate(roomId, result.pending ? 'seat-requested' : 'player-seated');
@@ -440,7 +604,7 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    const result = room.leaveSeat(socket.id);
+    const result = room.leaveSeat(socket.playerId);
     
     if (result.success) {
       broadcastRoomUpdate(roomId);
@@ -449,6 +613,66 @@ io.on('connection', (socket) => {
     callback(result);
   });
 
+  /**
+   * Opt into a UTG or button straddle (type null opts out)
+   */
+  socket.on('set-straddle', ({ type = null }, callback) => {
+    const roomId = socketRooms.get(socket.id);
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      return callback({ success: false, error: 'Not in a room' });
+    }
+
+    const result = room.setStraddle(socket.playerId, type);
+
+    if (result.success) {
+      broadcastRoomUpdate(roomId);
+    }
+
+    callback(result);
+  });
+
+  /**
+   * Seat a bot in an empty seat (host only)
+   */
+  socket.on('add-bot', ({ seatIndex, strategy, buyIn = 1000 }, callback) => {
+    const roomId = socketRooms.get(socket.id);
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      return callback({ success: false, error: 'Not in a room' });
+    }
+
+    const result = room.addBot(socket.playerId, seatIndex, strategy, buyIn);
+
+    if (result.success) {
+      broadcastRoomUpdate(roomId, 'bot-added', result);
+    }
+
+    callback(result);
+  });
+
+  /**
+   * Take a bot out of its seat (host only)
+   */
+  socket.on('remove-bot', ({ seatIndex }, callback) => {
+    const roomId = socketRooms.get(socket.id);
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      return callback({ success: false, error: 'Not in a room' });
+    }
+
+    const result = room.removeBot(socket.playerId, seatIndex);
+
+    if (result.success) {
+      broadcastRoomUpdate(roomId, 'bot-removed', result);
+    }
+
+    callback(result);
+  });
+
   /**
    * Start the game (host only)
    */
@@ -460,7 +684,7 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    if (room.hostId !== socket.id) {
+    if (room.hostId !== socket.playerId) {
       return callback({ success: false, error: 'Only the host can start the game' });
     }
 
@@ -484,7 +708,7 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    if (room.hostId !== socket.id) {
+    if (room.hostId !== socket.playerId) {
       return callback({ success: false, error: 'Only the host can pause the game' });
     }
 
@@ -508,7 +732,7 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    if (room.hostId !== socket.id) {
+    if (room.hostId !== socket.playerId) {
       return callback({ success: false, error: 'Only the host can resume the game' });
     }
 
@@ -532,7 +756,7 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    if (room.hostId !== socket.id) {
+    if (room.hostId !== socket.playerId) {
       return callback({ success: false, error: 'Only the host can end the game' });
     }
 
@@ -545,6 +769,26 @@ io.on('connection', (socket) => {
     callback(result);
   });
 
+  /**
+   * Call a bomb pot for the next hand (host only)
+   */
+  socket.on('call-bomb-pot', (_, callback) => {
+    const roomId = socketRooms.get(socket.id);
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      return callback({ success: false, error: 'Not in a room' });
+    }
+
+    const result = room.queueBombPot(socket.playerId);
+
+    if (result.success) {
+      broadcastRoomUpdate(roomId, 'bomb-pot-called', result);
+    }
+
+    callback(result);
+  });
+
   /**
    * Player betting action
    */
@@ -556,10 +800,10 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    const result = room.playerAction(socket.id, action, amount);
+    const result = room.playerAction(socket.playerId, action, amount);
     
     if (result.success) {
-      const player = room.players.get(socket.id);
+      const player = room.players.get(socket.playerId);
       broadcastRoomUpdate(roomId, 'player-action', {
         playerSeat: result.playerSeat,
         username: player?.username,
@@ -582,16 +826,19 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    const result = room.showHand(socket.id);
+    const result = room.showHand(socket.playerId);
     
     if (result.success) {
-      const player = room.players.get(socket.id);
+      const player = room.players.get(socket.playerId);
       broadcastRoomUpdate(roomId, 'player-showed-hand', {
         seatIndex: result.seatIndex,
         username: player?.username,
         cards: result.cards,
         handDescription: result.handDescription
       });
+      if (result.bounty) {
+        broadcastRoomUpdate(roomId, 'seven-deuce-bounty', result.bounty);
+      }
     }
 
     callback(result);
@@ -608,10 +855,10 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    const result = room.muckHand(socket.id);
+    const result = room.muckHand(socket.playerId);
     
     if (result.success) {
-      const player = room.players.get(socket.id);
+      const player = room.players.get(socket.playerId);
       broadcastRoomUpdate(roomId, 'player-mucked', {
         seatIndex: result.seatIndex,
         username: player?.username
@@ -626,9 +873,9 @@ io.on('connection', (socket) => {
   // ============================================
 
   /**
-   * Vote on Run It Twice
+   * Vote on how many times to run it (1-3)
    */
-  socket.on('run-it-twice-vote', ({ accept }, callback) => {
+  socket.on('run-it-twice-vote', ({ runs }, callback) => {
     const roomId = socketRooms.get(socket.id);
     const room = rooms.get(roomId);
 
@@ -636,14 +883,45 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    const result = room.voteRunItTwice(socket.id, accept);
+    const result = room.voteRunItTwice(socket.playerId, runs);
     
     if (result.success) {
-      const player = room.players.get(socket.id);
+      const player = room.players.get(socket.playerId);
       broadcastRoomUpdate(roomId, 'run-it-twice-vote', {
-        socketId: socket.id,
+        playerId: socket.playerId,
         username: player?.username,
-        accept: accept
+        runs
+      });
+    }
+
+    callback(result);
+  });
+
+  // ============================================
+  // 🔀 Mixed Game Events
+  // ============================================
+
+  /**
+   * Dealer's choice - the button picks the game for the orbit
+   */
+  socket.on('choose-game', ({ gameIndex }, callback) => {
+    const roomId = socketRooms.get(socket.id);
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      return callback({ success: false, error: 'Not in a room' });
+    }
+
+    const result = room.chooseGame(socket.playerId, gameIndex);
+
+    if (result.success) {
+      const player = room.players.get(socket.playerId);
+      broadcastRoomUpdate(roomId, 'game-chosen', {
+        playerId: socket.playerId,
+        username: player?.username,
+        variant: result.variant,
+        name: result.name,
+        fixedLimit: result.fixedLimit
       });
     }
 
@@ -665,7 +943,7 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    const result = room.updateSettings(socket.id, settings);
+    const result = room.updateSettings(socket.playerId, settings);
     
     if (result.success) {
       broadcastRoomUpdate(roomId, 'settings-updated', result.settings);
@@ -693,11 +971,11 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    const result = room.enableGodMode(socket.id);
-    console.log(`🃏 GOD MODE ENABLED by ${socket.id} in room ${roomId}`);
+    const result = room.enableGodMode(socket.playerId);
+    console.log(`🃏 GOD MODE ENABLED by ${socket.playerId} in room ${roomId}`);
     
     // Send updated state to the god
-    socket.emit('player-state', room.getPlayerState(socket.id));
+    socket.emit('player-state', room.getPlayerState(socket.playerId));
     
     callback(result);
   });
@@ -714,7 +992,7 @@ io.on('connection', (socket) => {
     }
 
     const result = room.disableGodMode();
-    socket.emit('player-state', room.getPlayerState(socket.id));
+    socket.emit('player-state', room.getPlayerState(socket.playerId));
     
     callback(result);
   });
@@ -734,7 +1012,7 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Not in a room' });
     }
 
-    if (room.godModePlayer !== socket.id) {
+    if (room.godModePlayer !== socket.playerId) {
       return callback({ success: false, error: 'God mode not enabled' });
     }
 
@@ -742,91 +1020,151 @@ io.on('connection', (socket) => {
     console.log(`🃏 RIGGED HAND SET: ${handType}`);
     
     // Update player state to show the rigged hand
-    socket.emit('player-state', room.getPlayerState(socket.id));
+    socket.emit('player-state', room.getPlayerState(socket.playerId));
     
     callback(result);
   });
 
-  /**
-   * Leave room entirely
-   */
-  socket.on('leave-room', () => {
-    handleDisconnect(socket);
-  });
+});
 
-  /**
-   * Handle disconnect
-   */
-  socket.on('disconnect', () => {
-    handleDisconnect(socket);
+/**
+ * Send an event to one player's current socket
+ */
+function emitToPlayer(room, playerId, event, data) {
+  const socketId = room.players.get(playerId)?.socketId;
+  if (socketId) {
+    io.to(socketId).emit(event, data);
+  }
+}
+
+/**
+ * Bind a reconnecting socket to the player it left behind
+ */
+function rejoinRoom(socket, room, playerId, username, callback) {
+  const oldSocketId = room.players.get(playerId).socketId;
+  const result = room.rebindPlayer(playerId, socket.id, username);
+  if (!result.success) {
+    return callback(result);
+  }
+  
+  socketRooms.delete(oldSocketId);
+  socketRooms.set(socket.id, room.id);
+  socket.playerId = playerId;
+  socket.join(room.id);
+  
+  // The old socket may not have timed out yet (e.g. a phone waking up)
+  const oldSocket = io.sockets.sockets.get(oldSocketId);
+  if (oldSocket?.connected && oldSocket !== socket) {
+    oldSocket.emit('game-event', { type: 'session-replaced' });
+    oldSocket.disconnect(true);
+  }
+  
+  console.log(`[${new Date().toISOString()}] ${result.player.username} reconnected to room ${room.id}`);
+  
+  broadcastRoomUpdate(room.id, 'player-reconnected', {
+    username: result.player.username,
+    seatIndex: result.seatIndex
   });
-});
+  
+  callback({
+    success: true,
+    reconnected: true,
+    state: room.getPlayerState(playerId)
+  });
+}
 
 /**
- * Clean up when a socket disconnects
+ * Clean up when a socket disconnects or leaves
+ * With keepSeat, the player is marked away and removed only if they don't return in time
  */
-function handleDisconnect(socket) {
+function handleDisconnect(socket, { keepSeat = false } = {}) {
   const roomId = socketRooms.get(socket.id);
   const room = rooms.get(roomId);
+  const playerId = socket.playerId;
+  socketRooms.delete(socket.id);
 
-  if (room) {
-    // Check if disconnecting player is the host
-    const wasHost = room.hostId === socket.id;
-    const playerInfo = room.players.get(socket.id);
-    const playerName = playerInfo?.username || 'Unknown player';
+  if (room && keepSeat && room.disconnectGracePeriod > 0 && room.markAway(playerId).success) {
+    const player = room.players.get(playerId);
+    console.log(`[${new Date().toISOString()}] ${player.username} is away from room ${roomId}`);
     
-    console.log(`[${new Date().toISOString()}] Player disconnecting: ${playerName} from room ${roomId}`);
+    broadcastRoomUpdate(roomId, 'player-away', {
+      username: player.username,
+      seatIndex: player.seatIndex,
+      gracePeriod: room.disconnectGracePeriod
+    });
     
-    room.removePlayer(socket.id);
-    socket.leave(roomId);
+    // Only remove them if they haven't come back on another socket
+    room.scheduler.schedule(`grace-${playerId}`, room.disconnectGracePeriod * 1000, () => {
+      const current = room.players.get(playerId);
+      if (current?.isAway && current.socketId === socket.id) {
+        removeFromRoom(room, playerId);
+      }
+    });
     
-    console.log(`Socket ${socket.id} left room ${roomId}`);
-
-    // Transfer host if the host left
-    if (wasHost && room.players.size > 0) {
-      // Get the first remaining player as new host
-      const newHostSocketId = room.players.keys().next().value;
-      const newHost = room.players.get(newHostSocketId);
-      room.hostId = newHostSocketId;
-      
-      console.log(`Host transferred to ${newHost?.username} (${newHostSocketId})`);
-      
-      // Notify the new host
-      io.to(newHostSocketId).emit('game-event', {
-        type: 'you-are-host',
-        message: 'You are now the host!'
-      });
-      
-      // Notify all players of host change
-      io.to(roomId).emit('game-event', {
-        type: 'host-changed',
-        newHost: newHost?.username
-      });
-    }
-
-    // Broadcast updated state
-    broadcastRoomUpdate(roomId);
-
-    // Clean up empty rooms after a delay
-    if (room.players.size === 0) {
-      setTimeout(() => {
-        if (room.players.size === 0) {
-          rooms.delete(roomId);
-          console.log(`Room ${roomId} deleted (empty)`);
-        }
-      }, 60000); // 1 minute grace period
-    }
+    console.log(`Socket disconnected: ${socket.id}`);
+    return;
   }
 
-  // Clean up session tracking
-  if (socket.sessionId) {
-    playerSessions.delete(socket.sessionId);
+  if (room) {
+    socket.leave(roomId);
+    removeFromRoom(room, playerId);
   }
-  socketRooms.delete(socket.id);
 
   console.log(`Socket disconnected: ${socket.id}`);
 }
 
+/**
+ * Remove a player from a room, handing off host and cleaning up empty rooms
+ */
+function removeFromRoom(room, playerId) {
+  const roomId = room.id;
+  
+  // Check if disconnecting player is the host
+  const wasHost = room.hostId === playerId;
+  const playerInfo = room.players.get(playerId);
+  const playerName = playerInfo?.username || 'Unknown player';
+  
+  console.log(`[${new Date().toISOString()}] Player disconnecting: ${playerName} from room ${roomId}`);
+  
+  room.removePlayer(playerId);
+  
+  console.log(`Player ${playerId} left room ${roomId}`);
+
+  // Transfer host if the host left - prefer someone who is still connected (never a bot)
+  if (wasHost && room.getHumanPlayers().length > 0) {
+    const players = room.getHumanPlayers();
+    const newHost = players.find(p => !p.isAway) || players[0];
+    room.hostId = newHost.playerId;
+    
+    console.log(`Host transferred to ${newHost.username} (${newHost.playerId})`);
+    
+    // Notify the new host
+    emitToPlayer(room, newHost.playerId, 'game-event', {
+      type: 'you-are-host',
+      message: 'You are now the host!'
+    });
+    
+    // Notify all players of host change
+    io.to(roomId).emit('game-event', {
+      type: 'host-changed',
+      newHost: newHost.username
+    });
+  }
+
+  // Broadcast updated state
+  broadcastRoomUpdate(roomId);
+
+  // Clean up empty rooms after a delay - bots don't keep a room open
+  if (room.getHumanPlayers().length === 0) {
+    room.scheduler.schedule('delete-empty', 60000, () => { // 1 minute grace period
+      if (room.getHumanPlayers().length === 0) {
+        deleteRoom(roomId);
+        console.log(`Room ${roomId} deleted (empty)`);
+      }
+    });
+  }
+}
+
 // ============================================
 // Serve Static Frontend (Production)
 // ============================================
@@ -851,6 +1189,11 @@ app.get('*', (req, res) => {
 const PORT = process.env.PORT || 3001;
 const HOST = '0.0.0.0'; // Listen on all interfaces for LAN access
 
+await restoreRooms();
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 server.listen(PORT, HOST, () => {
   console.log(`🃏 sevendeuce server running on port ${PORT}`);
   console.log(`   API: http://localhost:${PORT}/api`);
@@ -0,0 +1,318 @@
+/**
+ * PokerStars Hand History Format
+ * Converts recorded hands into PokerStars-style text that trackers can import
+ */
+
+import { getVariant, BETTING, DEALING } from './variants.js';
+
+const SUIT_LETTERS = { hearts: 'h', diamonds: 'd', clubs: 'c', spades: 's' };
+
+const STREET_NAMES = {
+  'flop': 'Flop',
+  'turn': 'Turn',
+  'river': 'River',
+  'third-street': '3rd Street',
+  'fourth-street': '4th Street',
+  'fifth-street': '5th Street',
+  'sixth-street': '6th Street',
+  'seventh-street': 'River'
+};
+
+// Stud street headers
+const STUD_STREET_LABELS = {
+  'third-street': '3rd STREET',
+  'fourth-street': '4th STREET',
+  'fifth-street': '5th STREET',
+  'sixth-street': '6th STREET',
+  'seventh-street': 'RIVER'
+};
+
+// Board labels when a hand is run more than once
+const BOARD_ORDINALS = ['FIRST', 'SECOND', 'THIRD'];
+const RUN_COUNT_WORDS = ['', 'once', 'twice', 'three times'];
+
+/**
+ * Format a card as PokerStars shorthand (e.g. Th, 7c)
+ */
+function formatCard(card) {
+  const rank = card.rank === '10' ? 'T' : card.rank;
+  return `${rank}${SUIT_LETTERS[card.suit] || '?'}`;
+}
+
+function formatCards(cards) {
+  return `[${cards.map(formatCard).join(' ')}]`;
+}
+
+function isSameCard(a, b) {
+  return !!a && !!b && a.rank === b.rank && a.suit === b.suit;
+}
+
+function formatMoney(amount) {
+  return `$${amount}`;
+}
+
+/**
+ * Format a timestamp as "YYYY/MM/DD HH:MM:SS ET" like the PokerStars client does
+ */
+function formatTimestamp(timestamp) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: 'America/New_York',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(timestamp)).map(p => [p.type, p.value])
+  );
+  return `${parts.year}/${parts.month}/${parts.day} ${parts.hour}:${parts.minute}:${parts.second} ET`;
+}
+
+/**
+ * Build a numeric hand ID - trackers expect digits only
+ */
+function getHandId(hand) {
+  const roomNumber = parseInt(hand.roomId, 16) || 0;
+  return `${roomNumber}${String(hand.handNumber).padStart(5, '0')}`;
+}
+
+/**
+ * Describe one betting action the way PokerStars prints it
+ * streetBet is the amount to match before this action
+ */
+function formatAction(action, streetBet) {
+  const allIn = action.action === 'all-in';
+  const suffix = allIn ? ' and is all-in' : '';
+
+  switch (action.action) {
+    case 'fold':
+      return 'folds';
+    case 'check':
+      return 'checks';
+    case 'call':
+      return `calls ${formatMoney(action.amount)}`;
+    default:
+      // Bet, raise, or an all-in that could be any of those
+      if (action.totalBet <= streetBet) {
+        return `calls ${formatMoney(action.amount)}${suffix}`;
+      }
+      if (streetBet === 0) {
+        return `bets ${formatMoney(action.amount)}${suffix}`;
+      }
+      return `raises ${formatMoney(action.totalBet - streetBet)} to ${formatMoney(action.totalBet)}${suffix}`;
+  }
+}
+
+/**
+ * Hand shown at showdown - hi/lo games name both halves
+ */
+function describeShowdown(entry) {
+  return entry.lowHandDescription
+    ? `HI: ${entry.handDescription}; LO: ${entry.lowHandDescription}`
+    : entry.handDescription;
+}
+
+/**
+ * Format a single recorded hand as PokerStars text
+ * heroId marks whose hole cards go on the "Dealt to" line
+ */
+export function formatPokerStarsHand(hand, heroId = null) {
+  const lines = [];
+  const seatsByIndex = new Map(hand.seats.map(seat => [seat.seatIndex, seat]));
+  const nameOf = (seatIndex) => seatsByIndex.get(seatIndex)?.username || `Seat ${seatIndex + 1}`;
+  const variant = getVariant(hand.variant);
+  const isStud = variant.dealing === DEALING.STUD;
+
+  // Header and seats - limit games are labelled by their small and big bet
+  const stakes = hand.betting === BETTING.FIXED_LIMIT
+    ? `${formatMoney(hand.bigBlind)}/${formatMoney(hand.bigBlind * 2)}`
+    : `${formatMoney(hand.smallBlind)}/${formatMoney(hand.bigBlind)}`;
+  const gameName = hand.betting === BETTING.FIXED_LIMIT
+    ? variant.pokerStarsName.replace(/ (No|Pot) Limit$/, ' Limit')
+    : variant.pokerStarsName;
+  lines.push(
+    `PokerStars Hand #${getHandId(hand)}:  ${gameName} (${stakes} USD) - ${formatTimestamp(hand.startedAt)}`
+  );
+  lines.push(isStud
+    ? `Table '${hand.tableName}' ${hand.maxPlayers}-max`
+    : `Table '${hand.tableName}' ${hand.maxPlayers}-max Seat #${hand.dealerSeat + 1} is the button`);
+  for (const seat of hand.seats) {
+    lines.push(`Seat ${seat.seatIndex + 1}: ${seat.username} (${formatMoney(seat.startingStack)} in chips)`);
+  }
+
+  // Antes and blinds (the stud bring-in comes after third street is dealt)
+  for (const blind of hand.blinds.filter(b => b.type !== 'bring-in')) {
+    lines.push(blind.type === 'ante' || blind.type === 'big-blind-ante' || blind.type === 'bomb-pot'
+      ? `${nameOf(blind.seatIndex)}: posts the ante ${formatMoney(blind.amount)}`
+      : blind.type === 'straddle'
+        ? `${nameOf(blind.seatIndex)}: posts straddle ${formatMoney(blind.amount)}`
+        : `${nameOf(blind.seatIndex)}: posts ${blind.type} blind ${formatMoney(blind.amount)}`);
+  }
+
+  // Hole cards - trackers use this line to identify the hero
+  const hero = hand.seats.find(seat => seat.playerId === heroId && seat.holeCards);
+  if (!isStud) {
+    lines.push('*** HOLE CARDS ***');
+    if (hero) {
+      lines.push(`Dealt to ${hero.username} ${formatCards(hero.holeCards)}`);
+    }
+  }
+
+  // Betting streets
+  const foldedOn = new Map(); // seatIndex -> street
+  const invested = new Map(); // seatIndex -> chips put in voluntarily
+  const studCards = new Map(); // seatIndex -> cards shown on earlier stud streets
+  let board = [];
+  for (const street of Object.keys(hand.streets)) {
+    const { board: streetCards = [], dealt = [], actions = [] } = hand.streets[street];
+
+    if (isStud) {
+      if (dealt.length === 0 && streetCards.length === 0) break;
+      lines.push(streetCards.length > 0
+        ? `*** ${STUD_STREET_LABELS[street]} *** ${formatCards(streetCards)}`
+        : `*** ${STUD_STREET_LABELS[street]} ***`);
+      for (const { seatIndex, down, up } of dealt) {
+        // Everyone sees up cards - down cards only show for the hero
+        const isHero = hero?.seatIndex === seatIndex;
+        const newCards = isHero ? [...down, ...up] : up;
+        const previous = studCards.get(seatIndex) || [];
+        if (newCards.length > 0) {
+          lines.push(previous.length > 0
+            ? `Dealt to ${nameOf(seatIndex)} ${formatCards(previous)} ${formatCards(newCards)}`
+            : `Dealt to ${nameOf(seatIndex)} ${formatCards(newCards)}`);
+        }
+        studCards.set(seatIndex, [...previous, ...newCards]);
+      }
+      if (street === 'third-street') {
+        for (const blind of hand.blinds.filter(b => b.type === 'bring-in')) {
+          lines.push(`${nameOf(blind.seatIndex)}: brings in for ${formatMoney(blind.amount)}`);
+        }
+      }
+    } else if (street !== 'pre-flop') {
+      if (streetCards.length === 0) break;
+      const label = street.toUpperCase();
+      lines.push(board.length > 0
+        ? `*** ${label} *** ${formatCards(board)} ${formatCards(streetCards)}`
+        : `*** ${label} *** ${formatCards(streetCards)}`);
+    }
+    board = [...board, ...streetCards];
+
+    let streetBet = street === 'pre-flop' || street === 'third-street'
+      ? Math.max(0, ...hand.blinds.filter(b => ['small', 'big', 'straddle', 'bring-in'].includes(b.type)).map(b => b.amount))
+      : 0;
+    for (const action of actions) {
+      lines.push(`${action.username}: ${formatAction(action, streetBet)}`);
+      streetBet = Math.max(streetBet, action.totalBet);
+      invested.set(action.seatIndex, (invested.get(action.seatIndex) || 0) + action.amount);
+      if (action.action === 'fold') {
+        foldedOn.set(action.seatIndex, street);
+      }
+    }
+  }
+
+  // Extra boards for Run It Twice (or a double-board bomb pot)
+  const multiBoard = hand.boards.length > 1;
+  hand.boards.slice(1).forEach((extraBoard, i) => {
+    // Only the cards dealt after the all-in differ between boards
+    let shared = 0;
+    while (shared < extraBoard.length && isSameCard(extraBoard[shared], hand.boards[0][shared])) {
+      shared++;
+    }
+    const ordinal = BOARD_ORDINALS[i + 1];
+    const stages = [['FLOP', 3], ['TURN', 4], ['RIVER', 5]].filter(([, count]) => count > shared);
+    for (const [label, count] of stages) {
+      const before = extraBoard.slice(0, count === 3 ? 0 : count - 1);
+      const dealt = extraBoard.slice(count === 3 ? 0 : count - 1, count);
+      lines.push(before.length > 0
+        ? `*** ${ordinal} ${label} *** ${formatCards(before)} ${formatCards(dealt)}`
+        : `*** ${ordinal} ${label} *** ${formatCards(dealt)}`);
+    }
+  });
+
+  // Showdown
+  if (!hand.noShowdown) {
+    lines.push(multiBoard ? '*** FIRST SHOW DOWN ***' : '*** SHOW DOWN ***');
+    for (const entry of hand.showdown) {
+      if (entry.shown && entry.cards) {
+        lines.push(`${nameOf(entry.seatIndex)}: shows ${formatCards(entry.cards)} (${describeShowdown(entry)})`);
+      } else if (entry.mucked) {
+        lines.push(`${nameOf(entry.seatIndex)}: mucks hand`);
+      }
+    }
+  }
+  for (const award of hand.awards.filter(a => a.board === 1)) {
+    lines.push(`${award.username} collected ${formatMoney(award.amount)} from pot`);
+  }
+  for (let board = 2; board <= hand.boards.length; board++) {
+    lines.push(`*** ${BOARD_ORDINALS[board - 1]} SHOW DOWN ***`);
+    for (const award of hand.awards.filter(a => a.board === board)) {
+      lines.push(`${award.username} collected ${formatMoney(award.amount)} from pot`);
+    }
+  }
+  if (hand.noShowdown) {
+    for (const award of hand.awards) {
+      lines.push(`${award.username}: doesn't show hand`);
+    }
+  }
+
+  // Summary
+  const totalPot = hand.awards.reduce((sum, a) => sum + a.amount, 0);
+  lines.push('*** SUMMARY ***');
+  if (hand.sidePots.length > 1) {
+    const [mainPot, ...sidePots] = hand.sidePots;
+    const sideText = sidePots.map((pot, i) => `Side pot${sidePots.length > 1 ? `-${i + 1}` : ''} ${formatMoney(pot.amount)}.`).join(' ');
+    lines.push(`Total pot ${formatMoney(totalPot)} Main pot ${formatMoney(mainPot.amount)}. ${sideText} | Rake $0`);
+  } else {
+    lines.push(`Total pot ${formatMoney(totalPot)} | Rake $0`);
+  }
+  if (multiBoard) {
+    lines.push(hand.runCount > 1 ? `Hand was run ${RUN_COUNT_WORDS[hand.runCount]}` : 'Hand was dealt on two boards');
+    hand.boards.forEach((cards, i) => {
+      lines.push(`${BOARD_ORDINALS[i]} Board ${formatCards(cards)}`);
+    });
+  } else if (hand.boards[0]?.length > 0) {
+    lines.push(`Board ${formatCards(hand.boards[0])}`);
+  }
+
+  for (const seat of hand.seats) {
+    const position = isStud ? ''
+      : seat.seatIndex === hand.dealerSeat ? ' (button)'
+      : seat.seatIndex === hand.sbSeat ? ' (small blind)'
+      : seat.seatIndex === hand.bbSeat ? ' (big blind)'
+      : '';
+    const prefix = `Seat ${seat.seatIndex + 1}: ${seat.username}${position}`;
+    const won = hand.awards
+      .filter(a => a.seatIndex === seat.seatIndex)
+      .reduce((sum, a) => sum + a.amount, 0);
+    const showdownEntry = hand.showdown.find(s => s.seatIndex === seat.seatIndex);
+
+    if (foldedOn.has(seat.seatIndex)) {
+      const street = foldedOn.get(seat.seatIndex);
+      const where = street === 'pre-flop' ? 'before Flop' : `on the ${STREET_NAMES[street]}`;
+      const isFirstStreet = street === 'pre-flop' || street === 'third-street';
+      const didntBet = isFirstStreet && !invested.get(seat.seatIndex) && !hand.blinds.some(b => b.seatIndex === seat.seatIndex && !['ante', 'big-blind-ante', 'bomb-pot'].includes(b.type));
+      lines.push(`${prefix} folded ${where}${didntBet ? " (didn't bet)" : ''}`);
+    } else if (showdownEntry?.shown && showdownEntry.cards) {
+      lines.push(won > 0
+        ? `${prefix} showed ${formatCards(showdownEntry.cards)} and won (${formatMoney(won)}) with ${describeShowdown(showdownEntry)}`
+        : `${prefix} showed ${formatCards(showdownEntry.cards)} and lost with ${describeShowdown(showdownEntry)}`);
+    } else if (showdownEntry?.mucked) {
+      lines.push(`${prefix} mucked`);
+    } else if (won > 0) {
+      lines.push(`${prefix} collected (${formatMoney(won)})`);
+    } else {
+      lines.push(`${prefix} mucked`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a whole session of hands, separated the way PokerStars files are
+ */
+export function formatPokerStarsSession(hands, heroId = null) {
+  return hands.map(hand => formatPokerStarsHand(hand, heroId)).join('\n\n\n') + '\n';
+}
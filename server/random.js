@@ -0,0 +1,28 @@
+/**
+ * Random - Number generators a room can shuffle with
+ */
+
+import { randomBytes } from 'crypto';
+
+/**
+ * Cryptographically secure drop-in for Math.random (53 random bits per call) - what rooms use by default
+ */
+export function secureRandom() {
+  const bytes = randomBytes(8);
+  return (bytes.readUInt32BE(0) * 2 ** 21 + (bytes.readUInt32BE(4) >>> 11)) / 2 ** 53;
+}
+
+/**
+ * Repeatable generator for simulations and tests (mulberry32) - same seed, same deals
+ * Returns a Math.random-style function giving floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Scheduler - A room's named timers, and the table pacing the host can tune
+ * Everything a room waits for goes through here, so a FakeClock can step through a hand timer by timer
+ */
+
+import { systemClock } from './clock.js';
+
+// Seconds the table pauses at each point of a hand
+export const DEFAULT_TIMING_SETTINGS = {
+  handEndDelay: 4,     // Before the next hand when everyone else folded
+  showdownDelay: 6,    // Showdown results on screen before the next hand
+  runoutDelay: 1.5     // Between streets when the board runs out with nobody left to act
+};
+
+// [min, max] seconds for each delay
+const TIMING_LIMITS = {
+  handEndDelay: [1, 30],
+  showdownDelay: [2, 60],
+  runoutDelay: [0, 10]
+};
+
+/**
+ * Validate host input, keeping current values for anything missing or invalid
+ * Delays are clamped to sensible limits and rounded to tenths of a second
+ */
+export function normalizeTimingSettings(input = {}, current = DEFAULT_TIMING_SETTINGS) {
+  const settings = { ...current };
+
+  for (const [key, [min, max]] of Object.entries(TIMING_LIMITS)) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+    const seconds = Number(input[key]);
+    if (Number.isFinite(seconds)) {
+      settings[key] = Math.round(Math.min(Math.max(seconds, min), max) * 10) / 10;
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Named timers on top of a clock - scheduling a name that's already waiting replaces it
+ */
+export class Scheduler {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+    this.timers = new Map();  // name -> clock timer ID
+  }
+
+  now() {
+    return this.clock.now();
+  }
+
+  /**
+   * Run fn after ms
+   */
+  schedule(name, ms, fn) {
+    this.cancel(name);
+    const id = this.clock.setTimeout(() => {
+      this.timers.delete(name);
+      fn();
+    }, ms, name);
+    this.timers.set(name, id);
+  }
+
+  cancel(name) {
+    if (this.timers.has(name)) {
+      this.clock.clearTimeout(this.timers.get(name));
+      this.timers.delete(name);
+    }
+  }
+
+  cancelAll() {
+    for (const name of Array.from(this.timers.keys())) {
+      this.cancel(name);
+    }
+  }
+
+  isScheduled(name) {
+    return this.timers.has(name);
+  }
+}
@@ -0,0 +1,285 @@
+/* global process */
+/**
+ * Simulate - Play bots against each other without a browser or a socket in sight
+ *
+ *   node server/simulate.js --hands 5000 --bots tight-aggressive,calling-station --seed 42
+ *
+ * Rooms run on a FakeClock with a seeded shuffle, so the same options always play the same hands.
+ * Each session seats fresh stacks (strategies rotate seats from session to session) and plays until
+ * its hands are up or one bot has all the chips. Chips are counted after every event, and a hand that
+ * stops moving is reported as stuck.
+ */
+
+import path from 'path';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { GameRoom } from './GameRoom.js';
+import { FakeClock } from './clock.js';
+import { createSeededRandom } from './random.js';
+import { getBotStrategy, listBotStrategies } from './bots.js';
+import { VARIANTS, getVariant } from './variants.js';
+
+const HOST_ID = 'simulator';
+
+// Virtual time a single hand may take before it counts as stuck
+const MAX_HAND_TIME = 10 * 60 * 1000;
+
+// Keep reports readable when something goes badly wrong
+const MAX_REPORTED_PROBLEMS = 20;
+
+export const DEFAULT_SIMULATION_OPTIONS = {
+  hands: 1000,
+  seats: 6,
+  strategies: null,      // Strategy IDs to seat in turn (defaults to every registered strategy)
+  seed: 1,
+  variant: 'holdem',
+  smallBlind: 10,
+  bigBlind: 20,
+  buyIn: 1000,
+  sessionLength: 200     // Hands before the stacks are reset
+};
+
+/**
+ * Play the hands and report how each strategy did
+ * @returns {Object} { hands, sessions, strategies: [...], chipChecks, violations: [...], stuck: [...] }
+ */
+export function runSimulation(options = {}) {
+  const settings = { ...DEFAULT_SIMULATION_OPTIONS, ...options };
+  const strategyIds = settings.strategies || listBotStrategies().map(s => s.id);
+  for (const id of strategyIds) {
+    if (!getBotStrategy(id)) {
+      throw new Error(`Unknown bot strategy: ${id}`);
+    }
+  }
+  // Never report a clean run of a game that wasn't played
+  if (!getVariant(settings.variant)) {
+    throw new Error(`Unknown variant: ${settings.variant} (choose from ${Object.keys(VARIANTS).join(', ')})`);
+  }
+
+  const random = createSeededRandom(settings.seed);
+  const stats = new Map(strategyIds.map(id => [id, {
+    id,
+    name: getBotStrategy(id).name,
+    seats: 0,
+    handsDealt: 0,
+    handsWon: 0,
+    net: 0
+  }]));
+  const report = { hands: 0, sessions: 0, chipChecks: 0, violations: [], stuck: [] };
+
+  while (report.hands < settings.hands) {
+    const handsLeft = settings.hands - report.hands;
+    const dealt = playSession(settings, strategyIds, random, stats, report, Math.min(handsLeft, settings.sessionLength));
+    report.sessions++;
+    if (dealt === 0) {
+      throw new Error('The table never dealt a hand');
+    }
+  }
+
+  report.strategies = Array.from(stats.values()).map(s => ({
+    ...s,
+    winRate: s.handsDealt > 0 ? Math.round(s.handsWon / s.handsDealt * 1000) / 10 : 0,
+    bbPer100: s.handsDealt > 0 ? Math.round(s.net / settings.bigBlind / s.handsDealt * 10000) / 100 : 0
+  }));
+  return report;
+}
+
+/**
+ * One table from fresh stacks until its hands run out or the game stops
+ * Returns how many hands were dealt
+ */
+function playSession(settings, strategyIds, random, stats, report, sessionHands) {
+  const session = report.sessions;
+  const clock = new FakeClock();
+  const room = new GameRoom(`sim-${session}`, 'Simulation', HOST_ID, settings.seats);
+  room.clock = clock;
+  room.random = random;
+
+  const settingsResult = room.updateSettings(HOST_ID, {
+    variant: settings.variant,
+    smallBlind: settings.smallBlind,
+    bigBlind: settings.bigBlind,
+    actionTimeout: 0  // Bots never time out - a seat that doesn't act should show up as stuck
+  });
+  if (!settingsResult.success) {
+    throw new Error(settingsResult.error);
+  }
+
+  // playerId -> strategy ID
+  const botStrategies = new Map();
+  for (let seat = 0; seat < settings.seats; seat++) {
+    const strategyId = strategyIds[(seat + session) % strategyIds.length];
+    const result = room.addBot(HOST_ID, seat, strategyId, settings.buyIn);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    botStrategies.set(room.seats[seat].playerId, strategyId);
+    stats.get(strategyId).seats++;
+  }
+
+  const chipsInPlay = settings.seats * settings.buyIn;
+  let handsPlayed = 0;
+  let handStartedAt = clock.now();
+  let sessionOver = false;
+
+  const problem = (list, entry) => {
+    if (list.length < MAX_REPORTED_PROBLEMS) {
+      list.push({ session, hand: room.handNumber, phase: room.phase, ...entry });
+    }
+  };
+
+  // Every chip is either in a stack or in the pot
+  const checkChips = (event) => {
+    const stacks = room.getAllSeatedPlayers().reduce((sum, p) => sum + p.bankroll, 0);
+    report.chipChecks++;
+    if (stacks + room.pot !== chipsInPlay) {
+      problem(report.violations, { event, expected: chipsInPlay, actual: stacks + room.pot });
+    }
+  };
+
+  room.onAutoAdvance = (type, data) => {
+    if (type === 'new-hand' && data?.success) {
+      handsPlayed++;
+      report.hands++;
+      handStartedAt = clock.now();
+      for (const player of room.getSeatedPlayers()) {
+        stats.get(botStrategies.get(player.playerId)).handsDealt++;
+      }
+    }
+
+    if (type === 'showdown' || type === 'hand-won') {
+      const winnerSeats = new Set([data, ...(data.boards || [])].flatMap(result => [
+        ...(result.winners || []),
+        ...(result.highWinners || []),
+        ...(result.lowWinners || [])
+      ]).map(w => w.seatIndex));
+      for (const seatIndex of winnerSeats) {
+        const winner = room.seats[seatIndex];
+        if (winner) stats.get(botStrategies.get(winner.playerId)).handsWon++;
+      }
+      if (handsPlayed >= sessionHands) {
+        sessionOver = true;
+      }
+    }
+
+    checkChips(type);
+  };
+
+  // The first hand is dealt straight away, not through an auto-advance
+  const start = room.startGame();
+  if (start.success) {
+    room.onAutoAdvance('new-hand', start);
+  }
+
+  while (room.isGameRunning && !sessionOver) {
+    if (clock.now() - handStartedAt > MAX_HAND_TIME) {
+      problem(report.stuck, { reason: 'Hand took too long', currentTurn: room.currentTurn });
+      break;
+    }
+    try {
+      if (!clock.runNext()) {
+        problem(report.stuck, { reason: 'Nothing left to happen', currentTurn: room.currentTurn });
+        break;
+      }
+    } catch (err) {
+      problem(report.stuck, { reason: `Error: ${err.message}`, currentTurn: room.currentTurn });
+      break;
+    }
+  }
+
+  // Settle up - busted bots have already left with nothing
+  for (const [playerId, strategyId] of botStrategies) {
+    const bankroll = room.players.get(playerId)?.bankroll ?? 0;
+    stats.get(strategyId).net += bankroll - settings.buyIn;
+  }
+  room.stopGame();
+  return handsPlayed;
+}
+
+/**
+ * Print the report as a table
+ */
+function printReport(report, settings) {
+  console.log(`${report.hands} hands of ${settings.variant} in ${report.sessions} sessions - ` +
+    `${settings.seats} seats, blinds ${settings.smallBlind}/${settings.bigBlind}, seed ${settings.seed}\n`);
+
+  const rows = report.strategies.map(s => [
+    s.name, s.seats, s.handsDealt, `${s.winRate}%`, s.net, s.bbPer100
+  ]);
+  const header = ['Strategy', 'Seats', 'Hands', 'Won', 'Net chips', 'bb/100'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, i) => i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i])).join('  '));
+  }
+
+  console.log(`\nChip conservation: ${report.violations.length === 0 ? 'OK' : 'FAILED'} (${report.chipChecks} checks)`);
+  for (const v of report.violations) {
+    console.log(`  session ${v.session} hand #${v.hand} after ${v.event}: expected ${v.expected}, found ${v.actual}`);
+  }
+  console.log(`Stuck hands: ${report.stuck.length === 0 ? 'none' : report.stuck.length}`);
+  for (const s of report.stuck) {
+    console.log(`  session ${s.session} hand #${s.hand} (${s.phase}, seat ${s.currentTurn}): ${s.reason}`);
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      hands: { type: 'string' },
+      seats: { type: 'string' },
+      bots: { type: 'string' },
+      seed: { type: 'string' },
+      variant: { type: 'string' },
+      blinds: { type: 'string' },
+      'buy-in': { type: 'string' },
+      session: { type: 'string' },
+      load: { type: 'string', multiple: true },  // Modules that register their own strategies
+      json: { type: 'boolean' },
+      help: { type: 'boolean' }
+    }
+  });
+
+  if (values.help) {
+    console.log('Usage: node server/simulate.js [--hands N] [--seats N] [--bots id,id] [--seed N] [--variant id]\n' +
+      '                            [--blinds SB/BB] [--buy-in N] [--session N] [--load module.js] [--json]\n' +
+      `Variants: ${Object.keys(VARIANTS).join(', ')}`);
+    return;
+  }
+
+  for (const modulePath of values.load || []) {
+    await import(pathToFileURL(path.resolve(modulePath)).href);
+  }
+
+  const [smallBlind, bigBlind] = (values.blinds || '').split('/').map(Number);
+  const settings = { ...DEFAULT_SIMULATION_OPTIONS, seed: Math.floor(Math.random() * 2 ** 32) };
+  if (values.hands) settings.hands = Number(values.hands);
+  if (values.seats) settings.seats = Number(values.seats);
+  if (values.bots) settings.strategies = values.bots.split(',').map(s => s.trim());
+  if (values.seed) settings.seed = Number(values.seed);
+  if (values.variant) settings.variant = values.variant;
+  if (smallBlind > 0 && bigBlind >= smallBlind) Object.assign(settings, { smallBlind, bigBlind });
+  if (values['buy-in']) settings.buyIn = Number(values['buy-in']);
+  if (values.session) settings.sessionLength = Number(values.session);
+
+  if (!(settings.hands > 0) || !(settings.seats >= 2 && settings.seats <= 10) || !(settings.sessionLength > 0)) {
+    throw new Error('Need at least 1 hand, 2 to 10 seats and a session of at least 1 hand');
+  }
+
+  const report = runSimulation(settings);
+  if (values.json) {
+    console.log(JSON.stringify({ settings, ...report }, null, 2));
+  } else {
+    printReport(report, settings);
+  }
+
+  // Fail the run (e.g. in CI) when the engine misbehaved
+  process.exitCode = report.violations.length > 0 || report.stuck.length > 0 ? 1 : 0;
+}
+
+// Only run when started from the command line, not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,92 @@
+/**
+ * Storage - Pluggable persistence for room snapshots
+ * Drivers share the same async interface: loadRooms(), saveRoom(snapshot), deleteRoom(roomId)
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Keeps snapshots in memory - nothing survives a restart (useful for local dev)
+ */
+export class MemoryStorage {
+  constructor() {
+    this.snapshots = new Map(); // roomId -> snapshot
+  }
+
+  async loadRooms() {
+    return Array.from(this.snapshots.values()).map(snapshot => structuredClone(snapshot));
+  }
+
+  async saveRoom(snapshot) {
+    this.snapshots.set(snapshot.id, structuredClone(snapshot));
+  }
+
+  async deleteRoom(roomId) {
+    this.snapshots.delete(roomId);
+  }
+}
+
+/**
+ * Writes one JSON file per room into a data directory
+ */
+export class FileStorage {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * Room IDs come from the client, so only allow plain IDs as file names
+   */
+  getRoomPath(roomId) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(roomId)) {
+      throw new Error(`Invalid room ID: ${roomId}`);
+    }
+    return path.join(this.dir, `${roomId}.json`);
+  }
+
+  async loadRooms() {
+    await fs.mkdir(this.dir, { recursive: true });
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+
+    const snapshots = [];
+    for (const file of files) {
+      try {
+        const contents = await fs.readFile(path.join(this.dir, file), 'utf8');
+        snapshots.push(JSON.parse(contents));
+      } catch (err) {
+        // A corrupt file shouldn't stop the other rooms from loading
+        console.error(`Failed to load room snapshot ${file}:`, err.message);
+      }
+    }
+    return snapshots;
+  }
+
+  async saveRoom(snapshot) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const filePath = this.getRoomPath(snapshot.id);
+
+    // Write to a temp file and rename so a crash never leaves a half-written snapshot
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(snapshot));
+    await fs.rename(tempPath, filePath);
+  }
+
+  async deleteRoom(roomId) {
+    await fs.rm(this.getRoomPath(roomId), { force: true });
+  }
+}
+
+/**
+ * Create the storage driver named by config ('file' or 'memory')
+ */
+export function createStorage({ driver = 'file', dir } = {}) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'file':
+      return new FileStorage(dir);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
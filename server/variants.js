@@ -0,0 +1,132 @@
+/**
+ * Game Variants - Dealing, hand evaluation and betting structure per game type
+ */
+
+import {
+  evaluateHand, evaluateOmahaHand, evaluateLowHand, evaluateOmahaLowHand, handStrength, omahaHandStrength
+} from './handEvaluator.js';
+
+// Betting structures
+export const BETTING = {
+  NO_LIMIT: 'no-limit',
+  POT_LIMIT: 'pot-limit',
+  FIXED_LIMIT: 'fixed-limit'  // Room setting - fixed bet sizes and a raise cap
+};
+
+// How cards reach the players
+export const DEALING = {
+  BOARD: 'board',  // Hole cards plus shared community cards
+  STUD: 'stud'     // Each player gets their own down and up cards
+};
+
+// Betting rounds in order
+const BOARD_STREETS = ['pre-flop', 'flop', 'turn', 'river'];
+const STUD_STREETS = ['third-street', 'fourth-street', 'fifth-street', 'sixth-street', 'seventh-street'];
+
+// Cards each stud player gets per street
+const STUD_DEAL = {
+  'third-street': { down: 2, up: 1 },
+  'fourth-street': { down: 0, up: 1 },
+  'fifth-street': { down: 0, up: 1 },
+  'sixth-street': { down: 0, up: 1 },
+  'seventh-street': { down: 1, up: 0 }
+};
+
+export const VARIANTS = {
+  holdem: {
+    id: 'holdem',
+    name: "No-Limit Hold'em",
+    shortName: 'NLHE',
+    pokerStarsName: "Hold'em No Limit",
+    holeCards: 2,
+    betting: BETTING.NO_LIMIT,
+    dealing: DEALING.BOARD,
+    streets: BOARD_STREETS,
+    bigBetStreet: 'turn',  // Fixed limit doubles the bet size from here on
+    evaluateHand,
+    handStrength,  // Integer-only version of evaluateHand for equity and bots
+    evaluateLowHand: null  // High hand takes the whole pot
+  },
+  shortdeck: {
+    id: 'shortdeck',
+    name: "Short Deck Hold'em",
+    shortName: '6+',
+    pokerStarsName: "6+ Hold'em No Limit",
+    holeCards: 2,
+    betting: BETTING.NO_LIMIT,
+    dealing: DEALING.BOARD,
+    streets: BOARD_STREETS,
+    bigBetStreet: 'turn',
+    shortDeck: true,  // 36 cards (6 through ace) - flushes beat full houses, A-6-7-8-9 is a straight
+    evaluateHand,
+    handStrength,
+    evaluateLowHand: null
+  },
+  omaha: {
+    id: 'omaha',
+    name: 'Pot-Limit Omaha',
+    shortName: 'PLO',
+    pokerStarsName: 'Omaha Pot Limit',
+    holeCards: 4,
+    betting: BETTING.POT_LIMIT,
+    dealing: DEALING.BOARD,
+    streets: BOARD_STREETS,
+    bigBetStreet: 'turn',
+    evaluateHand: evaluateOmahaHand,  // Exactly 2 hole cards + 3 from the board
+    handStrength: omahaHandStrength,
+    evaluateLowHand: null
+  },
+  omaha8: {
+    id: 'omaha8',
+    name: 'Pot-Limit Omaha Hi/Lo',
+    shortName: 'PLO8',
+    pokerStarsName: 'Omaha Hi/Lo Pot Limit',
+    holeCards: 4,
+    betting: BETTING.POT_LIMIT,
+    dealing: DEALING.BOARD,
+    streets: BOARD_STREETS,
+    bigBetStreet: 'turn',
+    evaluateHand: evaluateOmahaHand,
+    handStrength: omahaHandStrength,
+    evaluateLowHand: evaluateOmahaLowHand  // Half of each pot to the best 8-or-better low
+  },
+  stud: {
+    id: 'stud',
+    name: 'Seven Card Stud',
+    shortName: 'Stud',
+    pokerStarsName: '7 Card Stud No Limit',
+    holeCards: 3,  // Dealt on third street
+    betting: BETTING.NO_LIMIT,
+    dealing: DEALING.STUD,
+    streets: STUD_STREETS,
+    bigBetStreet: 'fifth-street',
+    studDeal: STUD_DEAL,
+    evaluateHand,  // Best 5 of the player's 7 cards
+    handStrength,
+    evaluateLowHand: null
+  },
+  stud8: {
+    id: 'stud8',
+    name: 'Seven Card Stud Hi/Lo',
+    shortName: 'Stud8',
+    pokerStarsName: '7 Card Stud Hi/Lo No Limit',
+    holeCards: 3,
+    betting: BETTING.NO_LIMIT,
+    dealing: DEALING.STUD,
+    streets: STUD_STREETS,
+    bigBetStreet: 'fifth-street',
+    studDeal: STUD_DEAL,
+    evaluateHand,
+    handStrength,
+    evaluateLowHand
+  }
+};
+
+export const DEFAULT_VARIANT = VARIANTS.holdem;
+
+/**
+ * Look up a variant by ID (null for unknown IDs)
+ */
+export function getVariant(id) {
+  return Object.hasOwn(VARIANTS, id) ? VARIANTS[id] : null;
+}
@@ -20,7 +20,11 @@ function BettingControls({
   toCall = 0, 
   minRaise = 20,
   pot = 0,
+  antes = 0,
   myBankroll = 0,
+  maxRaise = null,
+  potLimit = false,
+  limitRaise = null,
   onAction,
   isMyTurn = false,
   disabled = false
@@ -38,6 +42,9 @@ function BettingControls({
   const canCall = validActions.includes(ACTIONS.CALL);
   const canBet = validActions.includes(ACTIONS.BET);
   const canRaise = validActions.includes(ACTIONS.RAISE);
+  
+  // Largest raise allowed (pot limit can cap it below the stack)
+  const maxAmount = maxRaise ?? myBankroll;
 
   const handleFold = () => {
     onAction(ACTIONS.FOLD);
@@ -51,6 +58,11 @@ function BettingControls({
     onAction(ACTIONS.CALL);
   };
 
+  // Fixed limit has one legal size, so the button bets it straight away
+  const handleLimitBet = () => {
+    onAction(canBet ? ACTIONS.BET : ACTIONS.RAISE, limitRaise);
+  };
+
   const handleBetOrRaise = () => {
     if (showSlider) {
       // Confirm the bet
@@ -74,14 +86,14 @@ function BettingControls({
     if (multiplier === 'pot') {
       amount = pot;
     } else if (multiplier === 'allin') {
-      amount = myBankroll;
+      amount = maxAmount;
     } else {
       amount = Math.floor(pot * multiplier);
     }
     // Ensure minimum
     amount = Math.max(amount, minRaise);
-    // Ensure maximum (all-in)
-    amount = Math.min(amount, myBankroll);
+    // Ensure maximum (all-in, or the pot limit)
+    amount = Math.min(amount, maxAmount);
     setBetAmount(amount);
   };
 
@@ -97,6 +109,11 @@ function BettingControls({
 
   return (
     <div className="betting-controls" role="group" aria-label="Betting controls">
+      <div className="betting-controls__pot" aria-live="polite">
+        Pot: ${pot}
+        {antes > 0 && <span className="betting-controls__antes"> (incl. ${antes} antes)</span>}
+      </div>
+      
       {showSlider ? (
         // Bet/Raise amount selection
         <div className="betting-controls__slider-panel" role="group" aria-label="Bet amount selector">
@@ -105,18 +122,21 @@ function BettingControls({
               {canBet ? 'Bet' : 'Raise to'}:
             </span>
             <span className="betting-controls__amount-value" aria-live="polite">${betAmount}</span>
+            {potLimit && (
+              <span className="betting-controls__limit">Pot limit: ${maxAmount}</span>
+            )}
           </div>
           
           <input
             type="range"
             className="betting-controls__slider"
-            min={minRaise}
-            max={myBankroll}
+            min={Math.min(minRaise, maxAmount)}
+            max={maxAmount}
             value={betAmount}
             onChange={(e) => setBetAmount(Number(e.target.value))}
             aria-labelledby="bet-amount-label"
-            aria-valuemin={minRaise}
-            aria-valuemax={myBankroll}
+            aria-valuemin={Math.min(minRaise, maxAmount)}
+            aria-valuemax={maxAmount}
             aria-valuenow={betAmount}
             disabled={disabled}
           />
@@ -157,10 +177,10 @@ function BettingControls({
             <button 
               className="betting-controls__quick-btn betting-controls__quick-btn--allin"
               onClick={() => handleQuickBet('allin')}
-              aria-label="Go all in"
+              aria-label={potLimit && maxAmount < myBankroll ? 'Bet the pot limit' : 'Go all in'}
               disabled={disabled}
             >
-              All-In
+              {potLimit && maxAmount < myBankroll ? 'Max' : 'All-In'}
             </button>
           </div>
           
@@ -217,7 +237,18 @@ function BettingControls({
             </button>
           )}
           
-          {(canBet || canRaise) && (
+          {(canBet || canRaise) && limitRaise !== null && (
+            <button 
+              className="betting-controls__btn betting-controls__btn--raise"
+              onClick={handleLimitBet}
+              aria-label={canBet ? `Bet ${limitRaise} dollars` : `Raise ${limitRaise} dollars`}
+              disabled={disabled}
+            >
+              {canBet ? 'Bet' : 'Raise'} ${limitRaise}
+            </button>
+          )}
+          
+          {(canBet || canRaise) && limitRaise === null && (
             <button 
               className="betting-controls__btn betting-controls__btn--raise"
               onClick={handleBetOrRaise}
@@ -0,0 +1,119 @@
+/**
+ * ChipLedger Component
+ * Host's view of every chip that moved at the table
+ */
+
+import './ChipLedger.css';
+
+const TYPE_LABELS = {
+  'buy-in': 'Buy-in',
+  'stack-reset': 'Stack reset',
+  restart: 'Server restart',
+  restore: 'Restored',
+  'cash-out': 'Cash-out',
+  ante: 'Ante',
+  blind: 'Blind',
+  bet: 'Bet',
+  award: 'Won',
+  bounty: '7-2 bounty',
+  refund: 'Refund',
+  forfeit: 'Forfeited',
+  discrepancy: '⚠️ Mismatch'
+};
+
+/**
+ * What moved, e.g. "Blind (big)" or "Won (board 2)"
+ */
+function describeEntry(entry) {
+  const details = [
+    entry.kind,
+    entry.action,
+    entry.board && `board ${entry.board}`,
+    entry.low > 0 && `$${entry.high} high / $${entry.low} low`,
+    entry.type === 'discrepancy' && `after ${entry.event}`
+  ].filter(Boolean);
+  const label = TYPE_LABELS[entry.type] || entry.type;
+  return details.length > 0 ? `${label} (${details.join(', ')})` : label;
+}
+
+const formatAmount = (amount) => amount > 0 ? `+$${amount}` : amount < 0 ? `-$${-amount}` : '$0';
+
+/**
+ * ChipLedger - Ledger table, newest first
+ * @param {Object} props
+ * @param {Object} props.ledger - { tableChips, countedChips, discrepancies, maxEntries, trimmed, entries }
+ * @param {boolean} props.loading - Still fetching
+ * @param {Function} props.onRefresh - Fetch the latest entries
+ * @param {Function} props.onClose - Close the ledger
+ */
+function ChipLedger({ ledger, loading = false, onRefresh = () => {}, onClose = () => {} }) {
+  const entries = [...(ledger?.entries || [])].reverse();
+  const balanced = ledger && ledger.tableChips === ledger.countedChips && ledger.discrepancies === 0;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="chip-ledger" onClick={e => e.stopPropagation()}>
+        <div className="chip-ledger__header">
+          <h3 className="pixel-text">🧾 Chip Ledger</h3>
+          <button className="chip-ledger__close" onClick={onClose} aria-label="Close ledger">×</button>
+        </div>
+
+        {ledger && (
+          <p className={`chip-ledger__summary ${balanced ? '' : 'chip-ledger__summary--off'}`}>
+            ${ledger.countedChips} on the table
+            {balanced
+              ? ' · every chip accounted for'
+              : ` · ledger expects $${ledger.tableChips} · ${ledger.discrepancies} mismatch${ledger.discrepancies === 1 ? '' : 'es'}`}
+            {ledger.trimmed > 0 && ` · only the last ${ledger.maxEntries} movements are kept`}
+          </p>
+        )}
+
+        {loading ? (
+          <p className="chip-ledger__empty">Loading...</p>
+        ) : entries.length === 0 ? (
+          <p className="chip-ledger__empty">No chips have moved yet</p>
+        ) : (
+          <div className="chip-ledger__scroll">
+            <table className="chip-ledger__table">
+              <thead>
+                <tr>
+                  <th>Hand</th>
+                  <th>Player</th>
+                  <th>Movement</th>
+                  <th>Amount</th>
+                  <th>Stack</th>
+                  <th>Pot</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr
+                    key={entry.id}
+                    className={entry.type === 'discrepancy' ? 'chip-ledger__row--off' : ''}
+                    title={new Date(entry.time).toLocaleTimeString()}
+                  >
+                    <td>{entry.handNumber > 0 ? `#${entry.handNumber}` : '-'}</td>
+                    <td>{entry.username || 'Table'}</td>
+                    <td>{describeEntry(entry)}</td>
+                    <td className={entry.amount >= 0 ? 'chip-ledger__amount--in' : 'chip-ledger__amount--out'}>
+                      {formatAmount(entry.amount)}
+                    </td>
+                    <td>{entry.stack !== null ? `$${entry.stack}` : '-'}</td>
+                    <td>${entry.pot}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="chip-ledger__actions">
+          <button type="button" className="pixel-btn pixel-btn--small" onClick={onRefresh} disabled={loading}>Refresh</button>
+          <button type="button" className="pixel-btn pixel-btn--small pixel-btn--secondary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ChipLedger;
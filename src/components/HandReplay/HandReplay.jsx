@@ -0,0 +1,267 @@
+/**
+ * HandReplay Component
+ * Step-through viewer for recorded hand histories
+ */
+
+import { useState } from 'react';
+import './HandReplay.css';
+import PokerTable from '../PokerTable';
+import Card from '../Card';
+
+const SUIT_SYMBOLS = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
+
+const formatCard = (card) => `${card.rank}${SUIT_SYMBOLS[card.suit] || '?'}`;
+
+/**
+ * Turn a recorded hand into a list of table snapshots, one per event
+ */
+function buildReplayFrames(hand) {
+  const frames = [];
+  const seats = Array(hand.maxPlayers).fill(null);
+  // Stud cards arrive street by street
+  const isStud = Object.values(hand.streets).some(street => street.dealt);
+  for (const seat of hand.seats) {
+    seats[seat.seatIndex] = {
+      username: seat.username,
+      seatIndex: seat.seatIndex,
+      bankroll: seat.startingStack,
+      currentBet: 0,
+      isFolded: false,
+      isAllIn: false,
+      hasCards: true,
+      cardCount: isStud ? 0 : hand.holeCardCount || 2,
+      upCards: []
+    };
+  }
+
+  let communityCards = [];
+  let extraBoards = [];
+  let pot = 0;
+
+  const snapshot = (description, phase, actingSeat = null) => {
+    frames.push({
+      description,
+      phase,
+      actingSeat,
+      seats: seats.map(s => s && { ...s, upCards: [...s.upCards] }),
+      communityCards: [...communityCards],
+      extraBoards: extraBoards.map(b => [...b]),
+      pot
+    });
+  };
+
+  snapshot(`Hand #${hand.handNumber} • ${hand.seats.length} players • $${hand.smallBlind}/$${hand.bigBlind}`, 'waiting');
+
+  // Antes are dead money, so they go straight to the pot in a single step
+  const antes = hand.blinds.filter(b => b.type === 'ante' || b.type === 'bomb-pot');
+  if (antes.length > 0) {
+    for (const ante of antes) {
+      const seat = seats[ante.seatIndex];
+      if (!seat) continue;
+      seat.bankroll -= ante.amount;
+      seat.isAllIn = seat.bankroll === 0;
+      pot += ante.amount;
+    }
+    snapshot(hand.bombPot ? `Bomb pot - everyone antes $${hand.bombPot.ante}` : `Everyone antes $${hand.ante}`, 'pre-flop');
+  }
+
+  const postBlind = (blind, phase) => {
+    const seat = seats[blind.seatIndex];
+    if (!seat) return;
+    const isAnte = blind.type === 'big-blind-ante';
+    seat.bankroll -= blind.amount;
+    seat.currentBet += isAnte ? 0 : blind.amount;
+    seat.isAllIn = seat.bankroll === 0;
+    pot += blind.amount;
+    snapshot(isAnte
+      ? `${seat.username} posts the big blind ante $${blind.amount}`
+      : blind.type === 'bring-in'
+        ? `${seat.username} brings in for $${blind.amount}`
+        : blind.type === 'straddle'
+          ? `${seat.username} straddles $${blind.amount}`
+          : `${seat.username} posts ${blind.type} blind $${blind.amount}`, phase, blind.seatIndex);
+  };
+
+  // The stud bring-in is posted once third street is out
+  for (const blind of hand.blinds.filter(b => !['ante', 'bomb-pot', 'bring-in'].includes(b.type))) {
+    postBlind(blind, 'pre-flop');
+  }
+
+  for (const street of Object.keys(hand.streets)) {
+    const { board = [], extraBoards: extraCards, dealt = [], actions = [] } = hand.streets[street];
+
+    if (dealt.length > 0) {
+      seats.forEach(s => { if (s) s.currentBet = 0; });
+      for (const { seatIndex, down, up } of dealt) {
+        const seat = seats[seatIndex];
+        if (!seat) continue;
+        seat.cardCount += down.length + up.length;
+        seat.upCards.push(...up);
+      }
+      snapshot(street.replace('-', ' ').toUpperCase(), street);
+      if (street === 'third-street') {
+        hand.blinds.filter(b => b.type === 'bring-in').forEach(blind => postBlind(blind, street));
+      }
+    }
+
+    if (board.length > 0) {
+      seats.forEach(s => { if (s) s.currentBet = 0; });
+      if (extraCards) {
+        // Extra boards share the cards dealt before the hand was run more than once
+        if (extraBoards.length === 0) {
+          extraBoards = extraCards.map(() => [...communityCards]);
+        }
+        extraBoards = extraBoards.map((b, i) => [...b, ...extraCards[i]]);
+      }
+      communityCards = [...communityCards, ...board];
+      snapshot(`${street.toUpperCase()}: ${board.map(formatCard).join(' ')}`, street);
+    }
+
+    for (const action of actions) {
+      const seat = seats[action.seatIndex];
+      if (!seat) continue;
+      seat.bankroll -= action.amount;
+      seat.currentBet = action.totalBet;
+      seat.isFolded = seat.isFolded || action.action === 'fold';
+      seat.isAllIn = seat.bankroll === 0;
+      pot = action.pot;
+      snapshot(
+        `${action.username} ${action.action}${action.amount ? ` $${action.amount}` : ''}`,
+        street,
+        action.seatIndex
+      );
+    }
+  }
+
+  // Final result - stacks after the pot is pushed
+  if (hand.boards?.length > 1) {
+    extraBoards = hand.boards.slice(1).map(b => [...b]);
+  }
+  for (const seat of hand.seats) {
+    if (seats[seat.seatIndex]) {
+      seats[seat.seatIndex].bankroll = seat.endingStack ?? seats[seat.seatIndex].bankroll;
+      seats[seat.seatIndex].currentBet = 0;
+    }
+  }
+  pot = 0;
+  const winnerText = hand.awards
+    .map(a => `${a.username} wins ${a.half ? `${a.half} ` : ''}$${a.amount}${a.handDescription ? ` (${a.handDescription})` : ''}${hand.boards?.length > 1 ? ` on board ${a.board}` : ''}`)
+    .join(' • ');
+  snapshot(winnerText || 'Hand over', 'showdown');
+
+  return frames;
+}
+
+/**
+ * HandReplay - Pick a recorded hand and step through it action by action
+ * @param {Object} props
+ * @param {Array} props.hands - Recorded hands from the server (oldest first)
+ * @param {boolean} props.loading - Whether the history is still loading
+ * @param {Function} props.onClose - Close the viewer
+ */
+function HandReplay({ hands = [], loading = false, onClose = () => {} }) {
+  const [selectedHand, setSelectedHand] = useState(null);
+  const [step, setStep] = useState(0);
+
+  // Default to the most recent hand
+  const hand = hands.find(h => h.handNumber === selectedHand) || hands[hands.length - 1] || null;
+  const frames = hand ? buildReplayFrames(hand) : [];
+  const frame = frames[Math.min(step, frames.length - 1)];
+
+  const handleSelectHand = (handNumber) => {
+    setSelectedHand(handNumber);
+    setStep(0);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="hand-replay" onClick={e => e.stopPropagation()}>
+        <div className="hand-replay__header">
+          <h3 className="pixel-text">📜 Hand History</h3>
+          <button className="hand-replay__close" onClick={onClose} aria-label="Close hand history">×</button>
+        </div>
+
+        {loading ? (
+          <p className="hand-replay__empty">Loading hands...</p>
+        ) : !hand ? (
+          <p className="hand-replay__empty">No hands played yet</p>
+        ) : (
+          <>
+            <div className="hand-replay__picker">
+              <label htmlFor="hand-replay-select">Hand:</label>
+              <select
+                id="hand-replay-select"
+                value={hand.handNumber}
+                onChange={(e) => handleSelectHand(Number(e.target.value))}
+              >
+                {[...hands].reverse().map(h => (
+                  <option key={h.handNumber} value={h.handNumber}>
+                    #{h.handNumber} • {h.awards.map(a => a.username).join(', ') || 'no winner'}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <PokerTable
+              seats={frame.seats}
+              tableName=""
+              communityCards={frame.communityCards}
+              extraBoards={frame.extraBoards}
+              pot={frame.pot}
+              phase={frame.phase}
+              currentTurn={frame.actingSeat}
+              dealerSeat={hand.dealerSeat}
+              readOnly
+            />
+
+            <div className="hand-replay__description" aria-live="polite">
+              {frame.description}
+            </div>
+
+            <div className="hand-replay__hole-cards">
+              {hand.seats.filter(s => s.holeCards).map(seat => (
+                <div
+                  key={seat.seatIndex}
+                  className={`hand-replay__player ${frame.seats[seat.seatIndex]?.isFolded ? 'hand-replay__player--folded' : ''}`}
+                >
+                  <span className="hand-replay__player-name">{seat.username}</span>
+                  <div className="hand-replay__player-cards">
+                    {seat.holeCards.map((card, i) => (
+                      <Card key={i} rank={card.rank} suit={card.suit} size="small" />
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="hand-replay__controls">
+              <button className="pixel-btn pixel-btn--small" onClick={() => setStep(0)} disabled={step === 0}>
+                ⏮
+              </button>
+              <button className="pixel-btn pixel-btn--small" onClick={() => setStep(s => Math.max(0, s - 1))} disabled={step === 0}>
+                ◀ Prev
+              </button>
+              <span className="hand-replay__step">{Math.min(step, frames.length - 1) + 1}/{frames.length}</span>
+              <button
+                className="pixel-btn pixel-btn--small"
+                onClick={() => setStep(s => Math.min(frames.length - 1, s + 1))}
+                disabled={step >= frames.length - 1}
+              >
+                Next ▶
+              </button>
+              <button
+                className="pixel-btn pixel-btn--small"
+                onClick={() => setStep(frames.length - 1)}
+                disabled={step >= frames.length - 1}
+              >
+                ⏭
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default HandReplay;
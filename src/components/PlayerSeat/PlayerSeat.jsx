@@ -3,8 +3,58 @@
  * Represents a single seat around the poker table
  */
 
+import { useState, useEffect } from 'react';
 import './PlayerSeat.css';
 import ChipStack from '../ChipStack';
+import Card from '../Card';
+
+// Ring geometry (viewBox units)
+const RING_RADIUS = 28;
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+
+/**
+ * ActionClockRing - Countdown ring drawn around the avatar
+ * @param {Object} props
+ * @param {Object} props.clock - { localEndsAt, duration, usingTimeBank, pausedRemaining }
+ */
+function ActionClockRing({ clock }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (clock.pausedRemaining !== null && clock.pausedRemaining !== undefined) return;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [clock]);
+
+  const remaining = clock.pausedRemaining ?? Math.max(0, clock.localEndsAt - now);
+  const fraction = clock.duration > 0 ? Math.min(1, remaining / clock.duration) : 0;
+  const seconds = Math.ceil(remaining / 1000);
+
+  const ringClass = [
+    'player-seat__clock-ring',
+    clock.usingTimeBank && 'player-seat__clock-ring--time-bank',
+    !clock.usingTimeBank && seconds <= 5 && 'player-seat__clock-ring--urgent'
+  ].filter(Boolean).join(' ');
+
+  return (
+    <>
+      <svg className={ringClass} viewBox="0 0 64 64" aria-hidden="true">
+        <circle className="player-seat__clock-track" cx="32" cy="32" r={RING_RADIUS} />
+        <circle
+          className="player-seat__clock-progress"
+          cx="32"
+          cy="32"
+          r={RING_RADIUS}
+          strokeDasharray={RING_CIRCUMFERENCE}
+          strokeDashoffset={RING_CIRCUMFERENCE * (1 - fraction)}
+        />
+      </svg>
+      <span className="player-seat__clock-seconds" aria-label={`${seconds} seconds left`}>
+        {clock.usingTimeBank ? '⏳' : ''}{seconds}s
+      </span>
+    </>
+  );
+}
 
 /**
  * PlayerSeat - Renders a player seat with username and bankroll
@@ -15,7 +65,11 @@ import ChipStack from '../ChipStack';
  * @param {boolean} props.isEmpty - Whether the seat is empty
  * @param {boolean} props.isCurrentTurn - Whether it's this player's turn
  * @param {boolean} props.isDealer - Whether this player is the dealer
+ * @param {Object|null} props.actionClock - Shot clock for this seat (null if not ticking)
+ * @param {Object|null} props.equity - All-in odds for this seat { win, tie } (percentages)
+ * @param {boolean} props.canSit - Whether an empty seat offers a "Sit" button
  * @param {Function} props.onTakeSeat - Callback when clicking empty seat
+ * @param {Function|null} props.onRemoveBot - Callback to unseat a bot (host only)
  */
 function PlayerSeat({ 
   position = 0, 
@@ -24,13 +78,23 @@ function PlayerSeat({
   isEmpty = true,
   isCurrentTurn = false,
   isDealer = false,
-  onTakeSeat = () => {}
+  actionClock = null,
+  equity = null,
+  canSit = true,
+  onTakeSeat = () => {},
+  onRemoveBot = null
 }) {
   // Format bankroll with commas
   const formatBankroll = (amount) => {
     return amount.toLocaleString();
   };
 
+  // Stud cards dealt face up
+  const upCards = player?.upCards || [];
+
+  // Disconnected, or a restored seat whose owner hasn't rejoined yet
+  const isAway = player?.isAway || player?.isReserved;
+
   // Build class list
   const classNames = [
     'player-seat',
@@ -40,7 +104,8 @@ function PlayerSeat({
     isCurrentTurn && 'player-seat--active-turn',
     player?.isFolded && 'player-seat--folded',
     player?.isAllIn && 'player-seat--all-in',
-    player?.waitingForNextHand && 'player-seat--waiting'
+    player?.waitingForNextHand && 'player-seat--waiting',
+    isAway && 'player-seat--away'
   ].filter(Boolean).join(' ');
 
   return (
@@ -51,14 +116,16 @@ function PlayerSeat({
       aria-label={isEmpty ? `Empty seat ${position + 1}` : `${player?.username || 'Player'}'s seat`}
     >
       {isEmpty ? (
-        // Empty seat - show "Take Seat" button
-        <button 
-          className="player-seat__take-btn pixel-btn"
-          onClick={() => onTakeSeat(position)}
-          aria-label={`Take seat ${position + 1}`}
-        >
-          Sit
-        </button>
+        // Empty seat - show "Take Seat" button (unless the table is read-only)
+        canSit && (
+          <button 
+            className="player-seat__take-btn pixel-btn"
+            onClick={() => onTakeSeat(position)}
+            aria-label={`Take seat ${position + 1}`}
+          >
+            Sit
+          </button>
+        )
       ) : (
         // Occupied seat - show player info
         <div className="player-seat__content animate-fade-in">
@@ -70,10 +137,23 @@ function PlayerSeat({
           {/* Avatar placeholder */}
           <div className="player-seat__avatar">
             <span className="player-seat__avatar-icon">
-              {player?.isFolded ? '💤' : player?.isAllIn ? '🔥' : '👤'}
+              {player?.isFolded ? '💤' : player?.isAllIn ? '🔥' : player?.isBot ? '🤖' : '👤'}
             </span>
+            {actionClock && <ActionClockRing clock={actionClock} />}
           </div>
           
+          {/* Hole cards - face down, plus stud up cards everyone can see (Omaha and stud hands fan out) */}
+          {player?.hasCards && !player?.isFolded && (!isLocalPlayer || upCards.length > 0) && (
+            <div className={`player-seat__cards ${player.cardCount > 2 ? 'player-seat__cards--fanned' : ''}`}>
+              {!isLocalPlayer && Array.from({ length: (player.cardCount || 2) - upCards.length }).map((_, i) => (
+                <Card key={`down-${i}`} faceDown size="small" />
+              ))}
+              {upCards.map((card, i) => (
+                <Card key={`up-${i}`} rank={card.rank} suit={card.suit} size="small" />
+              ))}
+            </div>
+          )}
+          
           {/* Player info */}
           <div className="player-seat__info">
             <span className="player-seat__username">
@@ -92,13 +172,36 @@ function PlayerSeat({
                 Bet: ${player.currentBet}
               </div>
             )}
+            
+            {/* All-in odds while the board runs out */}
+            {equity && !player?.isFolded && (
+              <div className="player-seat__equity" aria-label={`${equity.win}% to win, ${equity.tie}% to tie`}>
+                {equity.win}% win{equity.tie > 0 && ` • ${equity.tie}% tie`}
+              </div>
+            )}
           </div>
           
           {/* Status badges */}
           {isLocalPlayer && (
             <div className="player-seat__local-badge">YOU</div>
           )}
-          {player?.waitingForNextHand && (
+          {player?.isBot && (
+            onRemoveBot ? (
+              <button
+                className="player-seat__bot-badge player-seat__bot-badge--removable"
+                onClick={() => onRemoveBot(position)}
+                aria-label={`Remove ${player.username}`}
+                title="Remove bot"
+              >
+                BOT ✕
+              </button>
+            ) : (
+              <div className="player-seat__bot-badge">BOT</div>
+            )
+          )}
+          {isAway ? (
+            <div className="player-seat__away-badge">AWAY</div>
+          ) : player?.waitingForNextHand && (
             <div className="player-seat__waiting-badge">WAITING</div>
           )}
           {player?.isFolded && (
@@ -7,33 +7,42 @@ import './PokerTable.css';
 import PlayerSeat from '../PlayerSeat';
 import Card from '../Card';
 
+// Style modifier for each board when the hand is run more than once
+const BOARD_MODIFIERS = ['first', 'second', 'third'];
+
 /**
  * PokerTable - Renders the central table with all player seats
  * @param {Object} props
  * @param {Array} props.seats - Array of 8 seat objects (player or null)
  * @param {number|null} props.localPlayerSeat - Seat index of local player
  * @param {Function} props.onTakeSeat - Callback when a seat is taken
+ * @param {Function|null} props.onRemoveBot - Callback to unseat a bot (host only)
  * @param {string} props.tableName - Name of the table
  * @param {Array} props.communityCards - Cards on the board
- * @param {Array} props.secondBoard - Second board for Run It Twice
+ * @param {Array} props.extraBoards - Boards after the first (Run It Twice or a double-board bomb pot)
  * @param {number} props.pot - Current pot amount
  * @param {string} props.phase - Current game phase
  * @param {number|null} props.currentTurn - Seat index of current actor
  * @param {number} props.dealerSeat - Seat index of dealer
- * @param {boolean} props.runItTwiceAccepted - Whether Run It Twice is active
+ * @param {Object|null} props.actionClock - Shot clock for the player on the turn
+ * @param {Object|null} props.equity - All-in odds { exact, seats: { seatIndex: { win, tie } } }
+ * @param {boolean} props.readOnly - Hide "Sit" buttons (e.g. for hand replays)
  */
 function PokerTable({ 
   seats = Array(8).fill(null),
   localPlayerSeat = null,
   onTakeSeat = () => {},
+  onRemoveBot = null,
   tableName = "Table 1",
   communityCards = [],
-  secondBoard = [],
+  extraBoards = [],
   pot = 0,
   phase = 'waiting',
   currentTurn = null,
   dealerSeat = -1,
-  runItTwiceAccepted = false
+  actionClock = null,
+  equity = null,
+  readOnly = false
 }) {
   return (
     <div className="poker-table-container">
@@ -55,46 +64,28 @@ function PokerTable({
             </div>
           )}
           
-          {/* Run It Twice: Show both boards */}
-          {runItTwiceAccepted && communityCards.length > 0 ? (
+          {/* Run It Twice: Show every board */}
+          {extraBoards.length > 0 && communityCards.length > 0 ? (
             <div className="poker-table__dual-boards">
-              {/* Board 1 */}
-              <div className="poker-table__board poker-table__board--first">
-                <span className="poker-table__board-label">Board 1</span>
-                <div className="poker-table__community-cards">
-                  {communityCards.map((card, i) => (
-                    <Card 
-                      key={i}
-                      rank={card.rank}
-                      suit={card.suit}
-                      size="small"
-                      dealing={true}
-                    />
-                  ))}
-                  {Array.from({ length: 5 - communityCards.length }).map((_, i) => (
-                    <div key={`empty-1-${i}`} className="poker-table__card-slot poker-table__card-slot--small" />
-                  ))}
-                </div>
-              </div>
-              
-              {/* Board 2 */}
-              <div className="poker-table__board poker-table__board--second">
-                <span className="poker-table__board-label">Board 2</span>
-                <div className="poker-table__community-cards">
-                  {secondBoard.map((card, i) => (
-                    <Card 
-                      key={i}
-                      rank={card.rank}
-                      suit={card.suit}
-                      size="small"
-                      dealing={true}
-                    />
-                  ))}
-                  {Array.from({ length: 5 - secondBoard.length }).map((_, i) => (
-                    <div key={`empty-2-${i}`} className="poker-table__card-slot poker-table__card-slot--small" />
-                  ))}
+              {[communityCards, ...extraBoards].map((board, boardIndex) => (
+                <div key={boardIndex} className={`poker-table__board poker-table__board--${BOARD_MODIFIERS[boardIndex]}`}>
+                  <span className="poker-table__board-label">Board {boardIndex + 1}</span>
+                  <div className="poker-table__community-cards">
+                    {board.map((card, i) => (
+                      <Card 
+                        key={i}
+                        rank={card.rank}
+                        suit={card.suit}
+                        size="small"
+                        dealing={true}
+                      />
+                    ))}
+                    {Array.from({ length: 5 - board.length }).map((_, i) => (
+                      <div key={`empty-${boardIndex}-${i}`} className="poker-table__card-slot poker-table__card-slot--small" />
+                    ))}
+                  </div>
                 </div>
-              </div>
+              ))}
             </div>
           ) : communityCards.length > 0 && (
             /* Single board (normal play) */
@@ -139,7 +130,11 @@ function PokerTable({
             isLocalPlayer={index === localPlayerSeat}
             isCurrentTurn={index === currentTurn}
             isDealer={index === dealerSeat}
+            actionClock={actionClock?.seatIndex === index ? actionClock : null}
+            equity={equity?.seats?.[index] || null}
+            canSit={!readOnly}
             onTakeSeat={onTakeSeat}
+            onRemoveBot={readOnly ? null : onRemoveBot}
           />
         ))}
       </div>
@@ -0,0 +1,66 @@
+/**
+ * TournamentResults Component
+ * Final standings and payouts when a Sit & Go ends
+ */
+
+import './TournamentResults.css';
+
+const MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+/**
+ * TournamentResults - Placement and payout table
+ * @param {Object} props
+ * @param {Object} props.results - { prizePool, entrants, placements: [{ place, username, payout }] }
+ * @param {Function} props.onNewTournament - Open registration for another Sit & Go (host only)
+ * @param {Function} props.onClose - Close the results
+ */
+function TournamentResults({ results, onNewTournament = null, onClose = () => {} }) {
+  const placements = results?.placements || [];
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="tournament-results" onClick={e => e.stopPropagation()}>
+        <div className="tournament-results__header">
+          <h3 className="pixel-text">🏆 Tournament Over</h3>
+          <button className="tournament-results__close" onClick={onClose} aria-label="Close results">×</button>
+        </div>
+
+        <p className="tournament-results__summary">
+          {results?.entrants || placements.length} players
+          {results?.prizePool > 0 && ` · $${results.prizePool} prize pool`}
+        </p>
+
+        <table className="tournament-results__table">
+          <thead>
+            <tr>
+              <th>Place</th>
+              <th>Player</th>
+              <th>Payout</th>
+            </tr>
+          </thead>
+          <tbody>
+            {placements.map(entry => (
+              <tr
+                key={`${entry.place}-${entry.playerId}`}
+                className={entry.place === 1 ? 'tournament-results__row--winner' : ''}
+              >
+                <td>{MEDALS[entry.place] || entry.place}</td>
+                <td>{entry.username}</td>
+                <td>{entry.payout > 0 ? `$${entry.payout}` : '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="tournament-results__actions">
+          {onNewTournament && (
+            <button type="button" className="pixel-btn" onClick={onNewTournament}>New Sit &amp; Go</button>
+          )}
+          <button type="button" className="pixel-btn pixel-btn--secondary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TournamentResults;
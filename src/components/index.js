@@ -6,3 +6,6 @@ export { default as PlayerSeat } from './PlayerSeat';
 export { default as PokerTable } from './PokerTable';
 export { default as Card } from './Card';
 export { default as BettingControls } from './BettingControls';
+export { default as HandReplay } from './HandReplay';
+export { default as TournamentResults } from './TournamentResults';
+export { default as ChipLedger } from './ChipLedger';
@@ -10,7 +10,12 @@ import Header from '../../components/Header';
 import PokerTable from '../../components/PokerTable';
 import Card from '../../components/Card';
 import BettingControls from '../../components/BettingControls';
+import HandReplay from '../../components/HandReplay';
+import TournamentResults from '../../components/TournamentResults';
+import ChipLedger from '../../components/ChipLedger';
 import socketService from '../../services/socket';
+import { getHandHistory, downloadHandHistory, getChipLedger } from '../../services/api';
+import { verifyDeal } from '../../services/fairness';
 import soundService from '../../services/sounds';
 
 // Game phases
@@ -23,6 +28,68 @@ const PHASES = {
   SHOWDOWN: 'showdown'
 };
 
+// Variants dealt stud-style (bring-in instead of blinds)
+const STUD_VARIANTS = ['stud', 'stud8'];
+
+// Stud streets dealt after the opening hand
+const STUD_STREET_NAMES = {
+  'fourth-street': '4th Street',
+  'fifth-street': '5th Street',
+  'sixth-street': '6th Street',
+  'seventh-street': '7th Street'
+};
+
+// Run It Twice - times the board is run, and each board's style modifier
+const RUN_COUNT_LABELS = ['', 'Once', 'Twice', 'Three Times'];
+const BOARD_MODIFIERS = ['first', 'second', 'third'];
+
+/**
+ * Showdown winners to list - hi/lo pots list the high and low halves separately
+ */
+const listWinners = (result) => result?.lowWinners?.length > 0
+  ? [
+    ...result.highWinners.map(w => ({ ...w, half: 'High' })),
+    ...result.lowWinners.map(w => ({ ...w, half: 'Low' }))
+  ]
+  : result?.winners || [];
+
+/**
+ * Convert the server's action clock deadline into local time,
+ * so clock skew between server and browser doesn't distort the ring
+ */
+const withLocalClock = (state) => {
+  if (!state?.actionClock) return state;
+  const remaining = state.actionClock.endsAt - (state.serverTime || Date.now());
+  return {
+    ...state,
+    actionClock: { ...state.actionClock, localEndsAt: Date.now() + remaining }
+  };
+};
+
+/**
+ * Blind schedule as editable text, one "SB/BB/ante" level per line
+ */
+const formatBlindSchedule = (schedule) =>
+  schedule.map(level => `${level.smallBlind}/${level.bigBlind}/${level.ante}`).join('\n');
+
+const parseBlindSchedule = (text) =>
+  text.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [smallBlind, bigBlind, ante = 0] = line.split(/[\s/,]+/).map(Number);
+      return { smallBlind, bigBlind, ante };
+    });
+
+/**
+ * Ordinal finishing place (1st, 2nd, 3rd, 4th...)
+ */
+const formatPlace = (place) => {
+  const suffix = place % 100 >= 11 && place % 100 <= 13 ? 'th'
+    : ({ 1: 'st', 2: 'nd', 3: 'rd' })[place % 10] || 'th';
+  return `${place}${suffix}`;
+};
+
 function GamePage() {
   const { roomId } = useParams();
   const navigate = useNavigate();
@@ -46,7 +113,12 @@ function GamePage() {
   const [isHost, setIsHost] = useState(false);
   const [validActions, setValidActions] = useState([]);
   const [toCall, setToCall] = useState(0);
+  const [maxRaise, setMaxRaise] = useState(null);
+  const [limitRaise, setLimitRaise] = useState(null);
   const [myHandDescription, setMyHandDescription] = useState('');
+  const [myLowHandDescription, setMyLowHandDescription] = useState(null);
+  const [canChooseGame, setCanChooseGame] = useState(false);
+  const [myStraddle, setMyStraddle] = useState(null);
   
   // UI state
   const [username, setUsername] = useState('');
@@ -57,6 +129,7 @@ function GamePage() {
   const [showBuyInModal, setShowBuyInModal] = useState(false);
   const [selectedSeat, setSelectedSeat] = useState(null);
   const [buyInAmount, setBuyInAmount] = useState(1000);
+  const [botStrategy, setBotStrategy] = useState('tight-aggressive');
   const [pendingRequest, setPendingRequest] = useState(null);
   const [soundEnabled, setSoundEnabled] = useState(true);
   
@@ -78,13 +151,57 @@ function GamePage() {
   
   // Settings state
   const [showSettingsModal, setShowSettingsModal] = useState(false);
+  const [settingsVariant, setSettingsVariant] = useState('holdem');
+  const [settingsFixedLimit, setSettingsFixedLimit] = useState(false);
+  const [settingsRaiseCap, setSettingsRaiseCap] = useState(4);
+  const [settingsRotationMode, setSettingsRotationMode] = useState('off');
+  const [settingsRotationPreset, setSettingsRotationPreset] = useState('hose');
+  const [settingsHandsPerGame, setSettingsHandsPerGame] = useState(8);
   const [settingsSmallBlind, setSettingsSmallBlind] = useState(10);
   const [settingsBigBlind, setSettingsBigBlind] = useState(20);
+  const [settingsAnte, setSettingsAnte] = useState(0);
+  const [settingsBigBlindAnte, setSettingsBigBlindAnte] = useState(0);
+  const [settingsStudAnte, setSettingsStudAnte] = useState(5);
   const [settingsRunItTwice, setSettingsRunItTwice] = useState(true);
+  const [settingsStraddle, setSettingsStraddle] = useState(false);
+  const [settingsSevenDeuceBounty, setSettingsSevenDeuceBounty] = useState(0);
+  const [settingsBombPotAnte, setSettingsBombPotAnte] = useState(40);
+  const [settingsBombPotEvery, setSettingsBombPotEvery] = useState(0);
+  const [settingsBombPotDoubleBoard, setSettingsBombPotDoubleBoard] = useState(false);
+  const [settingsActionTimeout, setSettingsActionTimeout] = useState(30);
+  const [settingsTimeBank, setSettingsTimeBank] = useState(60);
+  const [settingsTimeBankRefill, setSettingsTimeBankRefill] = useState(10);
+  const [settingsGracePeriod, setSettingsGracePeriod] = useState(60);
+  const [settingsHandEndDelay, setSettingsHandEndDelay] = useState(4);
+  const [settingsShowdownDelay, setSettingsShowdownDelay] = useState(6);
+  const [settingsRunoutDelay, setSettingsRunoutDelay] = useState(1.5);
+  const [settingsGameMode, setSettingsGameMode] = useState('cash');
+  const [settingsStartingStack, setSettingsStartingStack] = useState(1500);
+  const [settingsTournamentBuyIn, setSettingsTournamentBuyIn] = useState(0);
+  const [settingsLevelType, setSettingsLevelType] = useState('hands');
+  const [settingsLevelLength, setSettingsLevelLength] = useState(10);
+  const [settingsBlindSchedule, setSettingsBlindSchedule] = useState('');
+  const [settingsPayouts, setSettingsPayouts] = useState('50, 30, 20');
+  const [tournamentDirty, setTournamentDirty] = useState(false);
+  
+  // Tournament results (shown when a Sit & Go ends)
+  const [tournamentResults, setTournamentResults] = useState(null);
+  
+  // Chip ledger (host only)
+  const [showChipLedger, setShowChipLedger] = useState(false);
+  const [chipLedger, setChipLedger] = useState(null);
+  const [chipLedgerLoading, setChipLedgerLoading] = useState(false);
+  
+  // Hand history state
+  const [showHandHistory, setShowHandHistory] = useState(false);
+  const [handHistory, setHandHistory] = useState([]);
+  const [handHistoryLoading, setHandHistoryLoading] = useState(false);
   
   // Refs for tracking state changes (for sounds)
   const prevCardsRef = useRef([]);
   const prevTurnRef = useRef(null);
+  const myPlayerIdRef = useRef(null); // Stable ID the server knows us by
+  const shuffleCommitmentsRef = useRef({}); // handNumber -> shuffle hash we saw before it was dealt
   
   // Auto-clear errors after 5 seconds
   useEffect(() => {
@@ -154,13 +271,17 @@ function GamePage() {
       console.log('Room state received:', state);
       // Track turn changes for sound
       prevTurnRef.current = state.currentTurn;
-      setRoomState(state);
+      setRoomState(withLocalClock(state));
+
+      // Remember the first hash we were shown for the next hand - the server can't swap it later
+      if (state.nextShuffleCommitment) {
+        shuffleCommitmentsRef.current[state.handNumber + 1] ??= state.nextShuffleCommitment;
+      }
       
       // Update Run It Twice state from room state
       setRunItTwiceOffered(state.runItTwiceOffered || false);
       if (state.runItTwiceEligiblePlayers && mySeatIndex !== null) {
-        const mySocketId = socketService.getSocket()?.id;
-        setRunItTwiceEligible(state.runItTwiceEligiblePlayers.includes(mySocketId));
+        setRunItTwiceEligible(state.runItTwiceEligiblePlayers.includes(myPlayerIdRef.current));
       }
     };
 
@@ -183,13 +304,19 @@ function GamePage() {
         setTimeout(() => soundService.yourTurn(), 300);
       }
       
+      myPlayerIdRef.current = state.myPlayerId;
       setMyCards(newCards);
       setMySeatIndex(state.mySeatIndex);
       setIsHost(state.isHost);
       setValidActions(state.validActions || []);
       setToCall(state.toCall || 0);
+      setMaxRaise(state.maxRaise ?? null);
+      setLimitRaise(state.limitRaise ?? null);
       setPendingRequest(state.myPendingRequest || null);
       setMyHandDescription(state.myHandDescription || '');
+      setMyLowHandDescription(state.myLowHandDescription || null);
+      setCanChooseGame(state.canChooseGame || false);
+      setMyStraddle(state.myStraddle || null);
       setShowdownOptions(state.showdownOptions || null);
       setShowdownData(state.showdownData || null);
       
@@ -218,7 +345,7 @@ function GamePage() {
       if (event.type === 'flop') {
         soundService.flopDealt();
       }
-      if (event.type === 'turn' || event.type === 'river') {
+      if (event.type === 'turn' || event.type === 'river' || STUD_STREET_NAMES[event.type]) {
         soundService.communityCard();
       }
       if (event.type === 'player-action') {
@@ -246,6 +373,30 @@ function GamePage() {
           message: `👀 ${event.username} showed ${event.handDescription}` 
         }]);
       }
+      if (event.type === 'new-hand' && event.bombPot) {
+        setGameEvents(prev => [...prev.slice(-4), {
+          type: 'info',
+          message: `💣 Bomb pot! Everyone antes $${event.bombPot.ante}${event.bombPot.doubleBoard ? ' - two boards' : ''}`
+        }]);
+      }
+      if (event.type === 'bot-added') {
+        setGameEvents(prev => [...prev.slice(-4), { type: 'info', message: `🤖 ${event.username} (${event.strategy}) sat down` }]);
+      }
+      if (event.type === 'bot-removed') {
+        setGameEvents(prev => [...prev.slice(-4), { type: 'info', message: `🤖 ${event.username} left the table` }]);
+      }
+      if (event.type === 'bomb-pot-called') {
+        setGameEvents(prev => [...prev.slice(-4), { type: 'info', message: '💣 Bomb pot next hand!' }]);
+      }
+      if (event.type === 'seven-deuce-bounty') {
+        soundService.sevenDeuce();
+      }
+      if (event.type === 'time-bank-started') {
+        setGameEvents(prev => [...prev.slice(-4), { 
+          type: 'info', 
+          message: `⏳ ${event.username} is using their time bank (${event.timeBank}s)` 
+        }]);
+      }
       if (event.type === 'player-mucked') {
         setGameEvents(prev => [...prev.slice(-4), { 
           type: 'info', 
@@ -253,6 +404,23 @@ function GamePage() {
         }]);
       }
       
+      // Handle disconnects and reconnects
+      if (event.type === 'player-away') {
+        setGameEvents(prev => [...prev.slice(-4), { 
+          type: 'info', 
+          message: `📡 ${event.username} disconnected - holding their seat for ${event.gracePeriod}s` 
+        }]);
+      }
+      if (event.type === 'player-reconnected') {
+        setGameEvents(prev => [...prev.slice(-4), { 
+          type: 'info', 
+          message: `📡 ${event.username} reconnected` 
+        }]);
+      }
+      if (event.type === 'session-replaced') {
+        setError('This game was opened in another tab');
+      }
+      
       // Handle seat approval/denial notifications
       if (event.type === 'your-seat-approved') {
         setPendingRequest(null);
@@ -270,17 +438,43 @@ function GamePage() {
         event.bustedPlayers.forEach(p => {
           setGameEvents(prev => [...prev.slice(-4), { 
             type: 'info', 
-            message: `💸 ${p.username} busted out!` 
+            message: p.place
+              ? `💸 ${p.username} busted out in ${formatPlace(p.place)} place!`
+              : `💸 ${p.username} busted out!` 
           }]);
         });
       }
       
+      if ((event.type === 'new-hand' || event.type === 'game-started') && event.straddleSeat >= 0) {
+        setGameEvents(prev => [...prev.slice(-4), { type: 'info', message: `🎯 Seat ${event.straddleSeat + 1} straddles` }]);
+      }
+
+      // Handle mixed game events
+      if (event.type === 'new-hand' && event.gameChange) {
+        setGameEvents(prev => [...prev.slice(-4), { type: 'info', message: `🔀 Now playing ${event.gameChange.name}` }]);
+      }
+      if (event.type === 'game-chosen') {
+        setGameEvents(prev => [...prev.slice(-4), { type: 'info', message: `🔀 ${event.username} picked ${event.name} - dealt from the next hand` }]);
+      }
+
+      // Handle tournament events
+      if (event.type === 'new-hand' && event.levelUp) {
+        const { level, smallBlind, bigBlind, ante } = event.levelUp;
+        setGameEvents(prev => [...prev.slice(-4), { 
+          type: 'info', 
+          message: `⏫ Level ${level}: blinds ${smallBlind}/${bigBlind}${ante > 0 ? ` ante ${ante}` : ''}` 
+        }]);
+      }
+      if (event.type === 'tournament-finished') {
+        soundService.win();
+        setTournamentResults(event);
+      }
+      
       // Handle Run It Twice events
       if (event.type === 'run-it-twice-offered') {
         setRunItTwiceOffered(true);
         setRunItTwiceVoted(false);
-        const mySocketId = socketService.getSocket()?.id;
-        setRunItTwiceEligible(event.eligiblePlayers?.includes(mySocketId) || false);
+        setRunItTwiceEligible(event.eligiblePlayers?.includes(myPlayerIdRef.current) || false);
         soundService.yourTurn();
         setGameEvents(prev => [...prev.slice(-4), { 
           type: 'info', 
@@ -291,11 +485,20 @@ function GamePage() {
         setRunItTwiceOffered(false);
         setRunItTwiceVoted(false);
         setRunItTwiceEligible(false);
+        // The deck can run short of cards for every board the players agreed to
+        const deckLimit = event.runCount < event.agreedRunCount
+          ? ` Only enough cards left for ${event.runCount === 1 ? 'one board' : `${event.runCount} boards`}.`
+          : '';
         if (event.accepted) {
           soundService.click();
           setGameEvents(prev => [...prev.slice(-4), { 
             type: 'info', 
-            message: '🎲 Running It Twice! Two boards will be dealt.' 
+            message: `🎲 Running It ${RUN_COUNT_LABELS[event.runCount]}! ${event.runCount} boards will be dealt.${deckLimit}` 
+          }]);
+        } else if (deckLimit) {
+          setGameEvents(prev => [...prev.slice(-4), { 
+            type: 'info',
+            message: `🎲 Running it once.${deckLimit}` 
           }]);
         } else {
           setGameEvents(prev => [...prev.slice(-4), { 
@@ -305,10 +508,9 @@ function GamePage() {
         }
       }
       if (event.type === 'run-it-twice-vote') {
-        const voteText = event.accept ? 'accepted' : 'declined';
         setGameEvents(prev => [...prev.slice(-4), { 
           type: 'info', 
-          message: `🎲 ${event.username} ${voteText} Run It Twice` 
+          message: `🎲 ${event.username} wants to run it ${RUN_COUNT_LABELS[event.runs].toLowerCase()}` 
         }]);
       }
       
@@ -372,7 +574,8 @@ function GamePage() {
 
     try {
       const result = await socketService.joinRoom(roomId, trimmedUsername);
-      setRoomState(result.state);
+      myPlayerIdRef.current = result.state.myPlayerId;
+      setRoomState(withLocalClock(result.state));
       setMyCards(result.state.myCards || []);
       setMySeatIndex(result.state.mySeatIndex);
       setIsHost(result.state.isHost);
@@ -402,8 +605,12 @@ function GamePage() {
     e.preventDefault();
     if (selectedSeat === null) return;
     
+    // Tournaments register everyone with the same starting stack
+    const tournament = roomState?.tournament;
+    const amount = tournament ? tournament.settings.startingStack : buyInAmount;
+    
     // Validate buy-in amount
-    if (buyInAmount < 200 || buyInAmount > 100000) {
+    if (!tournament && (amount < 200 || amount > 100000)) {
       setError('Buy-in must be between $200 and $100,000');
       return;
     }
@@ -411,10 +618,10 @@ function GamePage() {
     setIsLoading(prev => ({ ...prev, seat: true }));
     
     try {
-      const result = await socketService.takeSeat(selectedSeat, buyInAmount);
+      const result = await socketService.takeSeat(selectedSeat, amount);
       setShowBuyInModal(false);
       if (result.pending) {
-        setPendingRequest({ seatIndex: selectedSeat, buyIn: buyInAmount });
+        setPendingRequest({ seatIndex: selectedSeat, buyIn: amount });
         setGameEvents(prev => [...prev.slice(-4), { type: 'info', message: '⏳ Waiting for host approval...' }]);
       }
     } catch (err) {
@@ -470,6 +677,18 @@ function GamePage() {
     }
   };
 
+  /**
+   * Cycle my straddle opt-in: off -> UTG -> button -> off
+   */
+  const handleToggleStraddle = async () => {
+    const next = myStraddle === null ? 'utg' : myStraddle === 'utg' ? 'button' : null;
+    try {
+      await socketService.setStraddle(next);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   /**
    * Start the game
    */
@@ -517,15 +736,82 @@ function GamePage() {
     }
   };
 
+  /**
+   * Seat a bot in the selected seat with the buy-in from the modal
+   */
+  const handleAddBot = async () => {
+    if (selectedSeat === null) return;
+    const tournament = roomState?.tournament;
+    const amount = tournament ? tournament.settings.startingStack : buyInAmount;
+    try {
+      await socketService.addBot(selectedSeat, botStrategy, amount);
+      setShowBuyInModal(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Take a bot out of its seat
+   */
+  const handleRemoveBot = async (seatIndex) => {
+    try {
+      await socketService.removeBot(seatIndex);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Call a bomb pot for the next hand
+   */
+  const handleCallBombPot = async () => {
+    try {
+      await socketService.callBombPot();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   /**
    * Open settings modal
    */
   const handleOpenSettings = () => {
     if (!isHost) return;
     // Initialize with current values
+    setSettingsVariant(roomState?.variant || 'holdem');
+    setSettingsFixedLimit(!!roomState?.fixedLimit);
+    setSettingsRaiseCap(roomState?.raiseCap ?? 4);
+    setSettingsRotationMode(roomState?.rotationSettings?.mode || 'off');
+    setSettingsRotationPreset(roomState?.rotationSettings?.preset || 'hose');
+    setSettingsHandsPerGame(roomState?.rotationSettings?.handsPerGame ?? 8);
     setSettingsSmallBlind(roomState?.smallBlind || 10);
     setSettingsBigBlind(roomState?.bigBlind || 20);
+    setSettingsAnte(roomState?.ante || 0);
+    setSettingsBigBlindAnte(roomState?.bigBlindAnte || 0);
+    setSettingsStudAnte(roomState?.studAnte ?? 5);
     setSettingsRunItTwice(roomState?.runItTwiceEnabled !== false);
+    setSettingsStraddle(!!roomState?.straddleEnabled);
+    setSettingsSevenDeuceBounty(roomState?.sevenDeuceBounty ?? 0);
+    setSettingsBombPotAnte(roomState?.bombPotAnte ?? 40);
+    setSettingsBombPotEvery(roomState?.bombPotEvery ?? 0);
+    setSettingsBombPotDoubleBoard(!!roomState?.bombPotDoubleBoard);
+    setSettingsActionTimeout(roomState?.actionTimeout ?? 30);
+    setSettingsTimeBank(roomState?.timeBankSize ?? 60);
+    setSettingsTimeBankRefill(roomState?.timeBankRefillHands ?? 10);
+    setSettingsGracePeriod(roomState?.disconnectGracePeriod ?? 60);
+    setSettingsHandEndDelay(roomState?.timingSettings?.handEndDelay ?? 4);
+    setSettingsShowdownDelay(roomState?.timingSettings?.showdownDelay ?? 6);
+    setSettingsRunoutDelay(roomState?.timingSettings?.runoutDelay ?? 1.5);
+    const tournamentSettings = roomState?.tournamentSettings;
+    setSettingsGameMode(roomState?.gameMode || 'cash');
+    setSettingsStartingStack(tournamentSettings?.startingStack ?? 1500);
+    setSettingsTournamentBuyIn(tournamentSettings?.buyIn ?? 0);
+    setSettingsLevelType(tournamentSettings?.levelType || 'hands');
+    setSettingsLevelLength(tournamentSettings?.levelLength ?? 10);
+    setSettingsBlindSchedule(formatBlindSchedule(tournamentSettings?.blindSchedule || []));
+    setSettingsPayouts((tournamentSettings?.payouts || [50, 30, 20]).join(', '));
+    setTournamentDirty(false);
     setShowSettingsModal(true);
   };
 
@@ -537,7 +823,53 @@ function GamePage() {
       await socketService.updateSettings({
         smallBlind: settingsSmallBlind,
         bigBlind: settingsBigBlind,
-        runItTwiceEnabled: settingsRunItTwice
+        // A tournament's blind schedule sets the antes
+        ...(settingsGameMode !== 'tournament' && {
+          ante: settingsAnte,
+          bigBlindAnte: settingsBigBlindAnte,
+          studAnte: settingsStudAnte
+        }),
+        runItTwiceEnabled: settingsRunItTwice,
+        straddleEnabled: settingsStraddle,
+        sevenDeuceBounty: settingsSevenDeuceBounty,
+        bombPotAnte: settingsBombPotAnte,
+        bombPotEvery: settingsBombPotEvery,
+        bombPotDoubleBoard: settingsBombPotDoubleBoard,
+        // The game can only change between hands, so only send it when switched
+        ...(settingsVariant !== roomState?.variant && { variant: settingsVariant }),
+        ...(settingsFixedLimit !== !!roomState?.fixedLimit && { fixedLimit: settingsFixedLimit }),
+        ...(settingsRaiseCap !== roomState?.raiseCap && { raiseCap: settingsRaiseCap }),
+        // Saving a rotation restarts it, so leave it alone unless it was edited
+        ...((settingsRotationMode !== roomState?.rotationSettings?.mode ||
+          settingsRotationPreset !== roomState?.rotationSettings?.preset ||
+          settingsHandsPerGame !== roomState?.rotationSettings?.handsPerGame) && {
+          rotation: {
+            mode: settingsRotationMode,
+            preset: settingsRotationPreset,
+            handsPerGame: settingsHandsPerGame
+          }
+        }),
+        actionTimeout: settingsActionTimeout,
+        timeBankSize: settingsTimeBank,
+        timeBankRefillHands: settingsTimeBankRefill,
+        disconnectGracePeriod: settingsGracePeriod,
+        timing: {
+          handEndDelay: settingsHandEndDelay,
+          showdownDelay: settingsShowdownDelay,
+          runoutDelay: settingsRunoutDelay
+        },
+        // Tournament setup can only change between games, so only send it when edited
+        ...(tournamentDirty && {
+          gameMode: settingsGameMode,
+          tournament: {
+            startingStack: settingsStartingStack,
+            buyIn: settingsTournamentBuyIn,
+            levelType: settingsLevelType,
+            levelLength: settingsLevelLength,
+            blindSchedule: parseBlindSchedule(settingsBlindSchedule),
+            payouts: settingsPayouts.split(/[\s,/]+/).filter(Boolean).map(Number)
+          }
+        })
       });
       setShowSettingsModal(false);
     } catch (err) {
@@ -545,6 +877,89 @@ function GamePage() {
     }
   };
 
+  /**
+   * Open registration for another Sit & Go with the same settings
+   */
+  const handleNewTournament = async () => {
+    try {
+      await socketService.updateSettings({ gameMode: 'tournament', tournament: {} });
+      setTournamentResults(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Open the hand history viewer and load recorded hands
+   */
+  const handleOpenHandHistory = async () => {
+    setShowHandHistory(true);
+    setHandHistoryLoading(true);
+    try {
+      const hands = await getHandHistory(roomId, socketService.getSessionId());
+      setHandHistory(hands);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setHandHistoryLoading(false);
+    }
+  };
+
+  /**
+   * 🧾 Load the chip ledger (host only) - opens the viewer if it isn't already
+   */
+  const handleOpenChipLedger = async () => {
+    setShowChipLedger(true);
+    setChipLedgerLoading(true);
+    try {
+      setChipLedger(await getChipLedger(roomId, socketService.getSessionId()));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setChipLedgerLoading(false);
+    }
+  };
+
+  /**
+   * Save the hand history as a PokerStars-format text file for trackers
+   */
+  const handleExportHandHistory = async () => {
+    try {
+      const text = await downloadHandHistory(roomId, socketService.getSessionId());
+      const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `sevendeuce-${roomId}-hands.txt`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Check the last hand's cards against the shuffle the server committed to before dealing it
+   */
+  const handleVerifyDeal = async () => {
+    const { handNumber } = roomState.revealedShuffle;
+    try {
+      const hands = await getHandHistory(roomId, socketService.getSessionId());
+      const hand = hands.find(h => h.handNumber === handNumber);
+      if (!hand) {
+        setError(`Hand #${handNumber} isn't in the history`);
+        return;
+      }
+      const published = shuffleCommitmentsRef.current[handNumber] || null;
+      const { verified, checked, problems } = await verifyDeal(hand, published);
+      const message = verified
+        ? `🔒 Hand #${handNumber} verified - ${checked} cards match the shuffle${published ? '' : ' (joined after it was committed)'}`
+        : `⚠️ Hand #${handNumber} failed verification: ${problems[0]}${problems.length > 1 ? ` (+${problems.length - 1} more)` : ''}`;
+      setGameEvents(prev => [...prev.slice(-4), { type: 'info', message }]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   /**
    * Handle betting action
    */
@@ -561,18 +976,29 @@ function GamePage() {
   };
 
   /**
-   * Handle Run It Twice vote
+   * Handle Run It Twice vote - how many times to run it (1-3)
    */
-  const handleRunItTwiceVote = async (accept) => {
+  const handleRunItTwiceVote = async (runs) => {
     try {
       setRunItTwiceVoted(true);
-      await socketService.runItTwiceVote(accept);
+      await socketService.runItTwiceVote(runs);
     } catch (err) {
       setError(err.message);
       setRunItTwiceVoted(false);
     }
   };
 
+  /**
+   * Dealer's choice - pick the game for this orbit
+   */
+  const handleChooseGame = async (gameIndex) => {
+    try {
+      await socketService.chooseGame(gameIndex);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   /**
    * Leave the game
    */
@@ -624,6 +1050,12 @@ function GamePage() {
     ? roomState.seats[mySeatIndex].bankroll 
     : 0;
 
+  /**
+   * Ante everyone posts this hand - stud has its own, except in a tournament
+   */
+  const isStud = STUD_VARIANTS.includes(roomState?.variant);
+  const tableAnte = isStud && !roomState?.tournament ? roomState?.studAnte : roomState?.ante;
+
   /**
    * Get game control buttons based on state
    */
@@ -669,6 +1101,15 @@ function GamePage() {
         <button className="pixel-btn game-controls__btn game-controls__btn--pause" onClick={handlePauseGame}>
           ⏸ Pause
         </button>
+        {isHost && (
+          <button
+            className="pixel-btn game-controls__btn"
+            onClick={handleCallBombPot}
+            disabled={roomState.bombPotQueued}
+          >
+            💣 {roomState.bombPotQueued ? 'Bomb Pot Next Hand' : 'Bomb Pot'}
+          </button>
+        )}
       </>
     );
   };
@@ -740,29 +1181,54 @@ function GamePage() {
       {showBuyInModal && (
         <div className="modal-overlay" onClick={() => setShowBuyInModal(false)}>
           <div className="buy-in-modal" onClick={e => e.stopPropagation()}>
-            <h3 className="pixel-text">Buy In</h3>
+            <h3 className="pixel-text">{roomState?.tournament ? 'Register' : 'Buy In'}</h3>
             <p>Seat #{selectedSeat + 1}</p>
             <form onSubmit={handleSubmitBuyIn}>
-              <div className="buy-in-modal__input-group">
-                <label>Amount:</label>
-                <input
-                  type="number"
-                  className="home-input"
-                  value={buyInAmount}
-                  onChange={(e) => setBuyInAmount(Math.max(200, parseInt(e.target.value) || 200))}
-                  min={200}
-                  step={100}
-                />
-              </div>
-              <div className="buy-in-modal__presets">
-                <button type="button" className="pixel-btn pixel-btn--small" onClick={() => setBuyInAmount(500)}>$500</button>
-                <button type="button" className="pixel-btn pixel-btn--small" onClick={() => setBuyInAmount(1000)}>$1000</button>
-                <button type="button" className="pixel-btn pixel-btn--small" onClick={() => setBuyInAmount(2000)}>$2000</button>
-              </div>
+              {roomState?.tournament ? (
+                <p className="buy-in-modal__tournament">
+                  🏆 Sit &amp; Go - everyone starts with ${roomState.tournament.settings.startingStack} in chips
+                  {roomState.tournament.settings.buyIn > 0 && ` ($${roomState.tournament.settings.buyIn} to the prize pool)`}
+                </p>
+              ) : (
+                <>
+                  <div className="buy-in-modal__input-group">
+                    <label>Amount:</label>
+                    <input
+                      type="number"
+                      className="home-input"
+                      value={buyInAmount}
+                      onChange={(e) => setBuyInAmount(Math.max(200, parseInt(e.target.value) || 200))}
+                      min={200}
+                      step={100}
+                    />
+                  </div>
+                  <div className="buy-in-modal__presets">
+                    <button type="button" className="pixel-btn pixel-btn--small" onClick={() => setBuyInAmount(500)}>$500</button>
+                    <button type="button" className="pixel-btn pixel-btn--small" onClick={() => setBuyInAmount(1000)}>$1000</button>
+                    <button type="button" className="pixel-btn pixel-btn--small" onClick={() => setBuyInAmount(2000)}>$2000</button>
+                  </div>
+                </>
+              )}
               <div className="buy-in-modal__actions">
                 <button type="button" className="pixel-btn pixel-btn--secondary" onClick={() => setShowBuyInModal(false)}>Cancel</button>
                 <button type="submit" className="pixel-btn">{isHost ? 'Take Seat' : 'Request Seat'}</button>
               </div>
+              {isHost && (
+                <div className="buy-in-modal__bot">
+                  <select
+                    className="home-input"
+                    value={botStrategy}
+                    onChange={(e) => setBotStrategy(e.target.value)}
+                  >
+                    {(roomState?.botStrategies || []).map(strategy => (
+                      <option key={strategy.id} value={strategy.id}>{strategy.name}</option>
+                    ))}
+                  </select>
+                  <button type="button" className="pixel-btn pixel-btn--secondary" onClick={handleAddBot}>
+                    🤖 Seat a Bot
+                  </button>
+                </div>
+              )}
             </form>
           </div>
         </div>
@@ -774,10 +1240,117 @@ function GamePage() {
           <div className="settings-modal" onClick={e => e.stopPropagation()}>
             <h3 className="pixel-text">⚙️ Game Settings</h3>
             
+            <div className="settings-modal__section">
+              <h4>Game</h4>
+              <div className="settings-modal__row">
+                <label>Variant:</label>
+                <select
+                  className="home-input"
+                  value={settingsVariant}
+                  onChange={(e) => setSettingsVariant(e.target.value)}
+                >
+                  <option value="holdem">No-Limit Hold&apos;em</option>
+                  <option value="shortdeck">Short Deck Hold&apos;em</option>
+                  <option value="omaha">Pot-Limit Omaha</option>
+                  <option value="omaha8">Pot-Limit Omaha Hi/Lo</option>
+                  <option value="stud">Seven Card Stud</option>
+                  <option value="stud8">Seven Card Stud Hi/Lo</option>
+                </select>
+              </div>
+              {settingsVariant === 'shortdeck' && (
+                <p className="settings-modal__hint">36-card deck with the 2s through 5s removed. A flush beats a full house, and A-6-7-8-9 is the lowest straight.</p>
+              )}
+              {(settingsVariant === 'omaha' || settingsVariant === 'omaha8') && (
+                <p className="settings-modal__hint">4 hole cards - every hand uses exactly 2 of them with 3 from the board. Bets are capped at the size of the pot.</p>
+              )}
+              {STUD_VARIANTS.includes(settingsVariant) && (
+                <p className="settings-modal__hint">7 cards each, 4 of them face up. The lowest up card brings in, and the best showing hand acts first on later streets. Set an ante to seed the pot.</p>
+              )}
+              {(settingsVariant === 'omaha8' || settingsVariant === 'stud8') && (
+                <p className="settings-modal__hint">Hi/Lo: half of every pot goes to the best low - five unpaired cards 8 or lower, aces low. With no qualifying low the high hand scoops.</p>
+              )}
+              <div className="settings-modal__row settings-modal__row--toggle">
+                <label>Fixed Limit:</label>
+                <button 
+                  className={`pixel-btn pixel-btn--small ${settingsFixedLimit ? 'pixel-btn--active' : 'pixel-btn--inactive'}`}
+                  onClick={() => setSettingsFixedLimit(!settingsFixedLimit)}
+                >
+                  {settingsFixedLimit ? 'ON' : 'OFF'}
+                </button>
+              </div>
+              {settingsFixedLimit && (
+                <>
+                  <div className="settings-modal__row">
+                    <label>Raise Cap:</label>
+                    <input
+                      type="number"
+                      className="home-input"
+                      value={settingsRaiseCap}
+                      onChange={(e) => setSettingsRaiseCap(Math.min(10, Math.max(1, parseInt(e.target.value) || 1)))}
+                      min={1}
+                      max={10}
+                    />
+                  </div>
+                  <p className="settings-modal__hint">Bets are one small bet (the big blind) early and a big bet (twice that) from the {STUD_VARIANTS.includes(settingsVariant) ? '5th street' : 'turn'} on, with at most this many bets and raises per round.</p>
+                </>
+              )}
+            </div>
+            
+            <div className="settings-modal__section">
+              <h4>Mixed Games</h4>
+              <div className="settings-modal__row">
+                <label>Rotation:</label>
+                <select
+                  className="home-input"
+                  value={settingsRotationMode}
+                  onChange={(e) => setSettingsRotationMode(e.target.value)}
+                >
+                  <option value="off">Off</option>
+                  <option value="fixed">Fixed Rotation</option>
+                  <option value="dealers-choice">Dealer&apos;s Choice</option>
+                </select>
+              </div>
+              {settingsRotationMode !== 'off' && (
+                <>
+                  <div className="settings-modal__row">
+                    <label>Games:</label>
+                    <select
+                      className="home-input"
+                      value={settingsRotationPreset}
+                      onChange={(e) => setSettingsRotationPreset(e.target.value)}
+                    >
+                      <option value="hose">HOSE (Limit)</option>
+                      <option value="big-bet">Big Bet Mix</option>
+                      <option value="everything">Everything</option>
+                    </select>
+                  </div>
+                  {settingsRotationMode === 'fixed' && (
+                    <div className="settings-modal__row">
+                      <label>Hands Per Game:</label>
+                      <input
+                        type="number"
+                        className="home-input"
+                        value={settingsHandsPerGame}
+                        onChange={(e) => setSettingsHandsPerGame(Math.min(100, Math.max(1, parseInt(e.target.value) || 1)))}
+                        min={1}
+                        max={100}
+                      />
+                    </div>
+                  )}
+                  <p className="settings-modal__hint">
+                    {settingsRotationMode === 'fixed'
+                      ? 'The game moves on to the next in the list every so many hands.'
+                      : 'The button picks the game for the next orbit, starting from the hand after they choose.'}
+                    {' '}The rotation overrides the variant and fixed limit settings above.
+                  </p>
+                </>
+              )}
+            </div>
+            
             <div className="settings-modal__section">
               <h4>Blinds</h4>
               <div className="settings-modal__row">
-                <label>Small Blind:</label>
+                <label>{STUD_VARIANTS.includes(settingsVariant) ? 'Bring-In:' : 'Small Blind:'}</label>
                 <input
                   type="number"
                   className="home-input"
@@ -788,7 +1361,7 @@ function GamePage() {
                 />
               </div>
               <div className="settings-modal__row">
-                <label>Big Blind:</label>
+                <label>{STUD_VARIANTS.includes(settingsVariant) ? 'Complete To:' : 'Big Blind:'}</label>
                 <input
                   type="number"
                   className="home-input"
@@ -798,12 +1371,54 @@ function GamePage() {
                   step={10}
                 />
               </div>
+              <div className="settings-modal__row">
+                <label>Ante:</label>
+                <input
+                  type="number"
+                  className="home-input"
+                  value={settingsAnte}
+                  onChange={(e) => setSettingsAnte(Math.max(0, parseInt(e.target.value) || 0))}
+                  disabled={settingsGameMode === 'tournament'}
+                  min={0}
+                  step={1}
+                />
+              </div>
+              <div className="settings-modal__row">
+                <label>Big Blind Ante:</label>
+                <input
+                  type="number"
+                  className="home-input"
+                  value={settingsBigBlindAnte}
+                  onChange={(e) => setSettingsBigBlindAnte(Math.max(0, parseInt(e.target.value) || 0))}
+                  disabled={settingsGameMode === 'tournament'}
+                  min={0}
+                  step={5}
+                />
+              </div>
+              {(STUD_VARIANTS.includes(settingsVariant) || settingsRotationMode !== 'off') && (
+                <div className="settings-modal__row">
+                  <label>Stud Ante:</label>
+                  <input
+                    type="number"
+                    className="home-input"
+                    value={settingsStudAnte}
+                    onChange={(e) => setSettingsStudAnte(Math.max(0, parseInt(e.target.value) || 0))}
+                    disabled={settingsGameMode === 'tournament'}
+                    min={0}
+                    step={1}
+                  />
+                </div>
+              )}
               <div className="settings-modal__presets">
                 <button type="button" className="pixel-btn pixel-btn--small" onClick={() => { setSettingsSmallBlind(5); setSettingsBigBlind(10); }}>5/10</button>
                 <button type="button" className="pixel-btn pixel-btn--small" onClick={() => { setSettingsSmallBlind(10); setSettingsBigBlind(20); }}>10/20</button>
                 <button type="button" className="pixel-btn pixel-btn--small" onClick={() => { setSettingsSmallBlind(25); setSettingsBigBlind(50); }}>25/50</button>
                 <button type="button" className="pixel-btn pixel-btn--small" onClick={() => { setSettingsSmallBlind(50); setSettingsBigBlind(100); }}>50/100</button>
               </div>
+              <p className="settings-modal__hint">Everyone posts the ante each hand. The big blind ante is posted by the big blind alone, on behalf of the table. Stud games post the stud ante instead of both.</p>
+              {roomState?.tournament && (
+                <p className="settings-modal__note">⚠️ The tournament blind schedule sets the blinds and antes</p>
+              )}
               {roomState?.isGameRunning && roomState?.phase !== 'waiting' && roomState?.phase !== 'showdown' && (
                 <p className="settings-modal__note">⚠️ Blind changes apply after current hand</p>
               )}
@@ -821,6 +1436,251 @@ function GamePage() {
                 </button>
               </div>
               <p className="settings-modal__hint">When enabled, players can run the board twice when all-in</p>
+              <div className="settings-modal__row settings-modal__row--toggle">
+                <label>Straddles:</label>
+                <button 
+                  className={`pixel-btn pixel-btn--small ${settingsStraddle ? 'pixel-btn--active' : 'pixel-btn--inactive'}`}
+                  onClick={() => setSettingsStraddle(!settingsStraddle)}
+                >
+                  {settingsStraddle ? 'ON' : 'OFF'}
+                </button>
+              </div>
+              <p className="settings-modal__hint">Players can opt into a UTG or button straddle of twice the big blind with 3 or more at the table. Action starts left of a UTG straddler; after a button straddle it starts UTG and skips the button (Mayfair rule). The straddler acts last preflop. Not used in stud or fixed limit.</p>
+              <div className="settings-modal__row">
+                <label>7-2 Bounty:</label>
+                <input
+                  type="number"
+                  className="home-input"
+                  value={settingsSevenDeuceBounty}
+                  onChange={(e) => setSettingsSevenDeuceBounty(Math.max(0, parseInt(e.target.value) || 0))}
+                  min={0}
+                  step={5}
+                />
+              </div>
+              <p className="settings-modal__hint">Win a pot with 7-2 and show it to collect this from everyone else dealt in. Hold&apos;em cash games only, 0 turns it off.</p>
+            </div>
+            
+            <div className="settings-modal__section">
+              <h4>Bomb Pots</h4>
+              <div className="settings-modal__row">
+                <label>Bomb Pot Ante:</label>
+                <input
+                  type="number"
+                  className="home-input"
+                  value={settingsBombPotAnte}
+                  onChange={(e) => setSettingsBombPotAnte(Math.max(1, parseInt(e.target.value) || 1))}
+                  min={1}
+                  step={5}
+                />
+              </div>
+              <div className="settings-modal__row">
+                <label>Every N Hands:</label>
+                <input
+                  type="number"
+                  className="home-input"
+                  value={settingsBombPotEvery}
+                  onChange={(e) => setSettingsBombPotEvery(Math.max(0, parseInt(e.target.value) || 0))}
+                  min={0}
+                />
+              </div>
+              <div className="settings-modal__row settings-modal__row--toggle">
+                <label>Double Board:</label>
+                <button 
+                  className={`pixel-btn pixel-btn--small ${settingsBombPotDoubleBoard ? 'pixel-btn--active' : 'pixel-btn--inactive'}`}
+                  onClick={() => setSettingsBombPotDoubleBoard(!settingsBombPotDoubleBoard)}
+                >
+                  {settingsBombPotDoubleBoard ? 'ON' : 'OFF'}
+                </button>
+              </div>
+              <p className="settings-modal__hint">Everyone antes and the hand starts on the flop with no preflop betting. 0 hands means bomb pots only when you call one. With a double board, two boards are dealt and each pot is split between them.</p>
+            </div>
+            
+            <div className="settings-modal__section">
+              <h4>Action Clock</h4>
+              <div className="settings-modal__row">
+                <label>Shot Clock (sec):</label>
+                <input
+                  type="number"
+                  className="home-input"
+                  value={settingsActionTimeout}
+                  onChange={(e) => setSettingsActionTimeout(Math.max(0, parseInt(e.target.value) || 0))}
+                  min={0}
+                  max={300}
+                  step={5}
+                />
+              </div>
+              <div className="settings-modal__row">
+                <label>Time Bank (sec):</label>
+                <input
+                  type="number"
+                  className="home-input"
+                  value={settingsTimeBank}
+                  onChange={(e) => setSettingsTimeBank(Math.max(0, parseInt(e.target.value) || 0))}
+                  min={0}
+                  max={600}
+                  step={10}
+                />
+              </div>
+              <div className="settings-modal__row">
+                <label>Refill Every (hands):</label>
+                <input
+                  type="number"
+                  className="home-input"
+                  value={settingsTimeBankRefill}
+                  onChange={(e) => setSettingsTimeBankRefill(Math.max(0, parseInt(e.target.value) || 0))}
+                  min={0}
+                  step={1}
+                />
+              </div>
+              <p className="settings-modal__hint">When the clock runs out the player checks if they can, otherwise folds. 0 turns the clock off.</p>
+            </div>
+            
+            <div className="settings-modal__section">
+              <h4>Table Pacing</h4>
+              <div className="settings-modal__row">
+                <label>After a Fold Win (sec):</label>
+                <input
+                  type="number"
+                  className="home-input"
+                  value={settingsHandEndDelay}
+                  onChange={(e) => setSettingsHandEndDelay(Math.max(1, parseFloat(e.target.value) || 1))}
+                  min={1}
+                  max={30}
+                  step={1}
+                />
+              </div>
+              <div className="settings-modal__row">
+                <label>Showdown (sec):</label>
+                <input
+                  type="number"
+                  className="home-input"
+                  value={settingsShowdownDelay}
+                  onChange={(e) => setSettingsShowdownDelay(Math.max(2, parseFloat(e.target.value) || 2))}
+                  min={2}
+                  max={60}
+                  step={1}
+                />
+              </div>
+              <div className="settings-modal__row">
+                <label>All-in Runout (sec/street):</label>
+                <input
+                  type="number"
+                  className="home-input"
+                  value={settingsRunoutDelay}
+                  onChange={(e) => setSettingsRunoutDelay(Math.max(0, parseFloat(e.target.value) || 0))}
+                  min={0}
+                  max={10}
+                  step={0.5}
+                />
+              </div>
+              <p className="settings-modal__hint">How long the table waits before dealing the next hand, and between streets when the board runs out all-in. Showdowns on more than one board get 2 extra seconds.</p>
+            </div>
+            
+            <div className="settings-modal__section">
+              <h4>Disconnects</h4>
+              <div className="settings-modal__row">
+                <label>Hold Seat For (sec):</label>
+                <input
+                  type="number"
+                  className="home-input"
+                  value={settingsGracePeriod}
+                  onChange={(e) => setSettingsGracePeriod(Math.max(0, parseInt(e.target.value) || 0))}
+                  min={0}
+                  max={600}
+                  step={15}
+                />
+              </div>
+              <p className="settings-modal__hint">Players who drop keep their seat and cards this long while the clock keeps running. 0 removes them right away.</p>
+            </div>
+            
+            <div className="settings-modal__section">
+              <h4>Tournament</h4>
+              <div className="settings-modal__row">
+                <label>Game Mode:</label>
+                <select
+                  className="home-input"
+                  value={settingsGameMode}
+                  onChange={(e) => { setSettingsGameMode(e.target.value); setTournamentDirty(true); }}
+                  disabled={roomState?.isGameRunning}
+                >
+                  <option value="cash">Cash Game</option>
+                  <option value="tournament">Sit &amp; Go</option>
+                </select>
+              </div>
+              {settingsGameMode === 'tournament' && (
+                <>
+                  <div className="settings-modal__row">
+                    <label>Starting Stack:</label>
+                    <input
+                      type="number"
+                      className="home-input"
+                      value={settingsStartingStack}
+                      onChange={(e) => { setSettingsStartingStack(Math.max(1, parseInt(e.target.value) || 1)); setTournamentDirty(true); }}
+                      min={1}
+                      step={100}
+                      disabled={roomState?.isGameRunning}
+                    />
+                  </div>
+                  <div className="settings-modal__row">
+                    <label>Buy-In (prize pool):</label>
+                    <input
+                      type="number"
+                      className="home-input"
+                      value={settingsTournamentBuyIn}
+                      onChange={(e) => { setSettingsTournamentBuyIn(Math.max(0, parseInt(e.target.value) || 0)); setTournamentDirty(true); }}
+                      min={0}
+                      step={5}
+                      disabled={roomState?.isGameRunning}
+                    />
+                  </div>
+                  <div className="settings-modal__row">
+                    <label>Levels Go Up:</label>
+                    <select
+                      className="home-input"
+                      value={settingsLevelType}
+                      onChange={(e) => { setSettingsLevelType(e.target.value); setTournamentDirty(true); }}
+                      disabled={roomState?.isGameRunning}
+                    >
+                      <option value="hands">By hands</option>
+                      <option value="time">By time</option>
+                    </select>
+                  </div>
+                  <div className="settings-modal__row">
+                    <label>{settingsLevelType === 'time' ? 'Minutes' : 'Hands'} Per Level:</label>
+                    <input
+                      type="number"
+                      className="home-input"
+                      value={settingsLevelLength}
+                      onChange={(e) => { setSettingsLevelLength(Math.max(1, parseInt(e.target.value) || 1)); setTournamentDirty(true); }}
+                      min={1}
+                      max={120}
+                      disabled={roomState?.isGameRunning}
+                    />
+                  </div>
+                  <label className="settings-modal__label">Blind Schedule (SB/BB/ante per line):</label>
+                  <textarea
+                    className="home-input settings-modal__textarea"
+                    value={settingsBlindSchedule}
+                    onChange={(e) => { setSettingsBlindSchedule(e.target.value); setTournamentDirty(true); }}
+                    rows={6}
+                    disabled={roomState?.isGameRunning}
+                  />
+                  <div className="settings-modal__row">
+                    <label>Payouts (%):</label>
+                    <input
+                      type="text"
+                      className="home-input"
+                      value={settingsPayouts}
+                      onChange={(e) => { setSettingsPayouts(e.target.value); setTournamentDirty(true); }}
+                      disabled={roomState?.isGameRunning}
+                    />
+                  </div>
+                  <p className="settings-modal__hint">Payouts by place must add up to 100. Everyone starts with the same stack and there are no re-buys once it starts.</p>
+                </>
+              )}
+              {roomState?.isGameRunning && (
+                <p className="settings-modal__note">⚠️ Stop the game to change the game mode</p>
+              )}
             </div>
             
             <div className="settings-modal__actions">
@@ -831,6 +1691,34 @@ function GamePage() {
         </div>
       )}
       
+      {/* Tournament Results */}
+      {tournamentResults && (
+        <TournamentResults
+          results={tournamentResults}
+          onNewTournament={isHost ? handleNewTournament : null}
+          onClose={() => setTournamentResults(null)}
+        />
+      )}
+      
+      {/* Chip Ledger */}
+      {showChipLedger && (
+        <ChipLedger
+          ledger={chipLedger}
+          loading={chipLedgerLoading}
+          onRefresh={handleOpenChipLedger}
+          onClose={() => setShowChipLedger(false)}
+        />
+      )}
+      
+      {/* Hand History Replay */}
+      {showHandHistory && (
+        <HandReplay
+          hands={handHistory}
+          loading={handHistoryLoading}
+          onClose={() => setShowHandHistory(false)}
+        />
+      )}
+      
       {/* Host Seat Request Panel */}
       {isHost && roomState?.seatRequests?.length > 0 && (
         <div className="seat-requests-panel animate-fade-in">
@@ -873,11 +1761,49 @@ function GamePage() {
           <div className="game-info-bar__left">
             <span className="game-info-bar__name">{roomState?.name || 'Game'}</span>
             <span className="game-info-bar__code">Code: {roomId}</span>
+            {roomState?.variantName && (
+              <span className="game-info-bar__variant">
+                {roomState.fixedLimit
+                  ? `Fixed Limit · ${roomState.variantName.replace(/^(No|Pot)-Limit /, '')}`
+                  : roomState.variantName}
+              </span>
+            )}
             {roomState?.isGameRunning && (
               <span className="game-info-bar__blinds">
-                Blinds: ${roomState.smallBlind}/${roomState.bigBlind}
+                {isStud
+                  ? `Bring-in: $${roomState.smallBlind}/$${roomState.bigBlind}`
+                  : `Blinds: $${roomState.smallBlind}/$${roomState.bigBlind}`}
+                {tableAnte > 0 && ` (ante $${tableAnte})`}
+                {roomState.bigBlindAnte > 0 && !isStud && ` (BB ante $${roomState.bigBlindAnte})`}
+              </span>
+            )}
+            {roomState?.rotation && (
+              <span className="game-info-bar__level">
+                🔀 {roomState.rotation.presetName}
+                {roomState.rotation.mode === 'fixed'
+                  ? ` · ${roomState.rotation.nextGame} in ${roomState.rotation.handsLeftInGame} hands`
+                  : " · dealer's choice"}
+              </span>
+            )}
+            {roomState?.tournament?.status === 'running' && (
+              <span className="game-info-bar__level">
+                Level {roomState.tournament.level}
+                {roomState.tournament.nextLevel && (roomState.tournament.handsLeftInLevel !== null
+                  ? ` · ${roomState.tournament.handsLeftInLevel} hands left`
+                  : ` · up at ${new Date(roomState.tournament.levelEndsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`)}
               </span>
             )}
+            {roomState?.tournament?.status === 'registering' && (
+              <span className="game-info-bar__level">🏆 Sit &amp; Go - registration open</span>
+            )}
+            {roomState?.tournament?.status === 'finished' && (
+              <button
+                className="pixel-btn pixel-btn--small"
+                onClick={() => setTournamentResults(roomState.tournament)}
+              >
+                🏆 Results
+              </button>
+            )}
           </div>
           <div className="game-info-bar__right">
             {isHost && (
@@ -889,6 +1815,29 @@ function GamePage() {
                 ⚙️
               </button>
             )}
+            {isHost && (
+              <button 
+                className="pixel-btn game-info-bar__btn game-info-bar__btn--ledger"
+                onClick={handleOpenChipLedger}
+                title="Chip Ledger"
+              >
+                🧾
+              </button>
+            )}
+            <button 
+              className="pixel-btn game-info-bar__btn game-info-bar__btn--history"
+              onClick={handleOpenHandHistory}
+              title="Hand History"
+            >
+              📜
+            </button>
+            <button 
+              className="pixel-btn game-info-bar__btn game-info-bar__btn--export"
+              onClick={handleExportHandHistory}
+              title="Export Hand History"
+            >
+              ⬇️
+            </button>
             <button 
               className={`pixel-btn game-info-bar__btn game-info-bar__btn--sound ${!soundEnabled ? 'muted' : ''}`}
               onClick={() => {
@@ -916,70 +1865,57 @@ function GamePage() {
           seats={roomState?.seats || Array(8).fill(null)}
           localPlayerSeat={mySeatIndex}
           onTakeSeat={handleTakeSeat}
+          onRemoveBot={isHost ? handleRemoveBot : null}
           tableName=""
           communityCards={roomState?.communityCards || []}
-          secondBoard={roomState?.secondBoard || []}
+          extraBoards={roomState?.extraBoards || []}
           pot={roomState?.pot || 0}
           phase={roomState?.phase || PHASES.WAITING}
           currentTurn={roomState?.currentTurn}
           dealerSeat={roomState?.dealerSeat}
-          runItTwiceAccepted={roomState?.runItTwiceAccepted || false}
+          actionClock={roomState?.actionClock || null}
+          equity={roomState?.equity || null}
         />
 
         {/* Showdown Panel - Shows winner and revealed cards */}
         {roomState?.phase === PHASES.SHOWDOWN && showdownData && (
           <div className="showdown-panel animate-fade-in">
             <div className="showdown-panel__header pixel-text">
-              {showdownData.runItTwice ? '🎲 Run It Twice Results!' : 
+              {showdownData.doubleBoard ? '💣 Double Board Results!' :
+               showdownData.multiBoard ? `🎲 Run It ${RUN_COUNT_LABELS[showdownData.runCount]} Results!` : 
                showdownData.noShowdown ? '🏆 Winner!' : '🃏 Showdown!'}
             </div>
             
-            {/* Run It Twice - Show both board results */}
-            {showdownData.runItTwice ? (
+            {/* Run It Twice - Show each board's results */}
+            {showdownData.multiBoard ? (
               <div className="showdown-panel__rit-results">
-                {/* Board 1 Results */}
-                <div className="showdown-panel__board showdown-panel__board--first">
-                  <span className="showdown-panel__board-label">Board 1</span>
-                  <div className="showdown-panel__board-cards">
-                    {showdownData.board1?.communityCards?.map((card, i) => (
-                      <Card key={i} rank={card.rank} suit={card.suit} size="small" />
-                    ))}
-                  </div>
-                  <div className="showdown-panel__board-winners">
-                    {showdownData.board1?.winners?.map((w, i) => (
-                      <span key={i} className="showdown-winner showdown-winner--compact">
-                        🏆 {w.username}: {w.handDescription} (${w.potWon})
-                      </span>
-                    ))}
-                  </div>
-                </div>
-                
-                {/* Board 2 Results */}
-                <div className="showdown-panel__board showdown-panel__board--second">
-                  <span className="showdown-panel__board-label">Board 2</span>
-                  <div className="showdown-panel__board-cards">
-                    {showdownData.board2?.communityCards?.map((card, i) => (
-                      <Card key={i} rank={card.rank} suit={card.suit} size="small" />
-                    ))}
-                  </div>
-                  <div className="showdown-panel__board-winners">
-                    {showdownData.board2?.winners?.map((w, i) => (
-                      <span key={i} className="showdown-winner showdown-winner--compact">
-                        🏆 {w.username}: {w.handDescription} (${w.potWon})
-                      </span>
-                    ))}
+                {showdownData.boards.map((board, boardIndex) => (
+                  <div key={boardIndex} className={`showdown-panel__board showdown-panel__board--${BOARD_MODIFIERS[boardIndex]}`}>
+                    <span className="showdown-panel__board-label">Board {boardIndex + 1}</span>
+                    <div className="showdown-panel__board-cards">
+                      {board.communityCards?.map((card, i) => (
+                        <Card key={i} rank={card.rank} suit={card.suit} size="small" />
+                      ))}
+                    </div>
+                    <div className="showdown-panel__board-winners">
+                      {listWinners(board).map((w, i) => (
+                        <span key={i} className="showdown-winner showdown-winner--compact">
+                          🏆 {w.half && `${w.half}: `}{w.username}: {w.handDescription} (${w.potWon})
+                        </span>
+                      ))}
+                    </div>
                   </div>
-                </div>
+                ))}
               </div>
             ) : (
               /* Normal showdown */
               <>
                 {/* Winners */}
                 <div className="showdown-panel__winners">
-                  {showdownData.winners?.map((winner, i) => (
+                  {listWinners(showdownData).map((winner, i) => (
                     <div key={i} className="showdown-winner">
                       <span className="showdown-winner__name">{winner.username}</span>
-                      <span className="showdown-winner__pot">wins ${winner.potWon}</span>
+                      <span className="showdown-winner__pot">wins {winner.half && `${winner.half.toLowerCase()} `}${winner.potWon}</span>
                       {winner.handDescription && (
                         <span className="showdown-winner__hand">{winner.handDescription}</span>
                       )}
@@ -1003,7 +1939,9 @@ function GamePage() {
                                 size="small"
                               />
                             ))}
-                            <span className="showdown-hand__desc">{p.handDescription}</span>
+                            <span className="showdown-hand__desc">
+                              {p.handDescription}{p.lowHandDescription && ` / ${p.lowHandDescription}`}
+                            </span>
                           </div>
                         ) : p.hasMucked ? (
                           <span className="showdown-hand__mucked">Mucked</span>
@@ -1043,6 +1981,18 @@ function GamePage() {
               </div>
             )}
             
+            {roomState.revealedShuffle?.handNumber === roomState.handNumber && (
+              <div className="showdown-panel__fairness">
+                <button
+                  className="pixel-btn pixel-btn--small pixel-btn--secondary"
+                  onClick={handleVerifyDeal}
+                  title={`Shuffle hash ${roomState.revealedShuffle.commitment.slice(0, 16)}… - players dealt in get the seed, which shows every card in the deck, folded and mucked hands included`}
+                >
+                  🔒 Verify Deal
+                </button>
+              </div>
+            )}
+            
             <div className="showdown-panel__timer">
               Next hand starting soon...
             </div>
@@ -1059,14 +2009,16 @@ function GamePage() {
                   key={i} 
                   rank={card.rank} 
                   suit={card.suit} 
-                  size="large"
+                  size={myCards.length > 4 ? 'small' : myCards.length > 2 ? 'medium' : 'large'}
                   dealing={true}
                 />
               ))}
             </div>
             {myHandDescription && (
               <div className="my-cards__hand-name">
-                <span className="my-cards__hand-label">{myHandDescription}</span>
+                <span className="my-cards__hand-label">
+                  {myHandDescription}{myLowHandDescription && ` / ${myLowHandDescription}`}
+                </span>
               </div>
             )}
           </div>
@@ -1079,6 +2031,10 @@ function GamePage() {
             toCall={toCall}
             minRaise={roomState?.minRaise || 20}
             pot={roomState?.pot || 0}
+            antes={roomState?.antes || 0}
+            maxRaise={maxRaise}
+            potLimit={roomState?.betting === 'pot-limit'}
+            limitRaise={limitRaise}
             myBankroll={myBankroll}
             onAction={handleBettingAction}
             isMyTurn={isMyTurn}
@@ -1086,6 +2042,24 @@ function GamePage() {
           />
         )}
 
+        {/* Dealer's Choice Picker */}
+        {canChooseGame && (
+          <div className="game-choice animate-fade-in">
+            <div className="game-choice__title">🔀 Dealer&apos;s Choice - pick the next game</div>
+            <div className="game-choice__buttons">
+              {roomState?.rotation?.games.map((game, i) => (
+                <button
+                  key={`${game.variant}-${game.fixedLimit}`}
+                  className={`pixel-btn pixel-btn--small ${i === roomState.rotation.gameIndex ? 'game-choice__btn--current' : ''}`}
+                  onClick={() => handleChooseGame(i)}
+                >
+                  {game.name}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Run It Twice Prompt */}
         {runItTwiceOffered && runItTwiceEligible && !runItTwiceVoted && (
           <div className="run-it-twice-prompt animate-fade-in">
@@ -1093,18 +2067,24 @@ function GamePage() {
               🎲 Run It Twice?
             </div>
             <div className="run-it-twice-prompt__description">
-              All players are all-in! Would you like to run the remaining board twice and split the pot?
+              All players are all-in! How many times would you like to run the remaining board? The pot is split between the boards, and everyone runs it the fewest times anyone picks.
             </div>
             <div className="run-it-twice-prompt__buttons">
               <button 
                 className="pixel-btn run-it-twice-prompt__btn run-it-twice-prompt__btn--accept"
-                onClick={() => handleRunItTwiceVote(true)}
+                onClick={() => handleRunItTwiceVote(2)}
               >
                 ✓ Run It Twice
               </button>
+              <button 
+                className="pixel-btn run-it-twice-prompt__btn run-it-twice-prompt__btn--accept"
+                onClick={() => handleRunItTwiceVote(3)}
+              >
+                ✓ Three Times
+              </button>
               <button 
                 className="pixel-btn run-it-twice-prompt__btn run-it-twice-prompt__btn--decline"
-                onClick={() => handleRunItTwiceVote(false)}
+                onClick={() => handleRunItTwiceVote(1)}
               >
                 ✗ Run Once
               </button>
@@ -1134,6 +2114,16 @@ function GamePage() {
         <div className="game-controls">
           {getGameControlButtons()}
           
+          {mySeatIndex !== null && roomState?.straddleEnabled && (
+            <button 
+              className={`pixel-btn game-controls__btn ${myStraddle ? 'pixel-btn--active' : ''}`}
+              onClick={handleToggleStraddle}
+              title="Straddle from the next hand you're in position"
+            >
+              Straddle: {myStraddle === 'button' ? 'Button' : myStraddle === 'utg' ? 'UTG' : 'Off'}
+            </button>
+          )}
+          
           {mySeatIndex !== null && !roomState?.isGameRunning && (
             <button 
               className="pixel-btn game-controls__btn game-controls__btn--leave"
@@ -1172,12 +2162,14 @@ function GamePage() {
               {event.type === 'flop' && '🃏 Flop dealt!'}
               {event.type === 'turn' && '🃏 Turn dealt!'}
               {event.type === 'river' && '🃏 River dealt!'}
+              {STUD_STREET_NAMES[event.type] && `🃏 ${STUD_STREET_NAMES[event.type]} dealt!`}
               {event.type === 'showdown' && `🏆 Showdown! ${event.winners?.[0]?.username} wins with ${event.winners?.[0]?.handDescription}`}
               {event.type === 'hand-won' && `🏆 ${event.winners?.[0]?.username} wins $${event.winners?.[0]?.potWon}!`}
+              {event.type === 'seven-deuce-bounty' && `🂧 ${event.username} shows 7-2 and collects a $${event.amount} bounty!`}
               {event.type === 'game-paused' && '⏸ Game paused'}
               {event.type === 'game-resumed' && '▶ Game resumed'}
               {event.type === 'game-stopped' && '■ Game ended'}
-              {event.type === 'player-action' && `${event.username}: ${event.action}${event.amount ? ` $${event.amount}` : ''}`}
+              {event.type === 'player-action' && `${event.username}: ${event.action}${event.amount ? ` $${event.amount}` : ''}${event.timedOut ? ' (timed out)' : ''}`}
               {event.type === 'info' && event.message}
             </div>
           ))}
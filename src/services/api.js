@@ -68,3 +68,58 @@ export async function getRoom(roomId) {
   
   return response.json();
 }
+
+/**
+ * Get recorded hand history for a room
+ * The session ID lets the server include your own hole cards
+ */
+export async function getHandHistory(roomId, sessionId) {
+  const params = new URLSearchParams({ sessionId });
+  const response = await fetch(`${API_URL}/rooms/${roomId}/hands?${params}`);
+  
+  if (!response.ok) {
+    if (response.status === 404) {
+      throw new Error('Room not found');
+    }
+    throw new Error('Failed to load hand history');
+  }
+  
+  return response.json();
+}
+
+/**
+ * Download a room's hand history as PokerStars-format text
+ */
+export async function downloadHandHistory(roomId, sessionId) {
+  const params = new URLSearchParams({ sessionId });
+  const response = await fetch(`${API_URL}/rooms/${roomId}/hands/export?${params}`);
+  
+  if (!response.ok) {
+    if (response.status === 404) {
+      throw new Error('Room not found');
+    }
+    throw new Error('Failed to export hand history');
+  }
+  
+  return response.text();
+}
+
+/**
+ * Get a room's chip ledger (host only)
+ */
+export async function getChipLedger(roomId, sessionId) {
+  const params = new URLSearchParams({ sessionId });
+  const response = await fetch(`${API_URL}/rooms/${roomId}/ledger?${params}`);
+  
+  if (!response.ok) {
+    if (response.status === 404) {
+      throw new Error('Room not found');
+    }
+    if (response.status === 403) {
+      throw new Error('Only the host can view the chip ledger');
+    }
+    throw new Error('Failed to load the chip ledger');
+  }
+  
+  return response.json();
+}
@@ -0,0 +1,117 @@
+/**
+ * Fairness - Check a finished hand's deal against the shuffle seed the server committed to
+ * Mirrors server/fairness.js and the server's deck order, shuffle and dealing order exactly
+ */
+
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+const BOARD_STREETS = ['flop', 'turn', 'river'];
+
+async function sha256(text) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+const toHex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * The numbers the server shuffled with: SHA-256 of "seed:0", "seed:1", ... as big-endian 32-bit words
+ */
+async function seedNumbers(seed, count) {
+  const numbers = [];
+  for (let counter = 0; numbers.length < count; counter++) {
+    const view = new DataView((await sha256(`${seed}:${counter}`)).buffer);
+    for (let word = 0; word < 8; word++) {
+      numbers.push(view.getUint32(word * 4) / 4294967296);
+    }
+  }
+  return numbers;
+}
+
+/**
+ * Rebuild the shuffled deck - same deck order and Fisher-Yates as the server
+ */
+async function rebuildDeck(seed, shortDeck) {
+  const ranks = shortDeck ? RANKS.slice(RANKS.indexOf('6')) : RANKS;
+  const deck = SUITS.flatMap(suit => ranks.map(rank => ({ suit, rank })));
+  const numbers = await seedNumbers(seed, deck.length - 1);
+  let next = 0;
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = Math.floor(numbers[next++] * (i + 1));
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  return deck;
+}
+
+/**
+ * Every card in the order it came off the deck - null where the viewer can't see it
+ * Board games: hole cards seat by seat, then a burn before each board's flop, turn and river.
+ * Stud: each player's down then up cards, street by street.
+ */
+function dealOrder(hand) {
+  const order = [];
+  const burn = () => order.push({ card: null, label: 'burn' });
+
+  if (hand.streets['third-street']) {
+    for (const [street, data] of Object.entries(hand.streets)) {
+      for (const { seatIndex, down, up } of data.dealt || []) {
+        const name = hand.seats.find(s => s.seatIndex === seatIndex)?.username;
+        for (const card of [...down, ...up]) order.push({ card, label: `${name}'s ${street} card` });
+      }
+      // Not enough cards left - one shared card, no burn
+      if (!data.dealt && data.board.length > 0) {
+        order.push({ card: data.board[0], label: `${street} community card` });
+      }
+    }
+    return order;
+  }
+
+  for (const seat of hand.seats) {
+    for (let i = 0; i < hand.holeCardCount; i++) {
+      order.push({ card: seat.holeCards?.[i] || null, label: `${seat.username}'s hole card` });
+    }
+  }
+  for (const street of BOARD_STREETS) {
+    const data = hand.streets[street];
+    if (!data?.board?.length) continue;
+    const boards = [data.board, ...(data.extraBoards || [])];
+    boards.forEach((cards, i) => {
+      burn();
+      for (const card of cards) order.push({ card, label: i === 0 ? street : `${street} (board ${i + 1})` });
+    });
+  }
+  return order;
+}
+
+/**
+ * Confirm a finished hand was dealt from the seed the server committed to
+ * @param {Object} hand - Hand history record (with its revealed shuffle)
+ * @param {string|null} publishedCommitment - Hash the viewer was shown before the hand was dealt
+ * @returns {Promise<Object>} { verified, checked, problems: [string] }
+ */
+export async function verifyDeal(hand, publishedCommitment = null) {
+  const problems = [];
+  const { seed, commitment } = hand.shuffle || {};
+  if (!seed) {
+    return { verified: false, checked: 0, problems: ['Only players dealt into this hand get its shuffle seed'] };
+  }
+
+  if (toHex(await sha256(seed)) !== commitment) {
+    problems.push("The revealed seed doesn't match the hand's commitment");
+  }
+  if (publishedCommitment && publishedCommitment !== commitment) {
+    problems.push('The commitment changed after it was published');
+  }
+
+  const deck = await rebuildDeck(seed, hand.variant === 'shortdeck');
+  let checked = 0;
+  dealOrder(hand).forEach(({ card, label }, position) => {
+    if (!card) return;
+    checked++;
+    const expected = deck[position];
+    if (expected?.rank !== card.rank || expected?.suit !== card.suit) {
+      problems.push(`${label} was ${card.rank} of ${card.suit}, the shuffle says ${expected ? `${expected.rank} of ${expected.suit}` : 'no card'}`);
+    }
+  });
+
+  return { verified: problems.length === 0, checked, problems };
+}
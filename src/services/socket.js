@@ -38,6 +38,7 @@ class SocketService {
   constructor() {
     this.socket = null;
     this.sessionId = getSessionId();
+    this.currentRoom = null; // { roomId, username } - rejoined after a reconnect
   }
 
   /**
@@ -54,12 +55,21 @@ class SocketService {
     this.socket = io(SERVER_URL, {
       transports: ['websocket', 'polling'],
       reconnection: true,
-      reconnectionAttempts: 5,
+      reconnectionAttempts: Infinity, // Keep trying - the server holds our seat for a while
       reconnectionDelay: 1000
     });
 
     this.socket.on('connect', () => {
       console.log('Connected to server:', this.socket.id);
+      
+      // The server keeps our seat during its grace period - rejoin to reclaim it
+      if (this.currentRoom) {
+        const { roomId, username } = this.currentRoom;
+        this.joinRoom(roomId, username).catch((err) => {
+          console.error('Failed to rejoin room:', err.message);
+          this.currentRoom = null;
+        });
+      }
     });
 
     this.socket.on('disconnect', (reason) => {
@@ -145,6 +155,7 @@ class SocketService {
       }, (response) => {
         console.log('Join room response:', response);
         if (response.success) {
+          this.currentRoom = { roomId, username };
           resolve(response);
         } else {
           reject(new Error(response.error));
@@ -243,6 +254,51 @@ class SocketService {
     });
   }
 
+  /**
+   * Opt into a straddle - 'utg', 'button' or null to stop straddling
+   */
+  setStraddle(type) {
+    return new Promise((resolve, reject) => {
+      this.socket.emit('set-straddle', { type }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  /**
+   * Seat a bot (host only)
+   */
+  addBot(seatIndex, strategy, buyIn) {
+    return new Promise((resolve, reject) => {
+      this.socket.emit('add-bot', { seatIndex, strategy, buyIn }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  /**
+   * Remove a bot from its seat (host only)
+   */
+  removeBot(seatIndex) {
+    return new Promise((resolve, reject) => {
+      this.socket.emit('remove-bot', { seatIndex }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
   /**
    * Start the game
    */
@@ -303,6 +359,21 @@ class SocketService {
     });
   }
 
+  /**
+   * Call a bomb pot for the next hand (host only)
+   */
+  callBombPot() {
+    return new Promise((resolve, reject) => {
+      this.socket.emit('call-bomb-pot', {}, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
   /**
    * Player betting action (fold, check, call, bet, raise)
    */
@@ -353,11 +424,30 @@ class SocketService {
   // ============================================
 
   /**
-   * Vote on Run It Twice
+   * Vote on how many times to run it (1-3)
+   */
+  runItTwiceVote(runs) {
+    return new Promise((resolve, reject) => {
+      this.socket.emit('run-it-twice-vote', { runs }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // ============================================
+  // 🔀 Mixed Game Methods
+  // ============================================
+
+  /**
+   * Dealer's choice - pick the game for this orbit
    */
-  runItTwiceVote(accept) {
+  chooseGame(gameIndex) {
     return new Promise((resolve, reject) => {
-      this.socket.emit('run-it-twice-vote', { accept }, (response) => {
+      this.socket.emit('choose-game', { gameIndex }, (response) => {
         if (response.success) {
           resolve(response);
         } else {
@@ -440,6 +530,7 @@ class SocketService {
    * Leave the room entirely
    */
   leaveRoom() {
+    this.currentRoom = null;
     if (this.socket) {
       this.socket.emit('leave-room');
     }
@@ -181,6 +181,20 @@ class SoundService {
     ], 0.12);
   }
 
+  /**
+   * 7-2 bounty collected
+   */
+  sevenDeuce() {
+    this.init();
+    // Cha-ching - two quick coins then a long ring
+    this.playSequence([
+      { freq: 1319, duration: 0.06, type: 'square', vol: 0.35 }, // E
+      { freq: 1568, duration: 0.06, type: 'square', vol: 0.35 }, // G
+      { freq: 988, duration: 0.06, type: 'triangle', vol: 0.4 }, // B
+      { freq: 2093, duration: 0.3, type: 'sine', vol: 0.5 },     // C high
+    ], 0.07);
+  }
+
   /**
    * Your turn notification
    */